@@ -0,0 +1,170 @@
+// NASA Service Worker
+// Precaches the storefront shell, caches product imagery as it is viewed and
+// serves an offline page when navigation fails. Background sync wakes an open
+// storefront tab so it can drain the order outbox; orders are always sent from
+// the page, where the channels and their config live.
+
+// Bump on every release; caches from other versions are deleted on activate
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `nasa-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `nasa-runtime-${CACHE_VERSION}`;
+const IMAGE_CACHE = `nasa-images-${CACHE_VERSION}`;
+const CURRENT_CACHES = [SHELL_CACHE, RUNTIME_CACHE, IMAGE_CACHE];
+
+const OFFLINE_PAGE = '/offline.html';
+const SHELL_ASSETS = [
+    '/',
+    '/index.html',
+    '/Style.css',
+    '/script.js',
+    '/data/catalog.json',
+    OFFLINE_PAGE
+];
+
+const IMAGE_CACHE_LIMIT = 80;
+const ORDER_SYNC_TAG = 'nasa-order-sync';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_ASSETS))
+            .then(() => {
+                // A worker is already in control, so this one waits until the page agrees to reload
+                if (self.registration.active) {
+                    return notifyClients({ type: 'nasa-update-available', version: CACHE_VERSION });
+                }
+                return self.skipWaiting();
+            })
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('nasa-') && !CURRENT_CACHES.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'nasa-skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, SHELL_CACHE).catch(() => offlineFallback()));
+        return;
+    }
+
+    if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request, IMAGE_CACHE, IMAGE_CACHE_LIMIT));
+        return;
+    }
+
+    // Prices and stock come from the catalog, so prefer a fresh copy
+    if (url.origin === self.location.origin && url.pathname.endsWith('/catalog.json')) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+        return;
+    }
+
+    if (url.origin === self.location.origin || ['style', 'script', 'font'].includes(request.destination)) {
+        event.respondWith(staleWhileRevalidate(request, url.origin === self.location.origin ? SHELL_CACHE : RUNTIME_CACHE));
+    }
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === ORDER_SYNC_TAG) {
+        event.waitUntil(requestOrderSync());
+    }
+});
+
+function isCacheable(response) {
+    // Cross-origin images without CORS come back opaque; they still render from cache
+    return response && (response.ok || response.type === 'opaque');
+}
+
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (isCacheable(response)) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function cacheFirst(request, cacheName, limit) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (isCacheable(response)) {
+            await cache.put(request, response.clone());
+            trimCache(cache, limit);
+        }
+        return response;
+    } catch (error) {
+        return new Response('', { status: 503, statusText: 'Offline' });
+    }
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            if (isCacheable(response)) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || network;
+}
+
+async function trimCache(cache, limit) {
+    const keys = await cache.keys();
+
+    // Keys come back in insertion order, so the oldest images go first
+    for (let i = 0; i < keys.length - limit; i++) {
+        await cache.delete(keys[i]);
+    }
+}
+
+async function offlineFallback() {
+    const cache = await caches.open(SHELL_CACHE);
+    return (await cache.match(OFFLINE_PAGE))
+        || new Response('Offline', { status: 503, headers: { 'Content-Type': 'text/plain' } });
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
+    return clients.length;
+}
+
+async function requestOrderSync() {
+    // Rejecting leaves the sync registered, so the browser tries again later
+    if (await notifyClients({ type: ORDER_SYNC_TAG }) === 0) {
+        throw new Error('No storefront open to transmit queued orders');
+    }
+}
@@ -436,2393 +436,10156 @@ class NASA_AnimationController {
     }
 }
 
-// NASA Product Management System
-class NASA_ProductManager {
+// NASA Catalog Feed Loader - parses and validates JSON/CSV catalog feeds
+class NASA_CatalogLoader {
     constructor() {
-        this.products = [];
-        this.filteredProducts = [];
-        this.currentFilter = 'all';
-        this.currentView = 'grid';
-        this.productsPerPage = 12;
-        this.currentPage = 1;
-        this.sortBy = 'featured';
-        this.cart = [];
-        this.favorites = new Set();
-        this.productObservers = [];
-        
-        this.initProducts();
-        this.initIndexedDB();
+        this.productFields = ['id', 'name', 'price', 'category', 'mission', 'featured', 'image', 'description', 'tags', 'sku', 'stock', 'preorder', 'releaseDate'];
+        this.variantFields = {
+            variant_size: 'size',
+            variant_color: 'color',
+            variant_sku_suffix: 'skuSuffix',
+            variant_stock: 'stock',
+            variant_price_delta: 'priceDelta'
+        };
+        this.storeFields = ['upiVpa', 'email', 'webhookUrl', 'gstin', 'legalName'];
     }
     
-    initProducts() {
-        // Sample NASA-inspired products
-        this.products = [
-            {
-                id: 'artemis-telescope-001',
-                name: 'Artemis Lunar Telescope Pro',
-                price: 24999,
-                category: 'telescope',
-                mission: 'artemis',
-                featured: true,
-                image: 'https://images.unsplash.com/photo-1462331940025-496dfbfc7564',
-                description: 'Professional-grade telescope for lunar observation. Inspired by NASA Artemis mission specifications.',
-                specs: {
-                    aperture: '150mm',
-                    focalLength: '1200mm',
-                    weight: '8.5kg',
-                    included: ['Eyepieces', 'Tripod', 'Solar Filter']
-                },
-                tags: ['lunar', 'professional', 'artemis', 'featured'],
-                stock: 15,
-                sku: 'NASA-ART-001'
-            },
-            {
-                id: 'mars-rover-hoodie',
-                name: 'Mars Rover Expedition Hoodie',
-                price: 1899,
-                category: 'apparel',
-                mission: 'mars',
-                featured: true,
-                image: 'https://images.unsplash.com/photo-1556821840-3a63f95609a7',
-                description: 'Premium hoodie with Mars rover design. Thermal insulation for astronomical observations.',
-                specs: {
-                    material: 'Organic Cotton & Polyester',
-                    sizes: ['S', 'M', 'L', 'XL'],
-                    color: 'Mars Red'
-                },
-                tags: ['mars', 'apparel', 'expedition', 'featured'],
-                stock: 42,
-                sku: 'NASA-MAR-002'
-            },
-            {
-                id: 'jpl-star-projector',
-                name: 'JPL Star Projector Elite',
-                price: 3599,
-                category: 'accessories',
-                mission: 'iss',
-                featured: false,
-                image: 'https://images.unsplash.com/photo-1534447677768-be436bb09401',
-                description: 'Advanced star projector with real-time celestial tracking. JPL calibration.',
-                specs: {
-                    projection: '360-degree',
-                    stars: '5000+',
-                    modes: ['Galaxy', 'Constellation', 'Planetary'],
-                    power: 'USB-C'
-                },
-                tags: ['projector', 'jpl', 'accessory'],
-                stock: 28,
-                sku: 'NASA-JPL-003'
-            },
-            {
-                id: 'gateway-space-journal',
-                name: 'Gateway Space Observation Journal',
-                price: 799,
-                category: 'accessories',
-                mission: 'gateway',
-                featured: true,
-                image: 'https://images.unsplash.com/photo-1585314062340-f1a5a7c9328d',
-                description: 'Premium leather-bound journal for space observations. Moon to Mars architecture themed.',
-                specs: {
-                    pages: '200',
-                    paper: 'Astronomical-grade',
-                    includes: ['Star Charts', 'Observation Logs']
-                },
-                tags: ['journal', 'gateway', 'writing', 'featured'],
-                stock: 56,
-                sku: 'NASA-GTW-004'
-            },
-            {
-                id: 'hubble-imaging-kit',
-                name: 'Hubble Imaging Adapter Kit',
-                price: 4999,
-                category: 'imaging',
-                mission: 'hubble',
-                featured: false,
-                image: 'https://images.unsplash.com/photo-1516035069371-29a1b244cc32',
-                description: 'Connect your DSLR to any telescope for astrophotography. Hubble inspired.',
-                specs: {
-                    compatibility: 'Universal',
-                    cameraMount: 'T-ring',
-                    weight: '450g'
-                },
-                tags: ['imaging', 'photography', 'hubble'],
-                stock: 23,
-                sku: 'NASA-HUB-005'
-            }
-        ];
+    parseJSON(data) {
+        if (!data || !Array.isArray(data.products)) {
+            return {
+                version: null,
+                products: [],
+                errors: [{ row: null, id: null, field: 'products', message: 'Catalog must contain a "products" array' }]
+            };
+        }
         
-        this.filteredProducts = [...this.products];
+        const result = this.validateProducts(data.products, index => index + 1, data.version ? String(data.version) : null);
+        result.store = this.parseStoreSettings(data.store);
+        return result;
     }
     
-    async initIndexedDB() {
-        if ('indexedDB' in window) {
-            try {
-                const request = indexedDB.open('NASA_Store', 1);
-                
-                request.onupgradeneeded = (event) => {
-                    const db = event.target.result;
-                    
-                    // Create object stores
-                    if (!db.objectStoreNames.contains('products')) {
-                        db.createObjectStore('products', { keyPath: 'id' });
-                    }
-                    
-                    if (!db.objectStoreNames.contains('cart')) {
-                        db.createObjectStore('cart', { keyPath: 'id' });
-                    }
-                    
-                    if (!db.objectStoreNames.contains('favorites')) {
-                        db.createObjectStore('favorites', { keyPath: 'id' });
-                    }
-                    
-                    if (!db.objectStoreNames.contains('orders')) {
-                        db.createObjectStore('orders', { keyPath: 'orderId', autoIncrement: true });
-                    }
-                };
-                
-                request.onsuccess = (event) => {
-                    this.db = event.target.result;
-                    this.loadFromIndexedDB();
-                };
-                
-                request.onerror = (event) => {
-                    console.error('NASA IndexedDB Error:', event.target.error);
-                };
-            } catch (error) {
-                console.warn('NASA: IndexedDB not available, using localStorage');
-                this.useLocalStorage();
+    parseStoreSettings(store) {
+        // Only known string settings are taken from the feed
+        const settings = {};
+        if (!store || typeof store !== 'object') return settings;
+        
+        this.storeFields.forEach(field => {
+            if (typeof store[field] === 'string') {
+                settings[field] = store[field].trim();
             }
-        }
+        });
+        
+        return settings;
     }
     
-    async loadFromIndexedDB() {
-        if (!this.db) return;
-        
-        try {
-            // Load cart
-            const cartTx = this.db.transaction('cart', 'readonly');
-            const cartStore = cartTx.objectStore('cart');
-            const cartRequest = cartStore.getAll();
-            
-            cartRequest.onsuccess = (event) => {
-                this.cart = event.target.result || [];
-                this.notifyObservers('cart-updated');
-            };
-            
-            // Load favorites
-            const favTx = this.db.transaction('favorites', 'readonly');
-            const favStore = favTx.objectStore('favorites');
-            const favRequest = favStore.getAll();
-            
-            favRequest.onsuccess = (event) => {
-                const favorites = event.target.result || [];
-                this.favorites = new Set(favorites.map(f => f.id));
-                this.notifyObservers('favorites-updated');
+    parseCSV(text) {
+        const rows = this.parseCSVRows(text);
+        if (rows.length < 2) {
+            return {
+                version: null,
+                products: [],
+                errors: [{ row: null, id: null, field: null, message: 'CSV must contain a header row and at least one product row' }]
             };
-        } catch (error) {
-            console.error('NASA: Failed to load from IndexedDB', error);
         }
-    }
-    
-    useLocalStorage() {
-        try {
-            const savedCart = localStorage.getItem('nasa_cart');
-            const savedFavorites = localStorage.getItem('nasa_favorites');
+        
+        const header = rows[0].map(column => column.trim().toLowerCase());
+        const grouped = new Map();
+        const rowNumbers = new Map();
+        
+        rows.slice(1).forEach((cells, index) => {
+            if (cells.every(cell => cell.trim() === '')) return;
             
-            if (savedCart) {
-                this.cart = JSON.parse(savedCart);
-                this.notifyObservers('cart-updated');
+            const record = {};
+            header.forEach((column, columnIndex) => {
+                record[column] = (cells[columnIndex] || '').trim();
+            });
+            
+            // Rows sharing an id add variants to the first row's product
+            const id = record.id;
+            if (!grouped.has(id)) {
+                grouped.set(id, this.csvRecordToProduct(record));
+                rowNumbers.set(grouped.get(id), index + 2);
             }
             
-            if (savedFavorites) {
-                this.favorites = new Set(JSON.parse(savedFavorites));
-                this.notifyObservers('favorites-updated');
+            const variant = this.csvRecordToVariant(record);
+            if (variant) {
+                grouped.get(id).variants.push(variant);
             }
-        } catch (error) {
-            console.warn('NASA: Failed to load from localStorage', error);
-        }
+        });
+        
+        const products = Array.from(grouped.values());
+        return this.validateProducts(products, index => rowNumbers.get(products[index]), null);
     }
     
-    filterProducts(filter, mission = null) {
-        this.currentFilter = filter;
+    parseCSVRows(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
         
-        if (filter === 'all' && !mission) {
-            this.filteredProducts = [...this.products];
-        } else {
-            this.filteredProducts = this.products.filter(product => {
-                const matchesFilter = filter === 'all' || product.category === filter;
-                const matchesMission = !mission || product.mission === mission;
-                return matchesFilter && matchesMission;
-            });
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
         }
         
-        // Apply sorting
-        this.sortProducts(this.sortBy);
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
         
-        this.notifyObservers('products-filtered');
+        return rows;
     }
     
-    sortProducts(sortBy) {
-        this.sortBy = sortBy;
-        
-        this.filteredProducts.sort((a, b) => {
-            switch (sortBy) {
-                case 'price-low':
-                    return a.price - b.price;
-                case 'price-high':
-                    return b.price - a.price;
-                case 'featured':
-                    return (b.featured ? 1 : 0) - (a.featured ? 1 : 0);
-                case 'newest':
-                    return (b.id || '').localeCompare(a.id || '');
-                default:
-                    return 0;
+    csvRecordToProduct(record) {
+        const specs = {};
+        Object.keys(record).forEach(column => {
+            if (column.startsWith('spec_') && record[column] !== '') {
+                specs[column.slice(5)] = record[column];
             }
         });
         
-        this.notifyObservers('products-sorted');
+        return {
+            id: record.id,
+            name: record.name,
+            price: record.price === '' ? undefined : Number(record.price),
+            category: record.category,
+            mission: record.mission || null,
+            featured: ['true', 'yes', '1'].includes((record.featured || '').toLowerCase()),
+            image: record.image,
+            description: record.description || '',
+            tags: record.tags ? record.tags.split('|').map(tag => tag.trim()).filter(Boolean) : [],
+            sku: record.sku,
+            stock: record.stock === '' || record.stock === undefined ? undefined : Number(record.stock),
+            preorder: ['true', 'yes', '1'].includes((record.preorder || '').toLowerCase()),
+            releaseDate: record.release_date || undefined,
+            specs: specs,
+            variants: []
+        };
     }
     
-    searchProducts(query) {
-        const searchTerms = query.toLowerCase().split(' ').filter(term => term.length > 0);
+    csvRecordToVariant(record) {
+        const hasVariant = Object.keys(this.variantFields).some(column => record[column]);
+        if (!hasVariant) return null;
+        
+        return {
+            size: record.variant_size || null,
+            color: record.variant_color || null,
+            skuSuffix: record.variant_sku_suffix || '',
+            stock: record.variant_stock === '' ? undefined : Number(record.variant_stock),
+            priceDelta: record.variant_price_delta ? Number(record.variant_price_delta) : 0
+        };
+    }
+    
+    validateProducts(rawProducts, rowFor, version) {
+        const products = [];
+        const errors = [];
+        const seenIds = new Set();
+        const seenSkus = new Set();
         
-        this.filteredProducts = this.products.filter(product => {
-            const searchString = `
-                ${product.name} 
-                ${product.description} 
-                ${product.category} 
-                ${product.mission} 
-                ${product.tags.join(' ')}
-            `.toLowerCase();
+        rawProducts.forEach((raw, index) => {
+            const row = rowFor(index);
+            const productErrors = this.validateProduct(raw);
             
-            return searchTerms.every(term => searchString.includes(term));
+            if (productErrors.length === 0 && seenIds.has(raw.id)) {
+                productErrors.push({ field: 'id', message: `Duplicate product id "${raw.id}"` });
+            }
+            
+            if (productErrors.length === 0 && seenSkus.has(raw.sku)) {
+                productErrors.push({ field: 'sku', message: `Duplicate SKU "${raw.sku}"` });
+            }
+            
+            if (productErrors.length > 0) {
+                productErrors.forEach(error => errors.push({ row, id: raw?.id || null, ...error }));
+                return;
+            }
+            
+            seenIds.add(raw.id);
+            seenSkus.add(raw.sku);
+            products.push(this.cleanProduct(raw));
         });
         
-        this.notifyObservers('products-searched');
-    }
-    
-    getProductById(id) {
-        return this.products.find(product => product.id === id);
+        return { version, products, errors };
     }
     
-    addToCart(productId, quantity = 1, size = null) {
-        const product = this.getProductById(productId);
-        if (!product) return false;
+    validateProduct(raw) {
+        const errors = [];
+        const fail = (field, message) => errors.push({ field, message });
         
-        const existingItem = this.cart.find(item => item.id === productId && item.size === size);
+        if (!raw || typeof raw !== 'object') {
+            fail(null, 'Entry is not an object');
+            return errors;
+        }
         
-        if (existingItem) {
-            existingItem.quantity += quantity;
-        } else {
-            this.cart.push({
-                id: productId,
-                name: product.name,
-                price: product.price,
-                quantity: quantity,
-                size: size,
-                image: product.image,
-                sku: product.sku
-            });
+        if (typeof raw.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(raw.id)) {
+            fail('id', 'Required; lowercase letters, digits and dashes only');
         }
         
-        this.saveCart();
-        this.notifyObservers('cart-updated');
-        return true;
-    }
-    
-    removeFromCart(productId, size = null) {
-        const index = this.cart.findIndex(item => item.id === productId && item.size === size);
+        if (typeof raw.name !== 'string' || raw.name.trim() === '') {
+            fail('name', 'Required');
+        }
         
-        if (index !== -1) {
-            this.cart.splice(index, 1);
-            this.saveCart();
-            this.notifyObservers('cart-updated');
-            return true;
+        if (typeof raw.price !== 'number' || !isFinite(raw.price) || raw.price <= 0) {
+            fail('price', 'Must be a positive number');
         }
         
-        return false;
-    }
-    
-    updateCartQuantity(productId, quantity, size = null) {
-        const item = this.cart.find(item => item.id === productId && item.size === size);
+        if (typeof raw.category !== 'string' || raw.category.trim() === '') {
+            fail('category', 'Required');
+        }
         
-        if (item) {
-            item.quantity = Math.max(0, quantity);
-            
-            if (item.quantity === 0) {
-                this.removeFromCart(productId, size);
-            } else {
-                this.saveCart();
-                this.notifyObservers('cart-updated');
-            }
-            
-            return true;
+        if (typeof raw.sku !== 'string' || raw.sku.trim() === '') {
+            fail('sku', 'Required');
         }
         
-        return false;
-    }
-    
-    saveCart() {
-        if (this.db) {
-            try {
-                const tx = this.db.transaction('cart', 'readwrite');
-                const store = tx.objectStore('cart');
-                
-                // Clear and re-add all items
-                store.clear();
-                this.cart.forEach(item => store.put(item));
-            } catch (error) {
-                console.error('NASA: Failed to save cart to IndexedDB', error);
+        if (typeof raw.image !== 'string' || raw.image.trim() === '') {
+            fail('image', 'Required');
+        }
+        
+        if (raw.tags !== undefined && (!Array.isArray(raw.tags) || raw.tags.some(tag => typeof tag !== 'string'))) {
+            fail('tags', 'Must be a list of strings');
+        }
+        
+        if (raw.specs !== undefined && (typeof raw.specs !== 'object' || Array.isArray(raw.specs) || raw.specs === null)) {
+            fail('specs', 'Must be an object');
+        }
+        
+        const releaseDate = String(raw.releaseDate);
+        if (raw.releaseDate !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(releaseDate) || isNaN(new Date(`${releaseDate}T00:00:00`)))) {
+            fail('releaseDate', 'Must be a date in YYYY-MM-DD format');
+        }
+        
+        const variants = raw.variants || [];
+        if (!Array.isArray(variants)) {
+            fail('variants', 'Must be a list');
+        } else if (variants.length === 0) {
+            if (!Number.isInteger(raw.stock) || raw.stock < 0) {
+                fail('stock', 'Must be a whole number of 0 or more when there are no variants');
             }
         } else {
-            localStorage.setItem('nasa_cart', JSON.stringify(this.cart));
+            const suffixes = new Set();
+            const options = new Set();
+            
+            variants.forEach((variant, index) => {
+                const field = `variants[${index}]`;
+                
+                if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+                    fail(field, 'Entry is not an object');
+                    return;
+                }
+                
+                ['size', 'color'].forEach(key => {
+                    if (variant[key] !== undefined && variant[key] !== null && typeof variant[key] !== 'string') {
+                        fail(`${field}.${key}`, 'Must be text');
+                    }
+                });
+                
+                // Shoppers pick a variant by size and colour, so each pair may appear only once
+                const option = `${variant.size || ''}|${variant.color || ''}`;
+                if (options.has(option)) {
+                    fail(field, `Duplicate size and colour "${[variant.size, variant.color].filter(Boolean).join(' / ') || 'default'}"`);
+                }
+                options.add(option);
+                
+                if (!Number.isInteger(variant.stock) || variant.stock < 0) {
+                    fail(`${field}.stock`, 'Must be a whole number of 0 or more');
+                }
+                
+                if (variants.length > 1 && !variant.skuSuffix) {
+                    fail(`${field}.skuSuffix`, 'Required when a product has several variants');
+                }
+                
+                if (suffixes.has(variant.skuSuffix)) {
+                    fail(`${field}.skuSuffix`, `Duplicate suffix "${variant.skuSuffix}"`);
+                }
+                suffixes.add(variant.skuSuffix);
+                
+                if (variant.priceDelta !== undefined && (typeof variant.priceDelta !== 'number' || !isFinite(variant.priceDelta))) {
+                    fail(`${field}.priceDelta`, 'Must be a number');
+                }
+            });
         }
+        
+        return errors;
     }
     
-    toggleFavorite(productId) {
-        if (this.favorites.has(productId)) {
-            this.favorites.delete(productId);
-        } else {
-            this.favorites.add(productId);
+    cleanProduct(raw) {
+        const product = {};
+        this.productFields.forEach(field => {
+            if (raw[field] !== undefined) product[field] = raw[field];
+        });
+        
+        product.featured = Boolean(raw.featured);
+        product.description = raw.description || '';
+        product.tags = raw.tags || [];
+        product.specs = raw.specs || {};
+        product.mission = raw.mission || null;
+        product.preorder = Boolean(raw.preorder);
+        
+        if (raw.variants && raw.variants.length > 0) {
+            product.variants = raw.variants;
         }
         
-        this.saveFavorites();
-        this.notifyObservers('favorites-updated');
+        return product;
+    }
+}
+
+// NASA Search Index - weighted, typo-tolerant product search
+class NASA_SearchIndex {
+    constructor() {
+        this.fieldWeights = {
+            name: 5,
+            tags: 3,
+            mission: 3,
+            category: 2,
+            specs: 1.5,
+            description: 1
+        };
+        this.matchFactors = {
+            exact: 1,
+            prefix: 0.75,
+            typo: 0.5
+        };
+        this.products = new Map();
+        this.terms = new Map();
     }
     
-    saveFavorites() {
-        const favoritesArray = Array.from(this.favorites);
+    build(products) {
+        this.products.clear();
+        this.terms.clear();
         
-        if (this.db) {
-            try {
-                const tx = this.db.transaction('favorites', 'readwrite');
-                const store = tx.objectStore('favorites');
-                
-                store.clear();
-                favoritesArray.forEach(id => store.put({ id }));
-            } catch (error) {
-                console.error('NASA: Failed to save favorites to IndexedDB', error);
-            }
-        } else {
-            localStorage.setItem('nasa_favorites', JSON.stringify(favoritesArray));
-        }
-    }
-    
-    calculateCartTotal() {
-        return this.cart.reduce((total, item) => total + (item.price * item.quantity), 0);
-    }
-    
-    getCartCount() {
-        return this.cart.reduce((count, item) => count + item.quantity, 0);
+        products.forEach(product => {
+            this.products.set(product.id, product);
+            
+            const fields = this.extractFields(product);
+            Object.keys(fields).forEach(field => {
+                this.tokenize(fields[field]).forEach(token => {
+                    if (!this.terms.has(token)) {
+                        this.terms.set(token, new Map());
+                    }
+                    
+                    const postings = this.terms.get(token);
+                    if (!postings.has(product.id)) {
+                        postings.set(product.id, new Set());
+                    }
+                    postings.get(product.id).add(field);
+                });
+            });
+        });
     }
     
-    subscribe(observer) {
-        this.productObservers.push(observer);
-        return () => {
-            const index = this.productObservers.indexOf(observer);
-            if (index > -1) this.productObservers.splice(index, 1);
+    extractFields(product) {
+        const specs = Object.entries(product.specs || {})
+            .map(([key, value]) => `${key} ${Array.isArray(value) ? value.join(' ') : value}`)
+            .join(' ');
+        
+        return {
+            name: product.name || '',
+            tags: (product.tags || []).join(' '),
+            mission: product.mission || '',
+            category: product.category || '',
+            specs: specs,
+            description: product.description || ''
         };
     }
     
-    notifyObservers(event) {
-        this.productObservers.forEach(observer => {
-            try {
-                observer(event, this);
-            } catch (error) {
-                console.error('NASA Product Observer Error:', error);
-            }
-        });
+    tokenize(text) {
+        return String(text)
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length > 0);
     }
     
-    getPagedProducts(page = 1) {
-        this.currentPage = page;
-        const start = (page - 1) * this.productsPerPage;
-        const end = start + this.productsPerPage;
-        return this.filteredProducts.slice(start, end);
+    search(query) {
+        const queryTerms = this.tokenize(query);
+        if (queryTerms.length === 0) return [];
+        
+        const results = new Map();
+        
+        for (let i = 0; i < queryTerms.length; i++) {
+            const termScores = this.scoreTerm(queryTerms[i]);
+            
+            // Every query term has to match something in the product
+            if (i === 0) {
+                termScores.forEach((entry, productId) => {
+                    results.set(productId, { score: entry.score, matches: entry.matches });
+                });
+            } else {
+                results.forEach((result, productId) => {
+                    const entry = termScores.get(productId);
+                    if (!entry) {
+                        results.delete(productId);
+                        return;
+                    }
+                    
+                    result.score += entry.score;
+                    Object.keys(entry.matches).forEach(field => {
+                        result.matches[field] = new Set([...(result.matches[field] || []), ...entry.matches[field]]);
+                    });
+                });
+            }
+            
+            if (results.size === 0) return [];
+        }
+        
+        const phrase = queryTerms.join(' ');
+        
+        return Array.from(results.entries())
+            .map(([productId, result]) => {
+                const product = this.products.get(productId);
+                
+                // Whole-phrase hits in the name rank above scattered matches
+                if (this.tokenize(product.name).join(' ').includes(phrase)) {
+                    result.score += this.fieldWeights.name;
+                }
+                
+                return { product, score: Math.round(result.score * 100) / 100, matches: result.matches };
+            })
+            .sort((a, b) => b.score - a.score);
     }
     
-    getTotalPages() {
-        return Math.ceil(this.filteredProducts.length / this.productsPerPage);
-    }
-}
-
-// NASA Mission Control Interface
-class NASA_MissionControl {
-    constructor() {
-        this.currentMission = 'artemis';
-        this.missionData = {
-            artemis: {
-                name: 'Artemis Program',
-                status: 'active',
-                phase: 'Phase II',
-                nextLaunch: '2025-12-01',
-                progress: 65,
-                description: 'Returning humans to the Moon and establishing sustainable lunar exploration.'
-            },
-            mars: {
-                name: 'Mars Campaign',
-                status: 'planning',
-                phase: 'MAT Phase',
-                nextLaunch: '2030-07-15',
-                progress: 30,
-                description: 'Preparing for human missions to Mars with robotic precursors.'
-            },
-            iss: {
-                name: 'International Space Station',
-                status: 'operational',
-                phase: 'Expedition 68',
-                nextLaunch: '2024-03-15',
-                progress: 95,
-                description: 'Orbital laboratory for scientific research and technology development.'
-            },
-            gateway: {
-                name: 'Lunar Gateway',
-                status: 'development',
-                phase: 'Assembly Phase',
-                nextLaunch: '2026-11-01',
-                progress: 45,
-                description: 'Lunar orbital platform for deep space exploration.'
+    scoreTerm(queryTerm) {
+        const scores = new Map();
+        const maxTypos = queryTerm.length < 4 ? 0 : (queryTerm.length < 8 ? 1 : 2);
+        
+        this.terms.forEach((postings, token) => {
+            let factor = 0;
+            
+            if (token === queryTerm) {
+                factor = this.matchFactors.exact;
+            } else if (queryTerm.length >= 2 && token.startsWith(queryTerm)) {
+                factor = this.matchFactors.prefix;
+            } else if (maxTypos > 0) {
+                const distance = Math.min(
+                    this.editDistance(queryTerm, token, maxTypos),
+                    this.editDistance(queryTerm, token.slice(0, queryTerm.length), maxTypos)
+                );
+                
+                if (distance <= maxTypos) {
+                    factor = this.matchFactors.typo / distance;
+                }
             }
-        };
+            
+            if (factor === 0) return;
+            
+            postings.forEach((fields, productId) => {
+                const weight = Array.from(fields).reduce((total, field) => total + this.fieldWeights[field], 0);
+                const score = weight * factor;
+                const existing = scores.get(productId);
+                
+                if (!existing) {
+                    scores.set(productId, { score, matches: this.fieldsToMatches(fields, token) });
+                    return;
+                }
+                
+                existing.score = Math.max(existing.score, score);
+                fields.forEach(field => {
+                    existing.matches[field] = existing.matches[field] || new Set();
+                    existing.matches[field].add(token);
+                });
+            });
+        });
         
-        this.liveFeed = [];
-        this.missionTimers = new Map();
-        this.initMissionControl();
+        return scores;
     }
     
-    initMissionControl() {
-        this.startLiveFeed();
-        this.startMissionTimers();
-        this.initWebSocket();
+    fieldsToMatches(fields, token) {
+        const matches = {};
+        fields.forEach(field => {
+            matches[field] = new Set([token]);
+        });
+        return matches;
     }
     
-    startLiveFeed() {
-        // Simulate live mission updates
-        const missionUpdates = [
-            "Artemis III landing sites under evaluation",
-            "ISS completes 145,678th orbit",
-            "Mars Sample Return mission design review complete",
-            "JPL releases new exoplanet data archive",
-            "Lunar Gateway propulsion module testing",
-            "Space Launch System core stage assembly",
-            "Hubble Space Telescope maintenance completed",
-            "James Webb Telescope new discoveries",
-            "Commercial Crew Program milestones achieved",
-            "Space weather monitoring alert system updated"
-        ];
+    editDistance(a, b, limit) {
+        // Damerau-Levenshtein (optimal string alignment) with an early exit past the limit
+        if (Math.abs(a.length - b.length) > limit) return limit + 1;
         
-        // Add initial updates
-        for (let i = 0; i < 3; i++) {
-            this.addLiveFeedUpdate(missionUpdates[i]);
+        const rows = [];
+        for (let i = 0; i <= a.length; i++) {
+            rows[i] = [i];
+        }
+        for (let j = 0; j <= b.length; j++) {
+            rows[0][j] = j;
         }
         
-        // Simulate new updates every 30-60 seconds
-        setInterval(() => {
-            const randomUpdate = missionUpdates[Math.floor(Math.random() * missionUpdates.length)];
-            this.addLiveFeedUpdate(randomUpdate);
-        }, 30000 + Math.random() * 30000);
+        for (let i = 1; i <= a.length; i++) {
+            let rowMin = Infinity;
+            
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(
+                    rows[i - 1][j] + 1,
+                    rows[i][j - 1] + 1,
+                    rows[i - 1][j - 1] + cost
+                );
+                
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+                
+                rowMin = Math.min(rowMin, rows[i][j]);
+            }
+            
+            if (rowMin > limit) return limit + 1;
+        }
+        
+        return rows[a.length][b.length];
     }
     
-    addLiveFeedUpdate(text, mission = null) {
-        const update = {
-            id: Date.now(),
-            timestamp: new Date().toISOString(),
-            text: text,
-            mission: mission || this.getRandomMission(),
-            type: 'info'
-        };
+    suggest(query, limit = 6) {
+        const queryTerms = this.tokenize(query);
+        if (queryTerms.length === 0) return [];
         
-        this.liveFeed.unshift(update);
+        const lastTerm = queryTerms[queryTerms.length - 1];
+        const leading = queryTerms.slice(0, -1).join(' ');
         
-        // Keep only last 50 updates
-        if (this.liveFeed.length > 50) {
-            this.liveFeed.pop();
-        }
+        const productSuggestions = this.search(query)
+            .slice(0, Math.ceil(limit / 2))
+            .map(result => ({ type: 'product', id: result.product.id, label: result.product.name, matches: result.matches }));
         
-        // Update UI
-        this.updateLiveFeedDisplay();
+        const termSuggestions = Array.from(this.terms.entries())
+            .filter(([token]) => token !== lastTerm && token.startsWith(lastTerm) && token.length > 2)
+            .map(([token, postings]) => ({ token, weight: postings.size }))
+            .sort((a, b) => b.weight - a.weight || a.token.localeCompare(b.token))
+            .slice(0, limit - productSuggestions.length)
+            .map(({ token }) => ({ type: 'term', label: leading ? `${leading} ${token}` : token }));
         
-        return update;
+        return [...productSuggestions, ...termSuggestions];
     }
     
-    updateLiveFeedDisplay() {
-        const feedContainer = document.querySelector('.feed-content');
-        if (!feedContainer) return;
-        
-        // Show only last 5 updates
-        const recentUpdates = this.liveFeed.slice(0, 5);
+    highlight(text, tokens) {
+        const escape = NASA_SearchIndex.escapeHTML;
+        if (!tokens || tokens.size === 0) return escape(text);
         
-        feedContainer.innerHTML = recentUpdates.map(update => `
-            <div class="feed-item" data-mission="${update.mission}">
-                <span class="feed-time">${this.formatMissionTime(update.timestamp)}</span>
-                <span class="feed-text">${update.text}</span>
-            </div>
-        `).join('');
+        // Words are matched in the raw text so a query can't land inside an entity such as &amp;
+        return String(text).split(/([A-Za-z0-9\u00C0-\u024F]+)/).map((part, index) => {
+            if (index % 2 === 0) return escape(part);
+            
+            const normalized = this.tokenize(part)[0];
+            return normalized && tokens.has(normalized) ? `<mark class="search-highlight">${escape(part)}</mark>` : escape(part);
+        }).join('');
     }
     
-    formatMissionTime(timestamp) {
-        const date = new Date(timestamp);
-        const now = new Date();
-        const diffMs = now - date;
-        const diffMins = Math.floor(diffMs / 60000);
-        
-        if (diffMins < 1) return 'Just now';
-        if (diffMins < 60) return `T+00:${diffMins.toString().padStart(2, '0')}:00`;
-        
-        const diffHours = Math.floor(diffMins / 60);
-        return `T+${diffHours.toString().padStart(2, '0')}:${(diffMins % 60).toString().padStart(2, '0')}:00`;
+    static escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
-    
-    startMissionTimers() {
-        Object.keys(this.missionData).forEach(mission => {
-            this.startMissionTimer(mission);
-        });
+}
+
+// NASA Tab Sync - broadcasts state changes to the store's other open tabs
+class NASA_TabSync {
+    constructor(name = 'nasa-store') {
+        this.name = name;
+        this.storageKey = `${name}-sync`;
+        this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`;
+        this.handlers = new Map();
+        this.channel = null;
+        this.onStorage = null;
+        
+        this.init();
+    }
+    
+    init() {
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel(this.name);
+            this.channel.onmessage = (event) => this.receive(event.data);
+            return;
+        }
+        
+        // Without BroadcastChannel, a localStorage write fires 'storage' in every other tab
+        this.onStorage = (event) => {
+            if (event.key !== this.storageKey || !event.newValue) return;
+            
+            try {
+                this.receive(JSON.parse(event.newValue));
+            } catch (error) {
+                console.warn('NASA: Ignored malformed tab sync message', error);
+            }
+        };
+        window.addEventListener('storage', this.onStorage);
     }
     
-    startMissionTimer(mission) {
-        const timerId = setInterval(() => {
-            this.updateMissionProgress(mission);
-        }, 5000);
+    publish(type, payload) {
+        const message = { type: type, payload: payload, from: this.tabId, at: Date.now() };
         
-        this.missionTimers.set(mission, timerId);
+        if (this.channel) {
+            this.channel.postMessage(message);
+            return;
+        }
+        
+        try {
+            // Removing it straight away keeps the key free; other tabs still see the write
+            localStorage.setItem(this.storageKey, JSON.stringify(message));
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('NASA: Failed to broadcast to other tabs', error);
+        }
     }
     
-    updateMissionProgress(mission) {
-        const data = this.missionData[mission];
-        
-        // Simulate progress changes
-        if (data.status === 'active' || data.status === 'development') {
-            const change = (Math.random() - 0.3) * 0.5; // -0.15 to +0.35
-            data.progress = Math.max(0, Math.min(100, data.progress + change));
-            
-            // Update UI if element exists
-            const progressElement = document.querySelector(`[data-mission="${mission}"] .mission-progress`);
-            if (progressElement) {
-                progressElement.style.width = `${data.progress}%`;
-                progressElement.textContent = `${Math.round(data.progress)}%`;
-            }
+    subscribe(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
         }
+        this.handlers.get(type).add(handler);
+        
+        return () => this.handlers.get(type).delete(handler);
     }
     
-    initWebSocket() {
-        // Simulate WebSocket connection for real-time updates
-        if (window.WebSocket) {
+    receive(message) {
+        if (!message || message.from === this.tabId) return;
+        
+        (this.handlers.get(message.type) || []).forEach(handler => {
             try {
-                // In production, this would connect to actual mission control server
-                // this.ws = new WebSocket('wss://mission-control.nasa.gov/stream');
-                
-                // For demo, simulate WebSocket behavior
-                this.simulateWebSocket();
+                handler(message.payload, message);
             } catch (error) {
-                console.warn('NASA: WebSocket simulation enabled');
-                this.simulateWebSocket();
+                console.error('NASA Tab Sync Handler Error:', error);
             }
-        }
+        });
     }
     
-    simulateWebSocket() {
-        // Simulate receiving mission updates
-        setInterval(() => {
-            const events = [
-                { type: 'telemetry', mission: 'artemis', data: { altitude: 384400, velocity: 3680 }},
-                { type: 'status', mission: 'iss', data: { crew: 7, oxygen: 95, power: 88 }},
-                { type: 'alert', mission: 'mars', data: { event: 'dust_storm', level: 'moderate' }},
-                { type: 'science', mission: 'hubble', data: { observation: 'exoplanet_atmosphere', status: 'complete' }}
-            ];
-            
-            const event = events[Math.floor(Math.random() * events.length)];
-            this.handleMissionEvent(event);
-        }, 15000);
-    }
-    
-    handleMissionEvent(event) {
-        switch (event.type) {
-            case 'telemetry':
-                this.updateTelemetryDisplay(event.mission, event.data);
-                break;
-            case 'status':
-                this.updateStatusDisplay(event.mission, event.data);
-                break;
-            case 'alert':
-                this.showMissionAlert(event.mission, event.data);
-                break;
-            case 'science':
-                this.addScienceUpdate(event.mission, event.data);
-                break;
-        }
-    }
-    
-    updateTelemetryDisplay(mission, data) {
-        // Update telemetry displays in UI
-        const telemetryElements = document.querySelectorAll(`[data-telemetry="${mission}"]`);
-        telemetryElements.forEach(element => {
-            const metric = element.dataset.metric;
-            if (data[metric]) {
-                element.textContent = data[metric];
-                element.classList.add('telemetry-updated');
-                
-                setTimeout(() => {
-                    element.classList.remove('telemetry-updated');
-                }, 1000);
+    // Removals only need to outlive the copies still open in other tabs
+    static pruneRemovals(removed, maxAge = 24 * 60 * 60 * 1000) {
+        const cutoff = Date.now() - maxAge;
+        return Object.fromEntries(Object.entries(removed || {}).filter(([, at]) => at > cutoff));
+    }
+    
+    // Latest write wins per key; a removal beats any edit made before it
+    static merge(local, remote, keyOf) {
+        const byKey = new Map();
+        [...local.items, ...remote.items].forEach(item => {
+            const key = keyOf(item);
+            const current = byKey.get(key);
+            const newer = !current || (item.updatedAt || 0) > (current.updatedAt || 0);
+            // Ties must resolve the same way in every tab, or they would trade edits forever
+            const tieWin = current && (item.updatedAt || 0) === (current.updatedAt || 0)
+                && JSON.stringify(item) > JSON.stringify(current);
+            if (newer || tieWin) {
+                byKey.set(key, item);
             }
         });
-    }
-    
-    showMissionAlert(mission, data) {
-        const alert = {
-            mission: mission,
-            level: data.level || 'info',
-            message: `${mission.toUpperCase()}: ${data.event}`,
-            timestamp: new Date().toISOString()
-        };
         
-        this.showNotification(alert.message, alert.level);
-        this.addLiveFeedUpdate(alert.message, mission);
-    }
-    
-    showNotification(message, type = 'info') {
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.className = `mission-notification notification-${type}`;
-        notification.innerHTML = `
-            <div class="notification-content">
-                <div class="notification-icon">⚠️</div>
-                <div class="notification-text">${message}</div>
-            </div>
-            <button class="notification-close">×</button>
-        `;
+        const removed = {};
+        [local.removed, remote.removed].forEach(removals => {
+            Object.entries(removals || {}).forEach(([key, at]) => {
+                removed[key] = Math.max(removed[key] || 0, at);
+            });
+        });
         
-        notification.querySelector('.notification-close').addEventListener('click', () => {
-            notification.remove();
+        const items = [];
+        byKey.forEach((item, key) => {
+            if ((item.updatedAt || 0) > (removed[key] || 0)) {
+                items.push(item);
+                delete removed[key];
+            }
         });
         
-        // Add to notification container
-        const container = document.querySelector('.notification-container') || this.createNotificationContainer();
-        container.appendChild(notification);
+        return { items: items, removed: NASA_TabSync.pruneRemovals(removed) };
+    }
+    
+    destroy() {
+        this.channel?.close();
+        if (this.onStorage) window.removeEventListener('storage', this.onStorage);
+        this.handlers.clear();
+    }
+}
+
+// NASA Product Management System
+class NASA_ProductManager {
+    constructor() {
+        this.products = [];
+        this.filteredProducts = [];
+        this.currentFilter = 'all';
+        this.currentView = 'grid';
+        this.productsPerPage = 12;
+        this.currentPage = 1;
+        this.sortBy = 'featured';
+        this.cart = [];
+        this.favorites = new Set();
+        // Per-item timestamps let tabs merge concurrent edits; removals are kept so a stale tab can't revive a line
+        this.cartRemovals = {};
+        this.favoriteTimes = {};
+        this.favoriteRemovals = {};
+        this.productObservers = [];
+        this.catalogUrl = 'data/catalog.json';
+        this.catalogVersion = null;
+        this.catalogErrors = [];
+        this.catalogLoader = new NASA_CatalogLoader();
+        this.storeSettings = this.loadStoreSettings();
+        this.searchIndex = new NASA_SearchIndex();
+        this.searchQuery = '';
+        this.searchResults = new Map();
+        this.query = this.createEmptyQuery();
+        this.facets = null;
+        this.priceRanges = [
+            { id: 'under-1000', label: 'Under ₹1,000', min: 0, max: 1000 },
+            { id: '1000-5000', label: '₹1,000 – ₹5,000', min: 1000, max: 5000 },
+            { id: '5000-20000', label: '₹5,000 – ₹20,000', min: 5000, max: 20000 },
+            { id: 'over-20000', label: 'Over ₹20,000', min: 20000, max: Infinity }
+        ];
         
-        // Auto-remove after 5 seconds
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.classList.add('notification-fade-out');
-                setTimeout(() => notification.remove(), 300);
-            }
-        }, 5000);
+        this.initIndexedDB();
+        this.initProducts();
+        this.initTabSync();
     }
     
-    createNotificationContainer() {
-        const container = document.createElement('div');
-        container.className = 'notification-container';
-        document.body.appendChild(container);
-        return container;
+    initTabSync() {
+        this.tabSync = new NASA_TabSync('nasa-store');
+        this.tabSync.subscribe('cart', (state) => this.applyRemoteCart(state));
+        this.tabSync.subscribe('favorites', (state) => this.applyRemoteFavorites(state));
     }
     
-    getRandomMission() {
-        const missions = Object.keys(this.missionData);
-        return missions[Math.floor(Math.random() * missions.length)];
+    initProducts() {
+        // The catalog is served from a versioned feed; see loadCatalog()
+        this.products = [];
+        this.filteredProducts = [];
+        this.catalogReady = this.loadCatalog();
     }
     
-    switchMission(mission) {
-        if (this.missionData[mission]) {
-            this.currentMission = mission;
+    async loadCatalog(url = this.catalogUrl) {
+        // Serve the cached catalog first so the grid isn't empty while the feed loads
+        const cached = await this.loadCachedCatalog();
+        if (cached.products.length > 0 && this.products.length === 0) {
+            this.setCatalog(cached.products, cached.version, 'cache');
+        }
+        
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`Catalog request failed with status ${response.status}`);
+            }
             
-            // Update UI
-            document.querySelectorAll('.mission-control').forEach(element => {
-                element.dataset.currentMission = mission;
-            });
+            const isCSV = url.endsWith('.csv') || (response.headers.get('content-type') || '').includes('text/csv');
+            const result = isCSV
+                ? this.catalogLoader.parseCSV(await response.text())
+                : this.catalogLoader.parseJSON(await response.json());
             
-            // Trigger mission change event
-            this.notifyMissionChange(mission);
+            this.reportCatalogErrors(result.errors);
+            if (result.store) {
+                this.setStoreSettings(result.store);
+            }
             
-            return true;
+            if (result.version && result.version === this.catalogVersion) {
+                return this.products;
+            }
+            
+            if (result.products.length === 0) {
+                throw new Error('Catalog feed contains no valid products');
+            }
+            
+            this.setCatalog(result.products, result.version, 'feed');
+            this.cacheCatalog(result.products, result.version);
+        } catch (error) {
+            console.warn('NASA: Failed to load catalog feed', error);
+            
+            if (this.products.length === 0) {
+                this.notifyObservers('catalog-error');
+            }
         }
-        return false;
+        
+        return this.products;
     }
     
-    notifyMissionChange(mission) {
-        const event = new CustomEvent('nasa-mission-change', {
-            detail: { mission, data: this.missionData[mission] }
-        });
-        window.dispatchEvent(event);
+    importCatalogCSV(text) {
+        const result = this.catalogLoader.parseCSV(text);
+        this.reportCatalogErrors(result.errors);
+        
+        if (result.products.length > 0) {
+            const version = result.version || `csv-${Date.now()}`;
+            this.setCatalog(result.products, version, 'csv');
+            this.cacheCatalog(result.products, version);
+        }
+        
+        return { imported: result.products.length, errors: result.errors };
     }
     
-    getMissionData(mission = null) {
-        return mission ? this.missionData[mission] : this.missionData[this.currentMission];
+    setCatalog(products, version, source) {
+        this.products = products.map(product => this.normalizeProduct(product));
+        this.catalogVersion = version;
+        this.catalogSource = source;
+        this.searchIndex.build(this.products);
+        
+        this.applyQuery();
+        this.notifyObservers('catalog-loaded');
     }
     
-    destroy() {
-        this.missionTimers.forEach(timer => clearInterval(timer));
-        this.missionTimers.clear();
+    reportCatalogErrors(errors) {
+        this.catalogErrors = errors;
         
-        if (this.ws) {
-            this.ws.close();
+        if (errors.length > 0) {
+            console.warn(`NASA Catalog: ${errors.length} invalid entr${errors.length === 1 ? 'y' : 'ies'} skipped`, errors);
+            this.notifyObservers('catalog-errors');
         }
     }
-}
-
-// NASA Order System with WhatsApp Integration
-class NASA_OrderSystem {
-    constructor() {
-        this.whatsappNumber = '+919957811508';
-        this.orderQueue = [];
-        this.orderHistory = [];
-        this.currentOrder = null;
-        this.orderTemplates = {
-            basic: `Hello, I want to place an order:
-Product: {product}
-Size: {size}
-Quantity: {quantity}
-Address: {address}
-Name: {name}`,
-            
-            detailed: `Hello ${this.getStoreName()}, I want to place an order:
-
-📦 ORDER DETAILS:
-Product: {product}
-Price: {price}
-Size: {size}
-Quantity: {quantity}
-Total: {total}
-
-👤 CUSTOMER DETAILS:
-Name: {name}
-Address: {address}
-Phone: {phone}
-
-🆔 Order ID: {orderId}`,
-            
-            nasa: `🚀 MISSION ORDER TRANSMISSION
-To: ${this.getStoreName()} Mission Control
-From: {name}
-
-📡 PAYLOAD SPECIFICATIONS:
-Product: {product}
-Mission: {mission}
-Size: {size}
-Quantity: {quantity}
-Mass: {mass} kg
-SKU: {sku}
-
-📍 DESTINATION COORDINATES:
-{address}
-
-📞 COMMS FREQUENCY:
-{phone}
-
-🆔 MISSION ID: {orderId}
-📊 TOTAL COST: {total}
-⏱️ TRANSMISSION TIME: {timestamp}`
-        };
-        
-        this.initOrderSystem();
-    }
     
-    initOrderSystem() {
-        this.loadOrderHistory();
-        this.initOrderForm();
+    getCatalogErrors() {
+        return this.catalogErrors;
     }
     
-    getStoreName() {
-        return 'arestopranav_.0p STORE';
+    loadStoreSettings() {
+        try {
+            return JSON.parse(localStorage.getItem('nasa_store_settings')) || {};
+        } catch (error) {
+            console.warn('NASA: Failed to load store settings', error);
+            return {};
+        }
     }
     
-    createOrder(product, customer, options = {}) {
-        const orderId = this.generateOrderId();
-        const timestamp = new Date().toISOString();
-        const total = product.price * options.quantity;
-        
-        const order = {
-            id: orderId,
-            timestamp: timestamp,
-            product: {
-                id: product.id,
-                name: product.name,
-                price: product.price,
-                sku: product.sku,
-                category: product.category,
-                mission: product.mission
-            },
-            customer: {
-                name: customer.name,
-                address: customer.address,
-                phone: customer.phone,
-                email: customer.email
-            },
-            options: {
-                size: options.size || null,
-                quantity: options.quantity || 1,
-                notes: options.notes || ''
-            },
-            total: total,
-            status: 'pending',
-            payment: {
-                method: options.paymentMethod || 'whatsapp',
-                status: 'pending'
-            },
-            shipping: {
-                method: 'standard',
-                estimatedDelivery: this.calculateDeliveryDate(),
-                tracking: null
-            }
-        };
-        
-        this.currentOrder = order;
-        this.orderQueue.push(order);
-        
-        // Save to history
-        this.saveOrder(order);
+    setStoreSettings(settings) {
+        if (JSON.stringify(settings) === JSON.stringify(this.storeSettings)) return;
+        this.storeSettings = { ...settings };
         
-        // Update UI
-        this.updateOrderStatus();
+        try {
+            localStorage.setItem('nasa_store_settings', JSON.stringify(this.storeSettings));
+        } catch (error) {
+            console.warn('NASA: Failed to save store settings', error);
+        }
         
-        return order;
+        this.notifyObservers('store-settings-updated');
     }
     
-    generateOrderId() {
-        const timestamp = Date.now().toString(36);
-        const random = Math.random().toString(36).substr(2, 5);
-        return `NASA-${timestamp}-${random}`.toUpperCase();
+    getStoreSettings() {
+        return { ...this.storeSettings };
     }
     
-    calculateDeliveryDate() {
-        const date = new Date();
-        date.setDate(date.getDate() + 5); // 5 days standard delivery
-        return date.toISOString();
+    async loadCachedCatalog() {
+        const db = await this.dbReady;
+        const version = localStorage.getItem('nasa_catalog_version');
+        if (!db) return { products: [], version: null };
+        
+        return new Promise(resolve => {
+            try {
+                const request = db.transaction('products', 'readonly').objectStore('products').getAll();
+                request.onsuccess = (event) => resolve({ products: event.target.result || [], version });
+                request.onerror = () => resolve({ products: [], version: null });
+            } catch (error) {
+                console.warn('NASA: Failed to read cached catalog', error);
+                resolve({ products: [], version: null });
+            }
+        });
     }
     
-    initOrderForm() {
-        const orderForm = document.getElementById('order-form');
-        if (orderForm) {
-            orderForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.handleOrderSubmit(e);
-            });
+    cacheCatalog(products, version) {
+        if (!this.db) return;
+        
+        try {
+            const tx = this.db.transaction('products', 'readwrite');
+            const store = tx.objectStore('products');
+            
+            store.clear();
+            this.products.forEach(product => store.put(product));
+            
+            tx.oncomplete = () => localStorage.setItem('nasa_catalog_version', version);
+        } catch (error) {
+            console.error('NASA: Failed to cache catalog in IndexedDB', error);
         }
+    }
+    
+    normalizeProduct(product) {
+        // Products without explicit variants sell a single default variant
+        const variants = (product.variants && product.variants.length > 0)
+            ? product.variants
+            : [{ size: null, color: null, skuSuffix: '', stock: product.stock || 0 }];
         
-        // Initialize quantity controls
-        this.initQuantityControls();
+        const normalizedVariants = variants.map(variant => ({
+            id: variant.skuSuffix || 'default',
+            size: variant.size || null,
+            color: variant.color || null,
+            skuSuffix: variant.skuSuffix || '',
+            stock: Math.max(0, parseInt(variant.stock) || 0),
+            priceDelta: variant.priceDelta || 0
+        }));
         
-        // Initialize size selection
-        this.initSizeSelection();
+        return {
+            ...product,
+            variants: normalizedVariants,
+            stock: normalizedVariants.reduce((total, variant) => total + variant.stock, 0)
+        };
     }
     
-    initQuantityControls() {
-        document.querySelectorAll('.quantity-control').forEach(control => {
-            const decreaseBtn = control.querySelector('[data-action="decrease"]');
-            const increaseBtn = control.querySelector('[data-action="increase"]');
-            const quantityDisplay = control.querySelector('.quantity-value');
-            
-            if (decreaseBtn && increaseBtn && quantityDisplay) {
-                let quantity = parseInt(quantityDisplay.textContent) || 1;
+    async initIndexedDB() {
+        this.dbReady = new Promise(resolve => {
+            this.resolveDbReady = resolve;
+        });
+        
+        if ('indexedDB' in window) {
+            try {
+                const request = indexedDB.open('NASA_Store', 2);
                 
-                decreaseBtn.addEventListener('click', () => {
-                    if (quantity > 1) {
-                        quantity--;
-                        quantityDisplay.textContent = quantity;
-                        this.updateOrderSummary();
+                request.onupgradeneeded = (event) => {
+                    const db = event.target.result;
+                    
+                    // Create object stores
+                    if (!db.objectStoreNames.contains('products')) {
+                        db.createObjectStore('products', { keyPath: 'id' });
                     }
-                });
-                
-                increaseBtn.addEventListener('click', () => {
-                    if (quantity < 10) {
-                        quantity++;
-                        quantityDisplay.textContent = quantity;
-                        this.updateOrderSummary();
+                    
+                    // v1 keyed cart lines by product id, which collapsed different sizes
+                    if (event.oldVersion < 2 && db.objectStoreNames.contains('cart')) {
+                        db.deleteObjectStore('cart');
                     }
-                });
+                    
+                    if (!db.objectStoreNames.contains('cart')) {
+                        db.createObjectStore('cart', { keyPath: 'key' });
+                    }
+                    
+                    if (!db.objectStoreNames.contains('favorites')) {
+                        db.createObjectStore('favorites', { keyPath: 'id' });
+                    }
+                    
+                    if (!db.objectStoreNames.contains('orders')) {
+                        db.createObjectStore('orders', { keyPath: 'orderId', autoIncrement: true });
+                    }
+                };
+                
+                request.onsuccess = (event) => {
+                    this.db = event.target.result;
+                    this.resolveDbReady(this.db);
+                    this.loadFromIndexedDB();
+                };
+                
+                request.onerror = (event) => {
+                    console.error('NASA IndexedDB Error:', event.target.error);
+                    this.resolveDbReady(null);
+                };
+            } catch (error) {
+                console.warn('NASA: IndexedDB not available, using localStorage');
+                this.resolveDbReady(null);
+                this.useLocalStorage();
             }
-        });
+        } else {
+            this.resolveDbReady(null);
+        }
     }
     
-    initSizeSelection() {
-        document.querySelectorAll('.size-selector').forEach(selector => {
-            const options = selector.querySelectorAll('.size-option');
+    async loadFromIndexedDB() {
+        if (!this.db) return;
+        
+        try {
+            // Load cart
+            const cartTx = this.db.transaction('cart', 'readonly');
+            const cartStore = cartTx.objectStore('cart');
+            const cartRequest = cartStore.getAll();
             
-            options.forEach(option => {
-                option.addEventListener('click', () => {
-                    options.forEach(opt => opt.classList.remove('active'));
-                    option.classList.add('active');
-                    this.updateOrderSummary();
-                });
-            });
-        });
+            cartRequest.onsuccess = (event) => {
+                this.cart = (event.target.result || []).map(item => this.normalizeCartItem(item)).filter(Boolean);
+                this.notifyObservers('cart-updated');
+            };
+            
+            // Load favorites
+            const favTx = this.db.transaction('favorites', 'readonly');
+            const favStore = favTx.objectStore('favorites');
+            const favRequest = favStore.getAll();
+            
+            favRequest.onsuccess = (event) => {
+                const favorites = event.target.result || [];
+                this.favorites = new Set(favorites.map(f => f.id));
+                favorites.forEach(f => { this.favoriteTimes[f.id] = f.updatedAt || 0; });
+                this.notifyObservers('favorites-updated');
+            };
+        } catch (error) {
+            console.error('NASA: Failed to load from IndexedDB', error);
+        }
     }
     
-    handleOrderSubmit(event) {
-        event.preventDefault();
-        
-        const form = event.target;
-        const formData = new FormData(form);
+    useLocalStorage() {
+        try {
+            const savedCart = localStorage.getItem('nasa_cart');
+            const savedFavorites = localStorage.getItem('nasa_favorites');
+            
+            if (savedCart) {
+                this.cart = JSON.parse(savedCart).map(item => this.normalizeCartItem(item)).filter(Boolean);
+                this.notifyObservers('cart-updated');
+            }
+            
+            if (savedFavorites) {
+                this.favorites = new Set(JSON.parse(savedFavorites));
+                this.notifyObservers('favorites-updated');
+            }
+        } catch (error) {
+            console.warn('NASA: Failed to load from localStorage', error);
+        }
+    }
+    
+    createEmptyQuery() {
+        return {
+            text: '',
+            categories: [],
+            missions: [],
+            priceRanges: [],
+            tags: [],
+            inStockOnly: false,
+            featuredOnly: false
+        };
+    }
+    
+    setQuery(changes = {}) {
+        this.query = { ...this.query, ...changes };
+        this.applyQuery();
+        return this.query;
+    }
+    
+    resetQuery(keepText = true) {
+        const text = keepText ? this.query.text : '';
+        this.query = { ...this.createEmptyQuery(), text };
+        this.currentFilter = 'all';
+        this.applyQuery();
+    }
+    
+    toggleFacet(facet, value) {
+        const current = this.query[facet];
         
-        // Validate form
-        if (!this.validateOrderForm(formData)) {
-            this.showValidationErrors();
-            return;
+        if (typeof current === 'boolean') {
+            return this.setQuery({ [facet]: !current });
         }
         
-        // Get product data
-        const productElement = document.querySelector('[data-product]');
-        const productId = productElement?.dataset.product;
-        const product = window.nasaProductManager?.getProductById(productId);
+        const values = current.includes(value)
+            ? current.filter(item => item !== value)
+            : [...current, value];
         
-        if (!product) {
-            this.showError('Product not found');
-            return;
+        return this.setQuery({ [facet]: values });
+    }
+    
+    applyQuery() {
+        const query = this.query;
+        this.searchQuery = query.text.trim();
+        
+        // Text search narrows the base set and supplies relevance order
+        let base = this.products;
+        if (this.searchQuery) {
+            const results = this.searchIndex.search(this.searchQuery);
+            this.searchResults = new Map(results.map(result => [result.product.id, result]));
+            base = results.map(result => result.product);
+        } else {
+            this.searchResults = new Map();
         }
         
-        // Create customer object
-        const customer = {
-            name: formData.get('name'),
-            address: formData.get('address'),
-            phone: formData.get('phone'),
-            email: formData.get('email')
-        };
+        this.searchBase = base;
+        this.filteredProducts = this.orderProducts(base.filter(product => this.matchesQuery(product, query)));
+        this.facets = this.computeFacets(base, query);
         
-        // Get order options
-        const quantity = parseInt(formData.get('quantity') || 1);
-        const size = formData.get('size');
-        const notes = formData.get('notes');
+        this.notifyObservers('products-filtered');
+    }
+    
+    matchesQuery(product, query, ignoreFacet = null) {
+        const check = (facet, test) => facet === ignoreFacet || test();
         
-        // Create order
-        const order = this.createOrder(product, customer, {
-            quantity: quantity,
-            size: size,
-            notes: notes,
-            paymentMethod: 'whatsapp'
-        });
+        return check('categories', () => query.categories.length === 0 || query.categories.includes(product.category)) &&
+            check('missions', () => query.missions.length === 0 || query.missions.includes(product.mission)) &&
+            check('priceRanges', () => query.priceRanges.length === 0 ||
+                query.priceRanges.some(id => this.isInPriceRange(product, id))) &&
+            check('tags', () => query.tags.length === 0 || query.tags.every(tag => (product.tags || []).includes(tag))) &&
+            check('inStockOnly', () => !query.inStockOnly || this.isInStock(product)) &&
+            check('featuredOnly', () => !query.featuredOnly || product.featured);
+    }
+    
+    computeFacets(base, query) {
+        // Each facet is counted against the other active facets, so options
+        // within one group stay selectable alongside each other
+        const countBy = (facet, valuesOf) => {
+            const counts = new Map();
+            base.forEach(product => {
+                if (!this.matchesQuery(product, query, facet)) return;
+                valuesOf(product).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+            });
+            return counts;
+        };
         
-        // Send via WhatsApp
-        this.sendOrderViaWhatsApp(order);
+        const toOptions = (facet, counts, labels = null) => {
+            const selected = query[facet];
+            const values = new Set([...counts.keys(), ...selected]);
+            
+            return [...values].map(value => ({
+                value,
+                label: labels ? labels(value) : value,
+                count: counts.get(value) || 0,
+                selected: selected.includes(value)
+            }));
+        };
         
-        // Show confirmation
-        this.showOrderConfirmation(order);
+        const categoryCounts = countBy('categories', product => [product.category]);
+        const missionCounts = countBy('missions', product => product.mission ? [product.mission] : []);
+        const tagCounts = countBy('tags', product => product.tags || []);
+        const priceCounts = countBy('priceRanges', product =>
+            this.priceRanges.filter(range => this.isInPriceRange(product, range.id)).map(range => range.id));
+        const stockCount = base.filter(product =>
+            this.matchesQuery(product, query, 'inStockOnly') && this.isInStock(product)).length;
+        const featuredCount = base.filter(product =>
+            this.matchesQuery(product, query, 'featuredOnly') && product.featured).length;
+        
+        return {
+            categories: toOptions('categories', categoryCounts).sort((a, b) => a.label.localeCompare(b.label)),
+            missions: toOptions('missions', missionCounts).sort((a, b) => a.label.localeCompare(b.label)),
+            priceRanges: this.priceRanges.map(range => ({
+                value: range.id,
+                label: range.label,
+                count: priceCounts.get(range.id) || 0,
+                selected: query.priceRanges.includes(range.id)
+            })),
+            tags: toOptions('tags', tagCounts).sort((a, b) => b.count - a.count || a.label.localeCompare(b.label)),
+            inStockOnly: { count: stockCount, selected: query.inStockOnly },
+            featuredOnly: { count: featuredCount, selected: query.featuredOnly }
+        };
     }
     
-    validateOrderForm(formData) {
-        const requiredFields = ['name', 'address', 'phone'];
-        
-        for (const field of requiredFields) {
-            if (!formData.get(field)?.trim()) {
-                return false;
-            }
+    getFacets() {
+        return this.facets;
+    }
+    
+    refreshFacets() {
+        // Stock moves with every cart change; only re-filter when it matters
+        if (this.query.inStockOnly) {
+            this.applyQuery();
+            return;
         }
         
-        // Validate phone number
-        const phone = formData.get('phone');
-        if (!this.isValidPhoneNumber(phone)) {
-            return false;
+        this.facets = this.computeFacets(this.searchBase || this.products, this.query);
+        this.notifyObservers('facets-updated');
+    }
+    
+    isInPriceRange(product, rangeId) {
+        const range = this.priceRanges.find(item => item.id === rangeId);
+        if (!range) return false;
+        
+        return product.price >= range.min && product.price < range.max;
+    }
+    
+    isInStock(product) {
+        if (window.nasaInventory) {
+            return window.nasaInventory.getProductStockState(product).status !== 'out-of-stock';
         }
         
-        return true;
+        return product.stock > 0;
     }
     
-    isValidPhoneNumber(phone) {
-        // Basic phone validation for Indian numbers
-        const phoneRegex = /^[6-9]\d{9}$/;
-        return phoneRegex.test(phone.replace(/\D/g, ''));
+    hasActiveFilters() {
+        const query = this.query;
+        return query.categories.length > 0 || query.missions.length > 0 || query.priceRanges.length > 0 ||
+            query.tags.length > 0 || query.inStockOnly || query.featuredOnly;
     }
     
-    showValidationErrors() {
-        this.showNotification('Please fill all required fields correctly', 'error');
+    filterProducts(filter, mission = null) {
+        this.currentFilter = filter;
         
-        // Highlight invalid fields
-        document.querySelectorAll('[required]').forEach(field => {
-            if (!field.value.trim()) {
-                field.classList.add('invalid');
-                
-                field.addEventListener('input', () => {
-                    if (field.value.trim()) {
-                        field.classList.remove('invalid');
-                    }
-                }, { once: true });
-            }
+        this.setQuery({
+            categories: filter === 'all' ? [] : [filter],
+            missions: !mission || mission === 'all' ? [] : [mission]
         });
     }
     
-    sendOrderViaWhatsApp(order, template = 'nasa') {
-        const messageTemplate = this.orderTemplates[template] || this.orderTemplates.nasa;
-        
-        // Format message
-        const formattedMessage = this.formatWhatsAppMessage(order, messageTemplate);
-        
-        // Encode for URL
-        const encodedMessage = encodeURIComponent(formattedMessage);
+    sortProducts(sortBy) {
+        this.sortBy = sortBy;
+        this.filteredProducts = this.orderProducts(this.filteredProducts);
         
-        // Create WhatsApp URL
-        const whatsappUrl = `https://wa.me/${this.whatsappNumber}?text=${encodedMessage}`;
+        this.notifyObservers('products-sorted');
+    }
+    
+    orderProducts(products) {
+        const sortBy = this.sortBy;
         
-        // Open in new tab
-        window.open(whatsappUrl, '_blank');
+        // Relevance order comes from the search index; without a query it falls back to featured
+        if (sortBy === 'relevance' && this.searchQuery) {
+            return [...products].sort((a, b) =>
+                this.searchResults.get(b.id).score - this.searchResults.get(a.id).score);
+        }
         
-        // Log the order transmission
-        this.logOrderTransmission(order, 'whatsapp');
+        return [...products].sort((a, b) => {
+            switch (sortBy) {
+                case 'price-low':
+                    return a.price - b.price;
+                case 'price-high':
+                    return b.price - a.price;
+                case 'featured':
+                case 'relevance':
+                    return (b.featured ? 1 : 0) - (a.featured ? 1 : 0);
+                case 'newest':
+                    return (b.id || '').localeCompare(a.id || '');
+                default:
+                    return 0;
+            }
+        });
+    }
+    
+    searchProducts(query) {
+        this.setQuery({ text: query });
+        this.notifyObservers('products-searched');
+    }
+    
+    getSearchMatch(productId) {
+        return this.searchResults.get(productId) || null;
+    }
+    
+    getSearchSuggestions(query) {
+        return this.searchIndex.suggest(query);
+    }
+    
+    getProductById(id) {
+        return this.products.find(product => product.id === id);
+    }
+    
+    getVariant(product, variantId) {
+        return product?.variants.find(variant => variant.id === variantId) || null;
+    }
+    
+    getReleaseDate(product) {
+        if (!product) return null;
         
-        return whatsappUrl;
+        // Pre-orders follow their mission's next launch unless the catalog pins a date
+        return product.releaseDate
+            || (product.preorder ? window.nasaMissionControl?.getMissionData(product.mission)?.nextLaunch : null)
+            || null;
     }
     
-    formatWhatsAppMessage(order, template) {
-        const placeholders = {
-            '{product}': order.product.name,
-            '{price}': this.formatCurrency(order.product.price),
-            '{size}': order.options.size || 'N/A',
-            '{quantity}': order.options.quantity,
-            '{address}': order.customer.address,
-            '{name}': order.customer.name,
-            '{phone}': order.customer.phone,
-            '{total}': this.formatCurrency(order.total),
-            '{orderId}': order.id,
-            '{timestamp}': new Date().toLocaleString(),
-            '{mission}': order.product.mission?.toUpperCase() || 'GENERAL',
-            '{mass}': this.calculateProductMass(order.product),
-            '{sku}': order.product.sku,
-            '{store}': this.getStoreName()
-        };
+    isPreorder(product) {
+        const releaseDate = this.getReleaseDate(product);
+        return Boolean(releaseDate) && new Date(`${releaseDate}T00:00:00`) > new Date();
+    }
+    
+    resolveVariant(product, size = null, color = null) {
+        if (!product) return null;
         
-        let message = template;
-        Object.keys(placeholders).forEach(key => {
-            message = message.replace(key, placeholders[key]);
-        });
+        // Products without sizes or colours ignore that part of the selection
+        const matches = product.variants.filter(variant =>
+            (!size || !variant.size || variant.size === size) &&
+            (!color || !variant.color || variant.color === color)
+        );
         
-        return message;
+        // A sold-out colour must not hide the same size in a colour that is in stock
+        return matches.find(variant => this.getAvailableStock(product.id, variant.id) > 0) || matches[0] || null;
     }
     
-    formatCurrency(amount) {
-        return new Intl.NumberFormat('en-IN', {
-            style: 'currency',
-            currency: 'INR',
-            maximumFractionDigits: 0
-        }).format(amount);
+    getDefaultVariant(product) {
+        if (!product) return null;
+        return product.variants.find(variant => this.getAvailableStock(product.id, variant.id) > 0) || product.variants[0];
     }
     
-    calculateProductMass(product) {
-        // Estimate based on product category
-        const massMap = {
-            'telescope': 5.2,
-            'apparel': 0.3,
-            'accessories': 0.8,
-            'imaging': 1.5
-        };
+    getAvailableStock(productId, variantId) {
+        if (window.nasaInventory) {
+            return window.nasaInventory.getAvailable(productId, variantId);
+        }
         
-        return massMap[product.category] || 1.0;
+        const variant = this.getVariant(this.getProductById(productId), variantId);
+        return variant ? variant.stock : 0;
     }
     
-    showOrderConfirmation(order) {
-        const modal = document.getElementById('order-confirmation');
-        if (!modal) return;
-        
-        // Populate confirmation details
-        modal.querySelector('.order-id').textContent = order.id;
-        modal.querySelector('.order-total').textContent = this.formatCurrency(order.total);
-        modal.querySelector('.estimated-delivery').textContent = 
-            new Date(order.shipping.estimatedDelivery).toLocaleDateString();
-        
-        // Show modal
-        modal.classList.add('active');
+    reserveStock(productId, variantId, quantity) {
+        if (window.nasaInventory) {
+            return window.nasaInventory.reserve(productId, variantId, quantity);
+        }
         
-        // Setup close button
-        modal.querySelector('.modal-close').addEventListener('click', () => {
-            modal.classList.remove('active');
-        });
+        const variant = this.getVariant(this.getProductById(productId), variantId);
+        return Boolean(variant) && quantity <= variant.stock;
+    }
+    
+    getVariantPrice(product, variant) {
+        return product.price + (variant?.priceDelta || 0);
+    }
+    
+    getVariantSku(product, variant) {
+        return variant?.skuSuffix ? `${product.sku}-${variant.skuSuffix}` : product.sku;
+    }
+    
+    getSizes(product) {
+        return [...new Set(product.variants.map(variant => variant.size).filter(Boolean))];
+    }
+    
+    getColors(product) {
+        return [...new Set(product.variants.map(variant => variant.color).filter(Boolean))];
+    }
+    
+    getCartKey(productId, variantId) {
+        return `${productId}::${variantId}`;
+    }
+    
+    normalizeCartItem(item) {
+        if (item.variantId && item.key) return item;
         
-        // Setup WhatsApp button
-        const whatsappBtn = modal.querySelector('.whatsapp-confirm');
-        if (whatsappBtn) {
-            whatsappBtn.href = this.sendOrderViaWhatsApp(order, 'detailed');
-        }
+        // Carts saved before variants existed only knew the size
+        const product = this.getProductById(item.id);
+        const variant = this.resolveVariant(product, item.size);
+        if (!variant) return null;
+        
+        return {
+            ...item,
+            key: this.getCartKey(item.id, variant.id),
+            variantId: variant.id,
+            size: variant.size,
+            color: variant.color,
+            price: this.getVariantPrice(product, variant),
+            sku: this.getVariantSku(product, variant)
+        };
     }
     
-    updateOrderSummary() {
-        const summaryElement = document.querySelector('.order-summary');
-        if (!summaryElement) return;
+    findCartItem(productId, size = null, color = null) {
+        const variant = this.resolveVariant(this.getProductById(productId), size, color);
+        if (!variant) return null;
         
-        const quantity = parseInt(document.querySelector('.quantity-value')?.textContent || 1);
-        const size = document.querySelector('.size-option.active')?.textContent || 'M';
-        const productElement = document.querySelector('[data-product]');
-        const productId = productElement?.dataset.product;
-        const product = window.nasaProductManager?.getProductById(productId);
+        const key = this.getCartKey(productId, variant.id);
+        return this.cart.find(item => item.key === key) || null;
+    }
+    
+    addToCart(productId, quantity = 1, size = null, color = null) {
+        const product = this.getProductById(productId);
+        if (!product) return false;
         
-        if (product) {
-            const total = product.price * quantity;
-            
-            summaryElement.innerHTML = `
-                <div class="summary-item">
-                    <span>Product:</span>
-                    <span>${product.name}</span>
-                </div>
-                <div class="summary-item">
-                    <span>Size:</span>
-                    <span>${size}</span>
-                </div>
-                <div class="summary-item">
-                    <span>Quantity:</span>
-                    <span>${quantity}</span>
-                </div>
-                <div class="summary-item total">
-                    <span>Total:</span>
-                    <span>${this.formatCurrency(total)}</span>
-                </div>
-            `;
+        const variant = this.resolveVariant(product, size, color);
+        if (!variant) return false;
+        
+        const key = this.getCartKey(productId, variant.id);
+        const existingItem = this.cart.find(item => item.key === key);
+        
+        // Hold the stock for the whole line before it enters the cart
+        const lineQuantity = (existingItem ? existingItem.quantity : 0) + quantity;
+        if (!this.reserveStock(productId, variant.id, lineQuantity)) return false;
+        
+        if (existingItem) {
+            existingItem.quantity += quantity;
+            existingItem.updatedAt = Date.now();
+        } else {
+            delete this.cartRemovals[key];
+            this.cart.push({
+                key: key,
+                id: productId,
+                variantId: variant.id,
+                name: product.name,
+                price: this.getVariantPrice(product, variant),
+                quantity: quantity,
+                size: variant.size,
+                color: variant.color,
+                image: product.image,
+                sku: this.getVariantSku(product, variant),
+                updatedAt: Date.now()
+            });
         }
+        
+        this.saveCart();
+        this.notifyObservers('cart-updated');
+        return true;
     }
     
-    updateOrderStatus() {
-        const statusElement = document.querySelector('.order-status');
-        if (!statusElement || !this.currentOrder) return;
-        
-        const statusConfig = {
-            pending: { text: 'Awaiting Transmission', class: 'status-pending' },
-            sent: { text: 'Transmission Sent', class: 'status-sent' },
-            confirmed: { text: 'Mission Confirmed', class: 'status-confirmed' },
-            processing: { text: 'Payload Processing', class: 'status-processing' },
-            shipped: { text: 'In Transit', class: 'status-shipped' },
-            delivered: { text: 'Mission Complete', class: 'status-delivered' }
-        };
+    removeFromCart(productId, size = null, color = null) {
+        const item = this.findCartItem(productId, size, color);
+        const index = this.cart.indexOf(item);
         
-        const config = statusConfig[this.currentOrder.status] || statusConfig.pending;
+        if (index !== -1) {
+            this.cart.splice(index, 1);
+            this.cartRemovals[item.key] = Date.now();
+            window.nasaInventory?.release(productId, item.variantId);
+            this.saveCart();
+            this.notifyObservers('cart-updated');
+            return true;
+        }
         
-        statusElement.textContent = config.text;
-        statusElement.className = `order-status ${config.class}`;
+        return false;
     }
     
-    saveOrder(order) {
-        this.orderHistory.push(order);
+    updateCartQuantity(productId, quantity, size = null, color = null) {
+        const item = this.findCartItem(productId, size, color);
         
-        // Save to localStorage
-        try {
-            const history = JSON.parse(localStorage.getItem('nasa_order_history') || '[]');
-            history.unshift(order);
+        if (item) {
+            quantity = Math.max(0, quantity);
+            if (quantity > 0 && !this.reserveStock(productId, item.variantId, quantity)) {
+                return false;
+            }
             
-            // Keep only last 50 orders
-            if (history.length > 50) {
-                history.pop();
+            item.quantity = quantity;
+            item.updatedAt = Date.now();
+            
+            if (item.quantity === 0) {
+                this.removeFromCart(productId, item.size, item.color);
+            } else {
+                this.saveCart();
+                this.notifyObservers('cart-updated');
             }
             
-            localStorage.setItem('nasa_order_history', JSON.stringify(history));
-        } catch (error) {
-            console.warn('NASA: Failed to save order history', error);
-        }
-    }
-    
-    loadOrderHistory() {
-        try {
-            const history = JSON.parse(localStorage.getItem('nasa_order_history') || '[]');
-            this.orderHistory = history;
-        } catch (error) {
-            this.orderHistory = [];
+            return true;
         }
+        
+        return false;
     }
     
-    logOrderTransmission(order, method) {
-        const log = {
-            timestamp: new Date().toISOString(),
-            orderId: order.id,
-            method: method,
-            status: 'transmitted'
-        };
+    // Moves a cart line to another size or colour, keeping its quantity
+    changeCartVariant(productId, variantId, newVariantId) {
+        const product = this.getProductById(productId);
+        const item = this.cart.find(line => line.key === this.getCartKey(productId, variantId));
+        const variant = this.getVariant(product, newVariantId);
+        if (!item || !variant || variant.id === item.variantId) return false;
         
-        console.log('NASA Order Transmission:', log);
+        // Hold the new variant first so a failed swap leaves the line as it was
+        if (!this.addToCart(productId, item.quantity, variant.size, variant.color)) return false;
         
-        // Send to analytics if available
-        if (window.nasaAnalytics) {
-            window.nasaAnalytics.track('order_transmission', log);
-        }
+        this.removeFromCart(productId, item.size, item.color);
+        return true;
     }
     
-    showNotification(message, type = 'info') {
-        // Reuse mission control notification or create new
-        if (window.nasaMissionControl) {
-            window.nasaMissionControl.showNotification(message, type);
+    clearCart() {
+        const now = Date.now();
+        this.cart.forEach(item => {
+            this.cartRemovals[item.key] = now;
+            window.nasaInventory?.release(item.id, item.variantId);
+        });
+        this.cart = [];
+        this.saveCart();
+        this.notifyObservers('cart-updated');
+    }
+    
+    saveCart() {
+        this.cartRemovals = NASA_TabSync.pruneRemovals(this.cartRemovals);
+        
+        if (this.db) {
+            try {
+                const tx = this.db.transaction('cart', 'readwrite');
+                const store = tx.objectStore('cart');
+                
+                // Write only the lines this tab knows about, so another tab's new lines survive
+                this.cart.forEach(item => store.put(item));
+                Object.keys(this.cartRemovals).forEach(key => store.delete(key));
+            } catch (error) {
+                console.error('NASA: Failed to save cart to IndexedDB', error);
+            }
         } else {
-            alert(message); // Fallback
+            localStorage.setItem('nasa_cart', JSON.stringify(this.cart));
         }
+        
+        this.tabSync?.publish('cart', this.getCartState());
     }
     
-    showError(message) {
-        this.showNotification(message, 'error');
+    getCartState() {
+        return { items: this.cart, removed: this.cartRemovals };
     }
     
-    destroy() {
-        this.orderQueue = [];
-        this.currentOrder = null;
-    }
-}
-
-// NASA User Interface Manager
-class NASA_UIManager {
-    constructor() {
-        this.currentTheme = 'dark';
-        this.animationsEnabled = true;
-        this.soundEnabled = false;
-        this.notificationsEnabled = true;
-        this.uiState = {
-            menuOpen: false,
-            modalOpen: false,
-            cartOpen: false,
-            searchOpen: false
-        };
+    applyRemoteCart(state) {
+        const previous = this.cart;
+        const merged = NASA_TabSync.merge(this.getCartState(), state, item => item.key);
         
-        this.initUI();
-        this.initEventListeners();
-        this.initIntersectionObserver();
-    }
-    
-    initUI() {
-        // Apply theme
-        this.applyTheme(this.currentTheme);
+        this.cart = merged.items.map(item => this.normalizeCartItem(item)).filter(Boolean);
+        this.cartRemovals = merged.removed;
+        this.syncCartReservations(previous);
         
-        // Initialize components
-        this.initNavigation();
-        this.initModals();
-        this.initTooltips();
-        this.initScrollAnimations();
+        if (this.getCartSignature(this.cart) !== this.getCartSignature(previous)) {
+            this.notifyObservers('cart-updated');
+        }
         
-        // Check for reduced motion preference
-        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
-            this.animationsEnabled = false;
-            document.documentElement.classList.add('reduced-motion');
+        // This tab had edits the sender hadn't seen; store the merge and pass it on
+        if (this.getCartSignature(this.cart) !== this.getCartSignature(state.items)) {
+            this.saveCart();
         }
     }
     
-    initEventListeners() {
-        // Theme toggle
-        document.querySelectorAll('.theme-toggle').forEach(toggle => {
-            toggle.addEventListener('click', () => this.toggleTheme());
+    getCartSignature(items) {
+        return items.map(item => `${item.key}:${item.quantity}:${item.updatedAt || 0}`).sort().join('|');
+    }
+    
+    // Reservations follow the merged cart; sold stock is re-read on every inventory save
+    syncCartReservations(previous) {
+        previous.forEach(item => {
+            if (!this.cart.some(line => line.key === item.key)) {
+                window.nasaInventory?.release(item.id, item.variantId);
+            }
         });
         
-        // Sound toggle
-        document.querySelectorAll('.sound-toggle').forEach(toggle => {
-            toggle.addEventListener('click', () => this.toggleSound());
+        this.cart.forEach(item => {
+            const before = previous.find(line => line.key === item.key);
+            if (!before || before.quantity !== item.quantity) {
+                this.reserveStock(item.id, item.variantId, item.quantity);
+            }
         });
+    }
+    
+    toggleFavorite(productId) {
+        if (this.favorites.has(productId)) {
+            this.favorites.delete(productId);
+            delete this.favoriteTimes[productId];
+            this.favoriteRemovals[productId] = Date.now();
+        } else {
+            this.favorites.add(productId);
+            this.favoriteTimes[productId] = Date.now();
+            delete this.favoriteRemovals[productId];
+        }
         
-        // Navigation
-        document.querySelectorAll('.nav-toggle').forEach(toggle => {
-            toggle.addEventListener('click', () => this.toggleNavigation());
-        });
+        this.saveFavorites();
+        this.notifyObservers('favorites-updated');
+    }
+    
+    saveFavorites() {
+        const favoritesArray = Array.from(this.favorites);
+        this.favoriteRemovals = NASA_TabSync.pruneRemovals(this.favoriteRemovals);
         
-        // Close modals on escape
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.closeAllModals();
+        if (this.db) {
+            try {
+                const tx = this.db.transaction('favorites', 'readwrite');
+                const store = tx.objectStore('favorites');
+                
+                favoritesArray.forEach(id => store.put({ id, updatedAt: this.favoriteTimes[id] || 0 }));
+                Object.keys(this.favoriteRemovals).forEach(id => store.delete(id));
+            } catch (error) {
+                console.error('NASA: Failed to save favorites to IndexedDB', error);
             }
-        });
+        } else {
+            localStorage.setItem('nasa_favorites', JSON.stringify(favoritesArray));
+        }
         
-        // Handle window resize
-        let resizeTimeout;
-        window.addEventListener('resize', () => {
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(() => this.handleResize(), 250);
-        });
+        this.tabSync?.publish('favorites', this.getFavoritesState());
+    }
+    
+    getFavoritesState() {
+        return {
+            items: Array.from(this.favorites).map(id => ({ id, updatedAt: this.favoriteTimes[id] || 0 })),
+            removed: this.favoriteRemovals
+        };
+    }
+    
+    applyRemoteFavorites(state) {
+        const previous = this.getFavoritesState().items;
+        const merged = NASA_TabSync.merge(this.getFavoritesState(), state, item => item.id);
+        const signature = (items) => items.map(item => `${item.id}:${item.updatedAt}`).sort().join('|');
         
-        // Handle scroll
-        let scrollTimeout;
-        window.addEventListener('scroll', () => {
-            this.handleScroll();
-            
-            clearTimeout(scrollTimeout);
-            scrollTimeout = setTimeout(() => {
-                this.handleScrollEnd();
-            }, 150);
+        this.favorites = new Set(merged.items.map(item => item.id));
+        this.favoriteTimes = {};
+        merged.items.forEach(item => { this.favoriteTimes[item.id] = item.updatedAt || 0; });
+        this.favoriteRemovals = merged.removed;
+        
+        if (signature(merged.items) !== signature(previous)) {
+            this.notifyObservers('favorites-updated');
+        }
+        
+        if (signature(merged.items) !== signature(state.items)) {
+            this.saveFavorites();
+        }
+    }
+    
+    calculateCartTotal(promoCode = '', phone = '') {
+        const subtotal = this.cart.reduce((total, item) => total + (item.price * item.quantity), 0);
+        if (!window.nasaPromotions) return subtotal;
+        
+        // Automatic offers apply even without a code
+        return window.nasaPromotions.evaluate(this.getCartLineItems(), { code: promoCode, phone: phone }).total;
+    }
+    
+    getCartLineItems() {
+        // Promotions scope on catalog fields the cart entries don't store
+        return this.cart.map(item => {
+            const product = this.getProductById(item.id);
+            return {
+                ...item,
+                category: product?.category,
+                mission: product?.mission,
+                releaseDate: this.isPreorder(product) ? this.getReleaseDate(product) : null,
+                subtotal: item.price * item.quantity
+            };
         });
     }
     
-    initIntersectionObserver() {
-        if ('IntersectionObserver' in window) {
-            this.intersectionObserver = new IntersectionObserver(
-                (entries) => {
-                    entries.forEach(entry => {
-                        if (entry.isIntersecting) {
-                            entry.target.classList.add('in-view');
-                            
-                            // Trigger animation based on data attributes
-                            const animation = entry.target.dataset.animation;
-                            if (animation && this.animationsEnabled) {
-                                this.triggerAnimation(entry.target, animation);
-                            }
-                        }
-                    });
-                },
-                {
-                    root: null,
-                    rootMargin: '50px',
-                    threshold: 0.1
-                }
-            );
-            
-            // Observe all elements with data-observe attribute
-            document.querySelectorAll('[data-observe]').forEach(element => {
-                this.intersectionObserver.observe(element);
-            });
-        }
+    getCartCount() {
+        return this.cart.reduce((count, item) => count + item.quantity, 0);
     }
     
-    initNavigation() {
-        const nav = document.querySelector('.nasa-navigation');
-        if (!nav) return;
-        
-        // Mobile menu toggle
-        const menuToggle = nav.querySelector('.mobile-toggle');
-        if (menuToggle) {
-            menuToggle.addEventListener('click', () => {
-                this.toggleMobileMenu();
-            });
-        }
-        
-        // Close menu when clicking outside
-        document.addEventListener('click', (e) => {
-            if (this.uiState.menuOpen && !nav.contains(e.target)) {
-                this.closeMobileMenu();
-            }
-        });
-        
-        // Smooth scroll for anchor links
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-            anchor.addEventListener('click', (e) => {
-                e.preventDefault();
-                
-                const targetId = anchor.getAttribute('href');
-                if (targetId === '#') return;
-                
-                const targetElement = document.querySelector(targetId);
-                if (targetElement) {
-                    this.scrollToElement(targetElement);
-                    
-                    // Close mobile menu if open
-                    if (this.uiState.menuOpen) {
-                        this.closeMobileMenu();
-                    }
-                }
-            });
-        });
+    subscribe(observer) {
+        this.productObservers.push(observer);
+        return () => {
+            const index = this.productObservers.indexOf(observer);
+            if (index > -1) this.productObservers.splice(index, 1);
+        };
     }
     
-    initModals() {
-        // Close modals when clicking overlay
-        document.querySelectorAll('.modal').forEach(modal => {
-            modal.addEventListener('click', (e) => {
-                if (e.target === modal || e.target.classList.contains('modal-close')) {
-                    this.closeModal(modal);
-                }
-            });
-        });
-        
-        // Close modals on escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.uiState.modalOpen) {
-                this.closeAllModals();
+    notifyObservers(event) {
+        this.productObservers.forEach(observer => {
+            try {
+                observer(event, this);
+            } catch (error) {
+                console.error('NASA Product Observer Error:', error);
             }
         });
     }
     
-    initTooltips() {
-        if ('tippy' in window) {
-            tippy('[data-tippy-content]', {
-                theme: 'nasa',
-                animation: 'scale',
-                duration: 200,
-                delay: [100, 0]
-            });
-        } else {
-            // Fallback tooltip implementation
-            this.initFallbackTooltips();
-        }
+    getPagedProducts(page = 1) {
+        this.currentPage = page;
+        const start = (page - 1) * this.productsPerPage;
+        const end = start + this.productsPerPage;
+        return this.filteredProducts.slice(start, end);
     }
     
-    initFallbackTooltips() {
-        const tooltipElements = document.querySelectorAll('[data-tooltip]');
-        
-        tooltipElements.forEach(element => {
-            const tooltipText = element.dataset.tooltip;
-            
-            element.addEventListener('mouseenter', (e) => {
-                const tooltip = document.createElement('div');
-                tooltip.className = 'nasa-tooltip';
-                tooltip.textContent = tooltipText;
-                
-                document.body.appendChild(tooltip);
-                
-                // Position tooltip
-                const rect = element.getBoundingClientRect();
-                tooltip.style.left = `${rect.left + rect.width / 2 - tooltip.offsetWidth / 2}px`;
-                tooltip.style.top = `${rect.top - tooltip.offsetHeight - 10}px`;
-                
-                element.dataset.tooltipId = Date.now();
-            });
-            
-            element.addEventListener('mouseleave', () => {
-                document.querySelectorAll('.nasa-tooltip').forEach(tooltip => {
-                    tooltip.remove();
-                });
-            });
+    getTotalPages() {
+        return Math.ceil(this.filteredProducts.length / this.productsPerPage);
+    }
+}
+
+// NASA Product Grid Renderer - paged and infinite-scroll product listing
+class NASA_ProductGridRenderer {
+    constructor(productManager, options = {}) {
+        this.productManager = productManager;
+        this.grid = options.grid;
+        this.controls = options.controls || null;
+        this.ui = options.ui || null;
+        this.renderCard = options.renderCard;
+        this.renderEmpty = options.renderEmpty || (() => '');
+        this.onRender = options.onRender || (() => {});
+        this.mode = options.mode || this.loadMode();
+        this.page = 1;
+        this.renderPending = false;
+        this.sentinel = null;
+        this.stopObserving = null;
+        this.renderEvents = ['products-filtered', 'products-sorted', 'products-searched', 'catalog-loaded'];
+        
+        this.unsubscribe = productManager.subscribe((event) => {
+            if (this.renderEvents.includes(event)) {
+                this.page = 1;
+                this.scheduleRender();
+            }
         });
+        
+        this.initControls();
+        this.initSentinel();
+        this.render();
     }
     
-    initScrollAnimations() {
-        if (this.animationsEnabled) {
-            // Add scroll-triggered animations
-            document.querySelectorAll('[data-scroll-animation]').forEach(element => {
-                element.dataset.observe = 'true';
-            });
+    loadMode() {
+        try {
+            return localStorage.getItem('nasa_grid_mode') === 'infinite' ? 'infinite' : 'pages';
+        } catch (error) {
+            return 'pages';
         }
     }
     
-    toggleTheme() {
-        this.currentTheme = this.currentTheme === 'dark' ? 'light' : 'dark';
-        this.applyTheme(this.currentTheme);
-        
-        // Save preference
-        localStorage.setItem('nasa_theme', this.currentTheme);
+    initControls() {
+        if (!this.controls) return;
         
-        // Dispatch theme change event
-        window.dispatchEvent(new CustomEvent('nasa-theme-change', {
-            detail: { theme: this.currentTheme }
-        }));
+        this.controls.querySelector('.control-prev')?.addEventListener('click', () => this.previousPage());
+        this.controls.querySelector('.control-next')?.addEventListener('click', () => this.nextPage());
+        this.controls.querySelector('.control-mode')?.addEventListener('click', () => {
+            this.setMode(this.mode === 'infinite' ? 'pages' : 'infinite');
+        });
     }
     
-    applyTheme(theme) {
-        document.documentElement.setAttribute('data-theme', theme);
+    initSentinel() {
+        // Doubles as a manual "load more" button where IntersectionObserver is unavailable
+        const loadMore = document.createElement('button');
+        loadMore.className = 'grid-load-more';
+        loadMore.type = 'button';
+        loadMore.textContent = 'LOAD MORE EQUIPMENT';
+        loadMore.addEventListener('click', () => this.loadMore());
         
-        // Update UI elements
-        document.querySelectorAll('.theme-toggle').forEach(toggle => {
-            const icon = toggle.querySelector('i');
-            if (icon) {
-                icon.className = theme === 'dark' ? 'fas fa-sun' : 'fas fa-moon';
-            }
-        });
+        this.sentinel = document.createElement('div');
+        this.sentinel.className = 'grid-sentinel';
+        this.sentinel.appendChild(loadMore);
+        this.grid.after(this.sentinel);
     }
     
-    toggleSound() {
-        this.soundEnabled = !this.soundEnabled;
-        
-        // Update UI
-        document.querySelectorAll('.sound-toggle').forEach(toggle => {
-            const icon = toggle.querySelector('i');
-            if (icon) {
-                icon.className = this.soundEnabled ? 'fas fa-volume-up' : 'fas fa-volume-mute';
-            }
-        });
+    scheduleRender() {
+        // Filter, search and sort changes arrive in bursts; render once per burst
+        if (this.renderPending) return;
         
-        // Dispatch event
-        window.dispatchEvent(new CustomEvent('nasa-sound-toggle', {
-            detail: { enabled: this.soundEnabled }
-        }));
+        this.renderPending = true;
+        queueMicrotask(() => this.render());
     }
     
-    toggleNavigation() {
-        if (this.uiState.menuOpen) {
-            this.closeMobileMenu();
+    render() {
+        this.renderPending = false;
+        
+        const products = this.productManager.filteredProducts;
+        const totalPages = this.getTotalPages();
+        this.page = Math.min(Math.max(this.page, 1), totalPages);
+        
+        if (products.length === 0) {
+            this.grid.innerHTML = this.renderEmpty(this.productManager);
+        } else if (this.mode === 'infinite') {
+            this.grid.innerHTML = products.slice(0, this.page * this.productManager.productsPerPage)
+                .map(product => this.renderCard(product)).join('');
         } else {
-            this.openMobileMenu();
+            this.grid.innerHTML = this.productManager.getPagedProducts(this.page)
+                .map(product => this.renderCard(product)).join('');
         }
+        
+        this.updateControls();
+        this.updateSentinel();
+        this.onRender(this.grid);
     }
     
-    openMobileMenu() {
-        document.body.classList.add('menu-open');
-        this.uiState.menuOpen = true;
+    goToPage(page) {
+        const target = Math.min(Math.max(page, 1), this.getTotalPages());
+        if (target === this.page) return;
         
-        // Dispatch event
-        window.dispatchEvent(new Event('nasa-menu-open'));
+        this.page = target;
+        this.render();
+        
+        if (this.ui) {
+            this.ui.scrollToElement(this.grid);
+        }
     }
     
-    closeMobileMenu() {
-        document.body.classList.remove('menu-open');
-        this.uiState.menuOpen = false;
-        
-        // Dispatch event
-        window.dispatchEvent(new Event('nasa-menu-close'));
+    nextPage() {
+        this.goToPage(this.page + 1);
     }
     
-    toggleMobileMenu() {
-        if (this.uiState.menuOpen) {
-            this.closeMobileMenu();
-        } else {
-            this.openMobileMenu();
-        }
+    previousPage() {
+        this.goToPage(this.page - 1);
     }
     
-    openModal(modalId) {
-        const modal = document.getElementById(modalId);
-        if (!modal) return;
-        
-        modal.classList.add('active');
-        document.body.classList.add('modal-open');
-        this.uiState.modalOpen = true;
+    loadMore() {
+        if (this.mode !== 'infinite' || this.page >= this.getTotalPages()) return;
         
-        // Focus trap
-        this.setupModalFocusTrap(modal);
+        this.page++;
+        const products = this.productManager.getPagedProducts(this.page);
+        this.grid.insertAdjacentHTML('beforeend', products.map(product => this.renderCard(product)).join(''));
         
-        // Dispatch event
-        window.dispatchEvent(new CustomEvent('nasa-modal-open', {
-            detail: { modalId }
-        }));
+        this.updateControls();
+        this.updateSentinel();
+        this.onRender(this.grid);
     }
     
-    closeModal(modal) {
-        if (typeof modal === 'string') {
-            modal = document.getElementById(modal);
+    setMode(mode) {
+        this.mode = mode === 'infinite' ? 'infinite' : 'pages';
+        
+        try {
+            localStorage.setItem('nasa_grid_mode', this.mode);
+        } catch (error) {
+            console.warn('NASA: Failed to save grid mode', error);
         }
         
-        if (!modal) return;
+        this.render();
+    }
+    
+    getTotalPages() {
+        return Math.max(this.productManager.getTotalPages(), 1);
+    }
+    
+    updateControls() {
+        if (!this.controls) return;
         
-        modal.classList.remove('active');
+        const totalPages = this.getTotalPages();
+        const current = this.controls.querySelector('.page-current');
+        const total = this.controls.querySelector('.page-total');
+        const prev = this.controls.querySelector('.control-prev');
+        const next = this.controls.querySelector('.control-next');
+        const modeToggle = this.controls.querySelector('.control-mode');
         
-        // Check if any other modals are open
-        const openModals = document.querySelectorAll('.modal.active');
-        if (openModals.length === 0) {
-            document.body.classList.remove('modal-open');
-            this.uiState.modalOpen = false;
+        if (current) current.textContent = this.page;
+        if (total) total.textContent = totalPages;
+        if (prev) prev.disabled = this.page <= 1;
+        if (next) next.disabled = this.page >= totalPages;
+        
+        if (modeToggle) {
+            modeToggle.setAttribute('aria-pressed', String(this.mode === 'infinite'));
+            const label = modeToggle.querySelector('.mode-label');
+            if (label) label.textContent = this.mode === 'infinite' ? 'PAGED VIEW' : 'INFINITE SCROLL';
         }
         
-        // Dispatch event
-        window.dispatchEvent(new CustomEvent('nasa-modal-close', {
-            detail: { modalId: modal.id }
-        }));
+        this.controls.dataset.mode = this.mode;
     }
     
-    closeAllModals() {
-        document.querySelectorAll('.modal.active').forEach(modal => {
-            this.closeModal(modal);
-        });
+    updateSentinel() {
+        const hasMore = this.mode === 'infinite' && this.page < this.getTotalPages();
+        this.sentinel.hidden = !hasMore;
+        
+        // Re-observing reports the current intersection, so a sentinel still
+        // on screen after a short page keeps loading
+        if (this.stopObserving) {
+            this.stopObserving();
+            this.stopObserving = null;
+        }
+        
+        if (hasMore && this.ui) {
+            this.stopObserving = this.ui.observeElement(this.sentinel, (entry) => {
+                if (entry.isIntersecting) {
+                    this.loadMore();
+                }
+            });
+        }
     }
     
-    setupModalFocusTrap(modal) {
-        const focusableElements = modal.querySelectorAll(
-            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
+    destroy() {
+        this.unsubscribe();
         
-        if (focusableElements.length === 0) return;
-        
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements[focusableElements.length - 1];
+        if (this.stopObserving) {
+            this.stopObserving();
+        }
         
-        modal.addEventListener('keydown', (e) => {
-            if (e.key === 'Tab') {
-                if (e.shiftKey) {
-                    if (document.activeElement === firstElement) {
-                        e.preventDefault();
-                        lastElement.focus();
-                    }
-                } else {
-                    if (document.activeElement === lastElement) {
-                        e.preventDefault();
-                        firstElement.focus();
-                    }
-                }
-            }
-        });
+        this.sentinel?.remove();
+    }
+}
+
+// NASA Inventory System - stock levels and cart reservations
+class NASA_InventoryManager {
+    constructor(config = {}) {
+        this.config = {
+            reservationTTL: 15 * 60 * 1000, // 15 minutes
+            lowStockThreshold: 5,
+            sweepInterval: 30000,
+            ...config
+        };
+        this.reservations = new Map();
+        this.committed = {};
+        this.inventoryObservers = [];
         
-        // Focus first element
-        setTimeout(() => firstElement.focus(), 100);
+        this.loadInventoryState();
+        this.startReservationSweep();
+        this.watchOtherTabs();
     }
     
-    handleResize() {
-        const width = window.innerWidth;
-        
-        // Update UI based on screen size
-        if (width < 768 && !this.uiState.menuOpen) {
-            // Mobile optimizations
-            document.documentElement.classList.add('mobile-view');
-        } else {
-            document.documentElement.classList.remove('mobile-view');
-        }
+    // Stock sold in another tab shows up here as soon as that tab saves
+    watchOtherTabs() {
+        if (typeof window.addEventListener !== 'function') return;
         
-        // Dispatch resize event
-        window.dispatchEvent(new CustomEvent('nasa-resize', {
-            detail: { width, height: window.innerHeight }
-        }));
+        window.addEventListener('storage', (event) => {
+            if (event.key !== 'nasa_inventory') return;
+            
+            this.committed = this.readSavedState().committed || {};
+            this.notifyObservers('stock-updated', {});
+        });
     }
     
-    handleScroll() {
-        const scrollY = window.scrollY;
-        const scrollDirection = this.getScrollDirection();
-        
-        // Update navigation
-        this.updateNavigationOnScroll(scrollY, scrollDirection);
-        
-        // Update progress indicators
-        this.updateScrollProgress(scrollY);
-        
-        // Trigger scroll animations
-        this.triggerScrollAnimations(scrollY);
+    getKey(productId, variantId) {
+        return `${productId}::${variantId}`;
     }
     
-    handleScrollEnd() {
-        // Remove scroll class after scrolling stops
-        document.documentElement.classList.remove('scrolling');
+    getVariant(productId, variantId) {
+        const productManager = window.nasaProductManager;
+        const product = productManager?.getProductById(productId);
+        return productManager?.getVariant(product, variantId) || null;
     }
     
-    getScrollDirection() {
-        if (!this.lastScrollY) {
-            this.lastScrollY = window.scrollY;
-            return 'down';
-        }
-        
-        const direction = window.scrollY > this.lastScrollY ? 'down' : 'up';
-        this.lastScrollY = window.scrollY;
+    getStockLevel(productId, variantId) {
+        const variant = this.getVariant(productId, variantId);
+        if (!variant) return 0;
         
-        return direction;
+        const sold = this.committed[this.getKey(productId, variantId)] || 0;
+        return Math.max(0, variant.stock - sold);
     }
     
-    updateNavigationOnScroll(scrollY, direction) {
-        const nav = document.querySelector('.nasa-navigation');
-        if (!nav) return;
-        
-        if (scrollY > 100) {
-            if (direction === 'down' && scrollY > this.lastScrollY + 50) {
-                nav.classList.add('hidden');
-            } else if (direction === 'up') {
-                nav.classList.remove('hidden');
-                nav.classList.add('scrolled');
-            }
-        } else {
-            nav.classList.remove('scrolled', 'hidden');
-        }
+    getReserved(productId, variantId) {
+        const reservation = this.reservations.get(this.getKey(productId, variantId));
+        return reservation ? reservation.quantity : 0;
     }
     
-    updateScrollProgress(scrollY) {
-        const docHeight = document.documentElement.scrollHeight - window.innerHeight;
-        const scrollPercent = docHeight > 0 ? (scrollY / docHeight) * 100 : 0;
+    getAvailable(productId, variantId) {
+        return Math.max(0, this.getStockLevel(productId, variantId) - this.getReserved(productId, variantId));
+    }
+    
+    // Units a holder may take: the free stock plus whatever of it that holder already reserved
+    getAvailableFor(productId, variantId, held = 0) {
+        return this.getAvailable(productId, variantId) + Math.min(held, this.getReserved(productId, variantId));
+    }
+    
+    reserve(productId, variantId, quantity) {
+        // The new hold replaces the one already on this line
+        if (quantity > this.getAvailableFor(productId, variantId, this.getReserved(productId, variantId))) {
+            return false;
+        }
         
-        // Update progress bar if exists
-        const progressBar = document.querySelector('.scroll-progress');
-        if (progressBar) {
-            progressBar.style.width = `${scrollPercent}%`;
+        const key = this.getKey(productId, variantId);
+        
+        if (quantity <= 0) {
+            this.release(productId, variantId);
+            return true;
         }
         
-        // Update scroll indicators
-        document.querySelectorAll('[data-scroll-progress]').forEach(element => {
-            element.style.setProperty('--scroll-progress', `${scrollPercent}%`);
+        this.reservations.set(key, {
+            key: key,
+            productId: productId,
+            variantId: variantId,
+            quantity: quantity,
+            expiresAt: Date.now() + this.config.reservationTTL
         });
+        
+        this.saveInventoryState();
+        this.notifyObservers('stock-updated', { productId, variantId });
+        return true;
     }
     
-    triggerScrollAnimations(scrollY) {
-        // Trigger animations based on scroll position
-        document.querySelectorAll('[data-scroll-trigger]').forEach(element => {
-            const triggerPoint = parseInt(element.dataset.scrollTrigger) || 0;
-            const offset = element.getBoundingClientRect().top + scrollY - window.innerHeight;
-            
-            if (scrollY > offset + triggerPoint) {
-                const animation = element.dataset.scrollAnimation || 'fade-up';
-                this.triggerAnimation(element, animation);
-            }
-        });
+    release(productId, variantId) {
+        if (this.reservations.delete(this.getKey(productId, variantId))) {
+            this.saveInventoryState();
+            this.notifyObservers('stock-updated', { productId, variantId });
+        }
     }
     
-    triggerAnimation(element, animation) {
-        if (!this.animationsEnabled) return;
-        
-        element.classList.add(`animate-${animation}`);
+    releaseAll() {
+        if (this.reservations.size === 0) return;
         
-        // Remove animation class after completion
-        const duration = parseInt(element.dataset.animationDuration) || 1000;
-        setTimeout(() => {
-            element.classList.remove(`animate-${animation}`);
-        }, duration);
+        this.reservations.clear();
+        this.saveInventoryState();
+        this.notifyObservers('stock-updated', {});
     }
     
-    scrollToElement(element, options = {}) {
-        const defaultOptions = {
-            behavior: 'smooth',
-            block: 'start',
-            inline: 'nearest',
-            offset: -80 // Account for fixed header
-        };
+    sweepExpiredReservations() {
+        const now = Date.now();
+        const expired = [];
         
-        const finalOptions = { ...defaultOptions, ...options };
+        this.reservations.forEach((reservation, key) => {
+            if (reservation.expiresAt <= now) {
+                expired.push(reservation);
+                this.reservations.delete(key);
+            }
+        });
         
-        const targetPosition = element.offsetTop + finalOptions.offset;
+        if (expired.length > 0) {
+            this.saveInventoryState();
+            this.notifyObservers('reservation-expired', { reservations: expired });
+            this.notifyObservers('stock-updated', {});
+        }
         
-        window.scrollTo({
-            top: targetPosition,
-            behavior: finalOptions.behavior
-        });
+        return expired;
     }
     
-    showToast(message, type = 'info', duration = 5000) {
-        const toast = document.createElement('div');
-        toast.className = `nasa-toast toast-${type}`;
-        toast.innerHTML = `
-            <div class="toast-content">
-                <div class="toast-icon">${this.getToastIcon(type)}</div>
-                <div class="toast-message">${message}</div>
-            </div>
-            <button class="toast-close">×</button>
-        `;
-        
-        const container = document.querySelector('.toast-container') || this.createToastContainer();
-        container.appendChild(toast);
+    startReservationSweep() {
+        this.sweepExpiredReservations();
+        this.sweepTimer = setInterval(() => this.sweepExpiredReservations(), this.config.sweepInterval);
+    }
+    
+    validateItems(items, options = {}) {
+        const problems = [];
         
-        // Setup close button
-        toast.querySelector('.toast-close').addEventListener('click', () => {
-            this.removeToast(toast);
+        items.forEach(item => {
+            const available = options.fromCart
+                ? this.getAvailableFor(item.id, item.variantId, item.quantity)
+                : this.getAvailable(item.id, item.variantId);
+            
+            if (item.quantity > available) {
+                problems.push({ item, available });
+            }
         });
         
-        // Auto-remove after duration
-        setTimeout(() => {
-            if (toast.parentNode) {
-                this.removeToast(toast);
-            }
-        }, duration);
+        return problems;
+    }
+    
+    commitOrder(order) {
+        const sold = {};
+        order.items.forEach(item => {
+            const key = this.getKey(item.id, item.variantId);
+            sold[key] = (sold[key] || 0) + item.quantity;
+            this.reservations.delete(key);
+        });
         
-        return toast;
+        this.saveInventoryState(sold);
+        this.notifyObservers('stock-updated', { orderId: order.id });
     }
     
-    getToastIcon(type) {
-        const icons = {
-            info: 'ℹ️',
-            success: '✅',
-            warning: '⚠️',
-            error: '❌'
-        };
+    restoreOrder(order) {
+        const returned = {};
+        order.items.forEach(item => {
+            const key = this.getKey(item.id, item.variantId);
+            returned[key] = (returned[key] || 0) - item.quantity;
+        });
         
-        return icons[type] || icons.info;
+        this.saveInventoryState(returned);
+        this.notifyObservers('stock-updated', { orderId: order.id });
     }
     
-    createToastContainer() {
-        const container = document.createElement('div');
-        container.className = 'toast-container';
-        document.body.appendChild(container);
-        return container;
+    getStockState(productId, variantId) {
+        return this.describeStock(this.getAvailable(productId, variantId));
     }
     
-    removeToast(toast) {
-        toast.classList.add('toast-fade-out');
-        setTimeout(() => {
-            if (toast.parentNode) {
-                toast.remove();
-            }
-        }, 300);
+    getProductStockState(product) {
+        const available = product.variants.reduce((total, variant) =>
+            total + this.getAvailable(product.id, variant.id), 0);
+        
+        return this.describeStock(available);
     }
     
-    enableAnimations() {
-        this.animationsEnabled = true;
-        document.documentElement.classList.remove('reduced-motion');
+    describeStock(available) {
+        if (available <= 0) {
+            return { status: 'out-of-stock', available: 0, label: 'Out of stock' };
+        }
+        
+        if (available <= this.config.lowStockThreshold) {
+            return { status: 'low-stock', available, label: `Only ${available} left` };
+        }
+        
+        return { status: 'in-stock', available, label: 'In stock' };
     }
     
-    disableAnimations() {
-        this.animationsEnabled = false;
-        document.documentElement.classList.add('reduced-motion');
+    loadInventoryState() {
+        const saved = this.readSavedState();
+        this.committed = saved.committed || {};
+        (saved.reservations || []).forEach(reservation => {
+            this.reservations.set(reservation.key, reservation);
+        });
     }
     
-    destroy() {
-        if (this.intersectionObserver) {
-            this.intersectionObserver.disconnect();
+    readSavedState() {
+        try {
+            return JSON.parse(localStorage.getItem('nasa_inventory') || '{}');
+        } catch (error) {
+            // Without storage this tab's own counts are all there is
+            console.warn('NASA: Failed to read inventory state', error);
+            return { committed: this.committed };
         }
-        
-        // Remove all event listeners
-        this.cleanupEventListeners();
     }
     
-    cleanupEventListeners() {
-        // Implementation depends on how events were attached
-        // In a production app, you'd track and remove specific listeners
+    // Sold counts are shared by every open tab, so each save starts from the stored
+    // counts and applies only this tab's own change: { key: units sold (+) or restored (-) }
+    saveInventoryState(soldChanges = {}) {
+        try {
+            const committed = this.readSavedState().committed || {};
+            Object.entries(soldChanges).forEach(([key, change]) => {
+                committed[key] = Math.max(0, (committed[key] || 0) + change);
+            });
+            this.committed = committed;
+            
+            localStorage.setItem('nasa_inventory', JSON.stringify({
+                committed: this.committed,
+                reservations: Array.from(this.reservations.values())
+            }));
+        } catch (error) {
+            console.warn('NASA: Failed to save inventory state', error);
+        }
+    }
+    
+    subscribe(observer) {
+        this.inventoryObservers.push(observer);
+        return () => {
+            const index = this.inventoryObservers.indexOf(observer);
+            if (index > -1) this.inventoryObservers.splice(index, 1);
+        };
+    }
+    
+    notifyObservers(event, detail = {}) {
+        this.inventoryObservers.forEach(observer => {
+            try {
+                observer(event, detail, this);
+            } catch (error) {
+                console.error('NASA Inventory Observer Error:', error);
+            }
+        });
+    }
+    
+    destroy() {
+        clearInterval(this.sweepTimer);
+        this.inventoryObservers = [];
     }
 }
 
-// NASA Main Application Controller
-class NASA_Application {
-    constructor() {
-        this.modules = new Map();
-        this.isInitialized = false;
-        this.startTime = performance.now();
+// NASA Promotion Engine - promo codes and automatic offers
+class NASA_PromotionEngine {
+    constructor(promotions = null) {
+        this.promotions = new Map();
+        this.redemptions = {};
+        
+        // Codes are matched case-insensitively; autoApply offers need no code
+        const defaults = promotions || [
+            {
+                code: 'LAUNCH10',
+                type: 'percentage',
+                value: 10,
+                label: 'Launch window 10% off',
+                minOrder: 1000,
+                maxDiscount: 2500,
+                expiresAt: '2027-03-31T23:59:59+05:30'
+            },
+            {
+                code: 'ARTEMIS500',
+                type: 'flat',
+                value: 500,
+                label: '₹500 off Artemis equipment',
+                minOrder: 5000,
+                scope: { missions: ['artemis'] }
+            },
+            {
+                code: 'FIRSTMISSION',
+                type: 'percentage',
+                value: 15,
+                label: 'First mission 15% off',
+                maxDiscount: 1500,
+                oncePerPhone: true
+            },
+            {
+                code: 'CREW-B2G1',
+                type: 'buy-x-get-y',
+                buyQuantity: 2,
+                getQuantity: 1,
+                label: 'Crew apparel: buy 2, get 1 free',
+                scope: { categories: ['apparel'] },
+                autoApply: true
+            }
+        ];
         
-        // NASA Core Values
-        this.missionStatement = "Enabling cosmic exploration through premium astronomy commerce";
-        this.version = "1.0.0";
-        this.build = "120fps-cinematic";
+        defaults.forEach(promotion => this.registerPromotion(promotion));
+        this.loadRedemptions();
+    }
+    
+    registerPromotion(promotion) {
+        const code = this.normalizeCode(promotion.code);
+        if (!code || !['percentage', 'flat', 'buy-x-get-y'].includes(promotion.type)) {
+            console.warn('NASA Promotions: Invalid promotion rule', promotion);
+            return null;
+        }
         
-        // Initialize core systems
-        this.initCoreSystems();
+        const rule = {
+            value: 0,
+            minOrder: 0,
+            maxDiscount: null,
+            scope: {},
+            startsAt: null,
+            expiresAt: null,
+            oncePerPhone: false,
+            autoApply: false,
+            ...promotion,
+            code: code
+        };
+        
+        this.promotions.set(code, rule);
+        return rule;
     }
     
-    initCoreSystems() {
-        try {
-            // Initialize performance monitor first
-            this.modules.set('performance', new NASA_PerformanceMonitor());
-            
-            // Initialize animation controller
-            this.modules.set('animations', new NASA_AnimationController());
-            
-            // Initialize UI Manager
-            this.modules.set('ui', new NASA_UIManager());
-            
-            // Initialize Product Manager
-            this.modules.set('products', new NASA_ProductManager());
-            
-            // Initialize Mission Control
-            this.modules.set('mission', new NASA_MissionControl());
-            
-            // Initialize Order System
-            this.modules.set('orders', new NASA_OrderSystem());
-            
-            // Setup global error handling
-            this.initErrorHandling();
-            
-            // Setup analytics
-            this.initAnalytics();
-            
-            // Start performance monitoring
-            this.modules.get('performance').startMonitoring();
-            
-            this.isInitialized = true;
-            console.log(`🚀 NASA Application v${this.version} initialized in ${(performance.now() - this.startTime).toFixed(2)}ms`);
-            
-            // Dispatch initialization complete event
-            window.dispatchEvent(new Event('nasa-init-complete'));
-            
-        } catch (error) {
-            console.error('NASA Application failed to initialize:', error);
-            this.handleInitError(error);
-        }
+    getPromotion(code) {
+        return this.promotions.get(this.normalizeCode(code)) || null;
     }
     
-    initErrorHandling() {
-        // Global error handler
-        window.addEventListener('error', (event) => {
-            this.handleError(event.error || event);
+    normalizeCode(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+    
+    normalizePhone(phone) {
+        // Compare in E.164 so +91 and local formats match; older redemptions stored ten bare digits
+        return NASA_PhoneNumber.normalize(phone) || String(phone || '').replace(/\D/g, '');
+    }
+    
+    evaluate(items, options = {}) {
+        const now = options.now || new Date();
+        const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        const code = this.normalizeCode(options.code);
+        const errors = [];
+        const discounts = [];
+        
+        const rules = [...this.promotions.values()].filter(rule => rule.autoApply && rule.code !== code);
+        
+        if (code) {
+            const rule = this.getPromotion(code);
+            if (rule) {
+                rules.push(rule);
+            } else {
+                errors.push(`Promo code ${code} is not recognised`);
+            }
+        }
+        
+        rules.forEach(rule => {
+            const problem = this.checkEligibility(rule, items, subtotal, options.phone, now);
+            if (problem) {
+                // Automatic offers stay silent when they don't apply
+                if (!rule.autoApply || rule.code === code) errors.push(problem);
+                return;
+            }
+            
+            const amount = this.calculateDiscount(rule, this.getEligibleItems(rule, items));
+            if (amount > 0) {
+                discounts.push({
+                    code: rule.code,
+                    label: rule.label || rule.code,
+                    type: rule.type,
+                    amount: amount
+                });
+            }
         });
         
-        // Unhandled promise rejections
-        window.addEventListener('unhandledrejection', (event) => {
-            this.handleError(event.reason);
+        // Never discount below zero
+        let remaining = subtotal;
+        discounts.forEach(discount => {
+            discount.amount = Math.min(discount.amount, remaining);
+            remaining -= discount.amount;
         });
         
-        // NASA-specific error boundary
-        this.setupErrorBoundary();
-    }
-    
-    setupErrorBoundary() {
-        // Wrap critical functions with error handling
-        const originalSetTimeout = window.setTimeout;
-        window.setTimeout = (callback, delay, ...args) => {
-            return originalSetTimeout(() => {
-                try {
-                    callback(...args);
-                } catch (error) {
-                    this.handleError(error);
-                }
-            }, delay);
-        };
+        const discountTotal = subtotal - remaining;
         
-        // Similar for setInterval and requestAnimationFrame
-        const originalRAF = window.requestAnimationFrame;
-        window.requestAnimationFrame = (callback) => {
-            return originalRAF((timestamp) => {
-                try {
-                    callback(timestamp);
-                } catch (error) {
-                    this.handleError(error);
-                }
-            });
+        return {
+            subtotal: subtotal,
+            discounts: discounts.filter(discount => discount.amount > 0),
+            discountTotal: discountTotal,
+            total: remaining,
+            code: code && errors.length === 0 ? code : null,
+            errors: errors
         };
     }
     
-    handleError(error) {
-        const errorData = {
-            timestamp: new Date().toISOString(),
-            message: error.message,
-            stack: error.stack,
-            url: window.location.href,
-            userAgent: navigator.userAgent
-        };
+    checkEligibility(rule, items, subtotal, phone, now) {
+        if (rule.startsAt && now < new Date(rule.startsAt)) {
+            return `Promo code ${rule.code} is not active yet`;
+        }
         
-        console.error('NASA Error:', errorData);
+        if (rule.expiresAt && now > new Date(rule.expiresAt)) {
+            return `Promo code ${rule.code} expired on ${new Date(rule.expiresAt).toLocaleDateString('en-IN')}`;
+        }
         
-        // Send to error tracking service if available
-        if (window.nasaAnalytics) {
-            window.nasaAnalytics.track('error', errorData);
+        const eligibleItems = this.getEligibleItems(rule, items);
+        if (eligibleItems.length === 0) {
+            return `Promo code ${rule.code} does not apply to the items in this order`;
         }
         
-        // Show user-friendly error message for critical errors
-        if (this.isCriticalError(error)) {
-            this.showErrorFallback();
+        if (subtotal < rule.minOrder) {
+            return `Promo code ${rule.code} needs a minimum order of ₹${rule.minOrder.toLocaleString('en-IN')}`;
         }
         
-        return false; // Don't prevent default error handling
+        if (rule.type === 'buy-x-get-y') {
+            const units = eligibleItems.reduce((count, item) => count + item.quantity, 0);
+            if (units < rule.buyQuantity + rule.getQuantity) {
+                return `Promo code ${rule.code} needs ${rule.buyQuantity + rule.getQuantity} eligible items`;
+            }
+        }
+        
+        if (rule.oncePerPhone) {
+            const number = this.normalizePhone(phone);
+            if (!number) {
+                return `Enter your phone number to use ${rule.code}`;
+            }
+            
+            if ((this.redemptions[rule.code] || []).some(entry => this.normalizePhone(entry.phone) === number)) {
+                return `Promo code ${rule.code} has already been used with this number`;
+            }
+        }
+        
+        return null;
     }
     
-    isCriticalError(error) {
-        const criticalErrors = [
-            'TypeError',
-            'ReferenceError',
-            'RangeError',
-            'SyntaxError'
-        ];
+    getEligibleItems(rule, items) {
+        const categories = rule.scope.categories || [];
+        const missions = rule.scope.missions || [];
         
-        return criticalErrors.some(errorType => error.name === errorType);
+        return items.filter(item =>
+            (categories.length === 0 || categories.includes(item.category)) &&
+            (missions.length === 0 || missions.includes(item.mission)));
     }
     
-    showErrorFallback() {
-        // Create error overlay
-        const errorOverlay = document.createElement('div');
-        errorOverlay.className = 'nasa-error-overlay';
-        errorOverlay.innerHTML = `
-            <div class="error-content">
-                <div class="error-icon">🚨</div>
-                <h3>Mission Control Error</h3>
-                <p>We've encountered a cosmic anomaly. Our engineers are working on it.</p>
-                <button class="error-retry" onclick="location.reload()">Retry Mission</button>
-                <button class="error-continue" onclick="this.parentElement.parentElement.remove()">Continue Anyway</button>
-            </div>
-        `;
+    calculateDiscount(rule, eligibleItems) {
+        const eligibleTotal = eligibleItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        let amount = 0;
         
-        document.body.appendChild(errorOverlay);
+        switch (rule.type) {
+            case 'percentage':
+                amount = Math.round(eligibleTotal * rule.value / 100);
+                break;
+            case 'flat':
+                amount = Math.min(rule.value, eligibleTotal);
+                break;
+            case 'buy-x-get-y': {
+                // The cheapest units in each bundle are the free ones
+                const units = eligibleItems
+                    .flatMap(item => Array(item.quantity).fill(item.price))
+                    .sort((a, b) => b - a);
+                const bundle = rule.buyQuantity + rule.getQuantity;
+                
+                for (let start = 0; start + bundle <= units.length; start += bundle) {
+                    amount += units.slice(start + rule.buyQuantity, start + bundle).reduce((sum, price) => sum + price, 0);
+                }
+                break;
+            }
+        }
+        
+        return rule.maxDiscount ? Math.min(amount, rule.maxDiscount) : amount;
     }
     
-    handleInitError(error) {
-        console.error('NASA Init Error:', error);
+    recordRedemption(order) {
+        const number = this.normalizePhone(order.customer.phone);
         
-        // Attempt graceful degradation
-        this.enableDegradedMode();
+        (order.discounts || []).forEach(discount => {
+            const rule = this.getPromotion(discount.code);
+            if (!rule?.oncePerPhone) return;
+            
+            this.redemptions[rule.code] = this.redemptions[rule.code] || [];
+            this.redemptions[rule.code].push({ phone: number, orderId: order.id, redeemedAt: new Date().toISOString() });
+        });
         
-        // Show initialization error
-        this.showToast('Application initialized with reduced capabilities', 'warning');
+        this.saveRedemptions();
     }
     
-    enableDegradedMode() {
-        document.documentElement.classList.add('degraded-mode');
-        
-        // Disable heavy animations
-        if (this.modules.has('animations')) {
-            this.modules.get('animations').pauseAllAnimations();
-        }
+    releaseRedemption(order) {
+        // A cancelled order gives the customer their single use back
+        Object.keys(this.redemptions).forEach(code => {
+            this.redemptions[code] = this.redemptions[code].filter(entry => entry.orderId !== order.id);
+        });
         
-        // Disable non-essential features
-        const performance = this.modules.get('performance');
-        if (performance) {
-            performance.triggerOptimization('high');
+        this.saveRedemptions();
+    }
+    
+    loadRedemptions() {
+        try {
+            this.redemptions = JSON.parse(localStorage.getItem('nasa_promo_redemptions') || '{}');
+        } catch (error) {
+            console.warn('NASA: Failed to load promo redemptions', error);
+            this.redemptions = {};
         }
     }
     
-    initAnalytics() {
-        // Initialize NASA Analytics if available
-        if (typeof NASA_Analytics !== 'undefined') {
-            this.modules.set('analytics', new NASA_Analytics());
-        } else {
-            // Basic analytics fallback
-            this.setupBasicAnalytics();
+    saveRedemptions() {
+        try {
+            localStorage.setItem('nasa_promo_redemptions', JSON.stringify(this.redemptions));
+        } catch (error) {
+            console.warn('NASA: Failed to save promo redemptions', error);
         }
     }
+}
+
+// NASA Pricing Engine - GST, shipping zones and delivery estimates
+class NASA_PricingEngine {
+    constructor(config = {}) {
+        this.config = {
+            originPin: '781001', // Guwahati, Assam
+            originState: 'Assam',
+            pricesIncludeGST: true,
+            freeShippingThreshold: 1999,
+            freeShippingMaxMass: 10, // kg covered by free shipping
+            baseMass: 1, // kg covered by the base fee
+            dispatchCutoffHour: 14,
+            giftWrapFee: 99,
+            scheduleDays: 21, // how far past the earliest date a delivery can be booked
+            // Courier holidays, as YYYY-MM-DD; Sundays are always off
+            blackoutDates: ['2026-11-08', '2026-11-09', '2026-12-25', '2027-01-26'],
+            ...config
+        };
+        
+        // Slabs are checked in order; the first one whose unit price ceiling fits wins
+        this.gstRates = {
+            apparel: [{ maxUnitPrice: 2500, rate: 5 }, { rate: 18 }],
+            telescope: [{ rate: 18 }],
+            imaging: [{ rate: 18 }],
+            accessories: [{ rate: 18 }],
+            default: [{ rate: 18 }]
+        };
+        
+        this.shippingZones = {
+            local: { label: 'Local (Guwahati)', base: 40, perKg: 15, days: [1, 2] },
+            regional: { label: 'North East', base: 60, perKg: 25, days: [2, 4] },
+            metro: { label: 'Metro', base: 80, perKg: 35, days: [4, 6] },
+            national: { label: 'Rest of India', base: 90, perKg: 40, days: [5, 7] },
+            remote: { label: 'Remote / Islands', base: 150, perKg: 80, days: [8, 12] }
+        };
+        
+        this.deliverySlots = {
+            morning: { label: '9 AM – 1 PM' },
+            afternoon: { label: '1 PM – 5 PM' },
+            evening: { label: '5 PM – 9 PM' }
+        };
+        
+        // Matched on the leading digits of the PIN, longest prefix first
+        this.zonePrefixes = [
+            { prefix: '781', zone: 'local' },
+            { prefix: '78', zone: 'regional' },
+            { prefix: '79', zone: 'regional' },
+            { prefix: '744', zone: 'remote' },
+            { prefix: '682555', zone: 'remote' },
+            { prefix: '682556', zone: 'remote' },
+            { prefix: '682557', zone: 'remote' },
+            { prefix: '682558', zone: 'remote' },
+            { prefix: '682559', zone: 'remote' },
+            { prefix: '194', zone: 'remote' },
+            { prefix: '110', zone: 'metro' },
+            { prefix: '400', zone: 'metro' },
+            { prefix: '560', zone: 'metro' },
+            { prefix: '600', zone: 'metro' },
+            { prefix: '700', zone: 'metro' },
+            { prefix: '500', zone: 'metro' }
+        ].sort((a, b) => b.prefix.length - a.prefix.length);
+    }
     
-    setupBasicAnalytics() {
-        const analytics = {
-            pageViews: 0,
-            events: [],
-            startTime: Date.now(),
-            
-            track: function(event, data) {
-                this.events.push({
-                    event,
-                    data,
-                    timestamp: new Date().toISOString()
-                });
-                
-                // Keep only last 100 events
-                if (this.events.length > 100) {
-                    this.events.shift();
-                }
-                
-                console.log(`NASA Analytics: ${event}`, data);
-            },
-            
-            trackPageView: function() {
-                this.pageViews++;
-                this.track('page_view', {
-                    url: window.location.href,
-                    title: document.title
-                });
-            },
+    isValidPincode(pincode) {
+        return /^[1-9]\d{5}$/.test(String(pincode || '').trim());
+    }
+    
+    extractPincode(text) {
+        const match = String(text || '').match(/\b[1-9]\d{2}\s?\d{3}\b/g);
+        return match ? match[match.length - 1].replace(/\s/g, '') : null;
+    }
+    
+    getZone(pincode) {
+        if (!this.isValidPincode(pincode)) return null;
+        
+        const pin = String(pincode).trim();
+        const entry = this.zonePrefixes.find(item => pin.startsWith(item.prefix));
+        const id = entry ? entry.zone : 'national';
+        
+        return { id: id, ...this.shippingZones[id] };
+    }
+    
+    isIntraState(pincode) {
+        // Assam PINs all start with 78
+        return String(pincode || '').startsWith(this.config.originPin.slice(0, 2));
+    }
+    
+    getGSTRate(item) {
+        const slabs = this.gstRates[item.category] || this.gstRates.default;
+        const slab = slabs.find(entry => entry.maxUnitPrice === undefined || item.price <= entry.maxUnitPrice);
+        return slab.rate;
+    }
+    
+    calculateTax(items, discountTotal = 0, pincode = null) {
+        const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        
+        // Discounts reduce the taxable value pro rata across lines
+        const ratio = subtotal > 0 ? (subtotal - discountTotal) / subtotal : 0;
+        const byRate = new Map();
+        
+        items.forEach((item, index) => {
+            const rate = this.getGSTRate(item);
+            const value = item.price * item.quantity * ratio;
+            const tax = this.config.pricesIncludeGST
+                ? value * rate / (100 + rate)
+                : value * rate / 100;
             
-            getSessionDuration: function() {
-                return Date.now() - this.startTime;
-            }
-        };
+            const entry = byRate.get(rate) || { amount: 0, items: [] };
+            entry.amount += tax;
+            entry.items.push(index);
+            byRate.set(rate, entry);
+        });
         
-        window.nasaAnalytics = analytics;
-        analytics.trackPageView();
+        const intraState = this.isIntraState(pincode);
+        const lines = [...byRate.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([rate, entry]) => ({
+                rate: rate,
+                amount: Math.round(entry.amount * 100) / 100,
+                // Positions in the items list, so invoices can show each line's rate later
+                items: entry.items,
+                // Intra-state supplies split evenly into central and state tax
+                components: intraState
+                    ? [{ type: 'CGST', rate: rate / 2 }, { type: 'SGST', rate: rate / 2 }]
+                    : [{ type: 'IGST', rate: rate }]
+            }));
+        
+        const total = Math.round(lines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+        
+        return {
+            inclusive: this.config.pricesIncludeGST,
+            type: intraState ? 'CGST+SGST' : 'IGST',
+            lines: lines,
+            total: total
+        };
     }
     
-    showToast(message, type = 'info') {
-        if (this.modules.has('ui')) {
-            this.modules.get('ui').showToast(message, type);
-        } else {
-            alert(message); // Fallback
+    calculateShipping(pincode, mass, orderValue) {
+        const zone = this.getZone(pincode);
+        if (!zone) return null;
+        
+        const chargeableMass = Math.max(0, Math.ceil(mass - this.config.baseMass));
+        let fee = zone.base + chargeableMass * zone.perKg;
+        let free = false;
+        
+        if (orderValue >= this.config.freeShippingThreshold) {
+            // Free shipping covers the first few kilos; heavier payloads pay the excess
+            const excess = Math.max(0, Math.ceil(mass - this.config.freeShippingMaxMass));
+            fee = excess * zone.perKg;
+            free = fee === 0;
         }
+        
+        return {
+            zone: zone.id,
+            zoneLabel: zone.label,
+            mass: mass,
+            fee: fee,
+            free: free,
+            freeShippingRemaining: Math.max(0, this.config.freeShippingThreshold - orderValue)
+        };
     }
     
-    getModule(moduleName) {
-        return this.modules.get(moduleName);
+    estimateDelivery(pincode, from = new Date(), availableFrom = null) {
+        const zone = this.getZone(pincode);
+        const [minDays, maxDays] = zone ? zone.days : [5, 7];
+        const dispatch = this.getDispatchDate(from, availableFrom);
+        
+        return {
+            earliest: this.addWorkingDays(dispatch, minDays).toISOString(),
+            latest: this.addWorkingDays(dispatch, maxDays).toISOString()
+        };
     }
     
-    async executeMission(missionName, ...args) {
-        if (!this.isInitialized) {
-            throw new Error('NASA Application not initialized');
+    getDispatchDate(from = new Date(), availableFrom = null) {
+        // Orders after the cutoff leave the next working day
+        const dispatch = new Date(from);
+        if (dispatch.getHours() >= this.config.dispatchCutoffHour) {
+            dispatch.setDate(dispatch.getDate() + 1);
         }
         
-        try {
+        // Pre-orders wait in the warehouse until release day
+        const release = availableFrom ? this.parseDateKey(availableFrom) : null;
+        return release && release > dispatch ? release : dispatch;
+    }
+    
+    addWorkingDays(date, days) {
+        const result = new Date(date);
+        let added = 0;
+        
+        while (added < days) {
+            result.setDate(result.getDate() + 1);
+            if (this.isDeliveryDay(result)) added++;
+        }
+        
+        return result;
+    }
+    
+    isDeliveryDay(date) {
+        // Couriers don't deliver on Sundays or holidays
+        return new Date(date).getDay() !== 0 && !this.config.blackoutDates.includes(this.toDateKey(date));
+    }
+    
+    getDeliverySlots() {
+        return Object.entries(this.deliverySlots).map(([id, slot]) => ({ id: id, ...slot }));
+    }
+    
+    // Bookable dates start once the slowest courier for the zone could have arrived
+    getDeliveryCalendar(pincode, options = {}) {
+        if (!this.getZone(pincode)) return null;
+        
+        const estimate = this.estimateDelivery(pincode, options.from, options.availableFrom);
+        const start = new Date(estimate.latest);
+        const dates = [];
+        
+        for (let offset = 0; offset < this.config.scheduleDays; offset++) {
+            const day = new Date(start);
+            day.setDate(start.getDate() + offset);
+            dates.push({
+                date: this.toDateKey(day),
+                available: this.isDeliveryDay(day),
+                blackout: this.config.blackoutDates.includes(this.toDateKey(day))
+            });
+        }
+        
+        return {
+            earliest: dates[0].date,
+            latest: dates[dates.length - 1].date,
+            dates: dates,
+            slots: this.getDeliverySlots()
+        };
+    }
+    
+    checkDeliverySlot(pincode, date, slotId = null, options = {}) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || ''))) {
+            return 'Please pick a delivery date from the calendar';
+        }
+        
+        if (slotId && !this.deliverySlots[slotId]) {
+            return 'Please pick one of the listed delivery slots';
+        }
+        
+        const calendar = this.getDeliveryCalendar(pincode, options);
+        if (!calendar) {
+            return 'Please add a valid PIN code before picking a delivery date';
+        }
+        
+        const day = calendar.dates.find(entry => entry.date === date);
+        if (!day) {
+            return date < calendar.earliest
+                ? `The earliest delivery date for this PIN code is ${this.formatDateKey(calendar.earliest)}`
+                : `Deliveries can only be booked up to ${this.formatDateKey(calendar.latest)}`;
+        }
+        
+        if (!day.available) {
+            return `Couriers don't deliver on ${this.formatDateKey(date)}`;
+        }
+        
+        return null;
+    }
+    
+    // Calendar days are local dates; toISOString() would shift them across midnight
+    toDateKey(date) {
+        const day = new Date(date);
+        return [
+            day.getFullYear(),
+            String(day.getMonth() + 1).padStart(2, '0'),
+            String(day.getDate()).padStart(2, '0')
+        ].join('-');
+    }
+    
+    parseDateKey(key) {
+        return new Date(`${key}T00:00:00`);
+    }
+    
+    formatDateKey(key) {
+        return this.parseDateKey(key).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+    }
+    
+    quote(items, options = {}) {
+        const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        const discountTotal = options.discountTotal || 0;
+        const goodsTotal = subtotal - discountTotal;
+        const pincode = this.isValidPincode(options.pincode) ? String(options.pincode).trim() : null;
+        
+        const tax = this.calculateTax(items, discountTotal, pincode);
+        const shipping = pincode ? this.calculateShipping(pincode, options.mass || 0, goodsTotal) : null;
+        const exclusiveTax = tax.inclusive ? 0 : tax.total;
+        const giftWrapFee = options.giftWrap ? this.config.giftWrapFee : 0;
+        
+        return {
+            pincode: pincode,
+            tax: tax,
+            shipping: shipping,
+            giftWrapFee: giftWrapFee,
+            delivery: pincode ? this.estimateDelivery(pincode, new Date(), options.availableFrom) : null,
+            total: Math.round(goodsTotal + exclusiveTax + (shipping ? shipping.fee : 0) + giftWrapFee)
+        };
+    }
+}
+
+// NASA QR Code - minimal byte-mode encoder (EC level M, versions 1-10)
+class NASA_QRCode {
+    constructor(text) {
+        this.data = Array.from(new TextEncoder().encode(text));
+        this.version = this.chooseVersion(this.data.length);
+        this.size = this.version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => Array(this.size).fill(false));
+        this.reserved = Array.from({ length: this.size }, () => Array(this.size).fill(false));
+        
+        this.drawFunctionPatterns();
+        this.drawCodewords(this.buildCodewords());
+        this.applyBestMask();
+    }
+    
+    static encode(text) {
+        return new NASA_QRCode(text).modules;
+    }
+    
+    static toSVG(text, options = {}) {
+        const modules = NASA_QRCode.encode(text);
+        const quiet = options.quietZone ?? 4;
+        const dimension = modules.length + quiet * 2;
+        let path = '';
+        
+        modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) path += `M${x + quiet},${y + quiet}h1v1h-1z`;
+        }));
+        
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" class="${options.className || 'qr-code'}" role="img" aria-label="${options.label || 'QR code'}" shape-rendering="crispEdges">` +
+            `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+    }
+    
+    // Per version: [data codewords per block, block count] groups and EC codewords per block
+    static get blockTable() {
+        return [
+            null,
+            { ec: 10, groups: [[16, 1]] },
+            { ec: 16, groups: [[28, 1]] },
+            { ec: 26, groups: [[44, 1]] },
+            { ec: 18, groups: [[32, 2]] },
+            { ec: 24, groups: [[43, 2]] },
+            { ec: 16, groups: [[27, 4]] },
+            { ec: 18, groups: [[31, 4]] },
+            { ec: 22, groups: [[38, 2], [39, 2]] },
+            { ec: 22, groups: [[36, 3], [37, 2]] },
+            { ec: 26, groups: [[43, 4], [44, 1]] }
+        ];
+    }
+    
+    static get alignmentTable() {
+        return [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+    }
+    
+    chooseVersion(length) {
+        for (let version = 1; version <= 10; version++) {
+            const capacity = this.getDataCapacity(version);
+            const countBits = version < 10 ? 8 : 16;
+            if (4 + countBits + length * 8 <= capacity * 8) return version;
+        }
+        
+        throw new Error('Text is too long for a QR code');
+    }
+    
+    getDataCapacity(version) {
+        return NASA_QRCode.blockTable[version].groups.reduce((sum, [size, count]) => sum + size * count, 0);
+    }
+    
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.reserved[y][x] = true;
+    }
+    
+    drawFunctionPatterns() {
+        const size = this.size;
+        
+        for (let i = 0; i < size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+        
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                    
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    this.setFunction(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+        
+        const positions = NASA_QRCode.alignmentTable[this.version];
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => positions.forEach((cy, j) => {
+            // Skip the three corners occupied by finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+        
+        // Reserve the format areas; real bits are written once the mask is known
+        this.drawFormatBits(0);
+        this.drawVersionBits();
+    }
+    
+    drawFormatBits(mask) {
+        const size = this.size;
+        const data = (0 << 3) | mask; // EC level M
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+        
+        for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+        this.setFunction(8, 7, bit(6));
+        this.setFunction(8, 8, bit(7));
+        this.setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+        
+        for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+        this.setFunction(8, size - 8, true);
+    }
+    
+    drawVersionBits() {
+        if (this.version < 7) return;
+        
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+        
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            this.setFunction(a, b, dark);
+            this.setFunction(b, a, dark);
+        }
+    }
+    
+    buildCodewords() {
+        const table = NASA_QRCode.blockTable[this.version];
+        const capacity = this.getDataCapacity(this.version);
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        
+        push(0b0100, 4); // byte mode
+        push(this.data.length, this.version < 10 ? 8 : 16);
+        this.data.forEach(byte => push(byte, 8));
+        push(0, Math.min(4, capacity * 8 - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+        
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        for (let pad = 0xEC; codewords.length < capacity; pad ^= 0xEC ^ 0x11) {
+            codewords.push(pad);
+        }
+        
+        // Split into blocks, add error correction, then interleave
+        const blocks = [];
+        let offset = 0;
+        table.groups.forEach(([length, count]) => {
+            for (let i = 0; i < count; i++) {
+                const data = codewords.slice(offset, offset + length);
+                offset += length;
+                blocks.push({ data: data, ec: this.reedSolomon(data, table.ec) });
+            }
+        });
+        
+        const result = [];
+        const longest = Math.max(...blocks.map(block => block.data.length));
+        for (let i = 0; i < longest; i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) result.push(block.data[i]);
+            });
+        }
+        for (let i = 0; i < table.ec; i++) {
+            blocks.forEach(block => result.push(block.ec[i]));
+        }
+        
+        return result;
+    }
+    
+    multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+    
+    reedSolomon(data, degree) {
+        const divisor = Array(degree).fill(0);
+        divisor[degree - 1] = 1;
+        let root = 1;
+        
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                divisor[j] = this.multiply(divisor[j], root);
+                if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+            }
+            root = this.multiply(root, 0x02);
+        }
+        
+        const remainder = Array(degree).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ remainder.shift();
+            remainder.push(0);
+            divisor.forEach((coefficient, i) => {
+                remainder[i] ^= this.multiply(coefficient, factor);
+            });
+        });
+        
+        return remainder;
+    }
+    
+    drawCodewords(codewords) {
+        const size = this.size;
+        let index = 0;
+        
+        // Two-module-wide columns, zigzagging up and down from the right edge
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    
+                    if (!this.reserved[y][x] && index < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) !== 0;
+                        index++;
+                    }
+                }
+            }
+        }
+    }
+    
+    applyMask(mask) {
+        const patterns = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+        
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.reserved[y][x] && patterns[mask](x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+    
+    applyBestMask() {
+        let best = 0;
+        let lowest = Infinity;
+        
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(mask);
+            this.drawFormatBits(mask);
+            
+            const penalty = this.getPenalty();
+            if (penalty < lowest) {
+                lowest = penalty;
+                best = mask;
+            }
+            
+            // Masking is an XOR, so applying it again undoes it
+            this.applyMask(mask);
+        }
+        
+        this.applyMask(best);
+        this.drawFormatBits(best);
+    }
+    
+    getPenalty() {
+        const size = this.size;
+        const modules = this.modules;
+        const finder = [true, false, true, true, true, false, true];
+        let penalty = 0;
+        let dark = 0;
+        
+        const scanLine = (get) => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && get(i) === get(i - 1)) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += run - 2;
+                    run = 1;
+                }
+            }
+            
+            // Finder-like 1:1:3:1:1 runs with four light modules on either side
+            for (let i = 0; i + 7 <= size; i++) {
+                if (!finder.every((value, k) => get(i + k) === value)) continue;
+                
+                const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || !get(i - k));
+                const lightAfter = [0, 1, 2, 3].every(k => i + 7 + k >= size || !get(i + 7 + k));
+                if (lightBefore || lightAfter) penalty += 40;
+            }
+        };
+        
+        for (let y = 0; y < size; y++) {
+            scanLine((x) => modules[y][x]);
+            scanLine((x) => modules[x][y]);
+        }
+        
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+        
+        modules.forEach(row => row.forEach(module => { if (module) dark++; }));
+        const total = size * size;
+        penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+        
+        return penalty;
+    }
+}
+
+// NASA Payment Manager - UPI intent links, QR codes and cash on delivery
+class NASA_PaymentManager {
+    constructor(config = {}) {
+        this.config = {
+            payeeVpa: '', // store UPI ID, set from "store.upiVpa" in data/catalog.json; UPI stays off until it is set
+            payeeName: 'arestopranav_.0p STORE',
+            currency: 'INR',
+            codLimit: 10000,
+            ...config
+        };
+        
+        this.methods = {
+            upi: { label: 'UPI', description: 'Pay now with any UPI app' },
+            cod: { label: 'Cash on Delivery', description: 'Pay the courier in cash' },
+            store: { label: 'Arranged with store', description: 'Mission Control shares payment details after confirming' }
+        };
+        
+        this.statusLabels = {
+            pending: 'Awaiting payment',
+            'due-on-delivery': 'Due on delivery',
+            paid: 'Paid'
+        };
+    }
+    
+    configure(config = {}) {
+        Object.assign(this.config, config);
+        return this.config;
+    }
+    
+    isValidVpa(vpa) {
+        return /^[a-z0-9._-]{2,256}@[a-z][a-z0-9]{1,64}$/i.test(String(vpa || '').trim());
+    }
+    
+    // options.gift: the recipient didn't order it, so nobody there should be asked for cash
+    isMethodAvailable(method, total = 0, options = {}) {
+        if (method === 'upi') return this.isValidVpa(this.config.payeeVpa);
+        if (method === 'cod') return !options.gift && total <= this.config.codLimit;
+        // Without an online method, larger orders are paid however the store arranges
+        if (method === 'store') return !this.isValidVpa(this.config.payeeVpa);
+        return false;
+    }
+    
+    getAvailableMethods(total = 0, options = {}) {
+        return Object.entries(this.methods)
+            .filter(([id]) => this.isMethodAvailable(id, total, options))
+            .map(([id, method]) => ({ id: id, ...method }));
+    }
+    
+    checkMethod(method, total, options = {}) {
+        if (!this.methods[method]) return 'Please choose a payment method';
+        if (method === 'cod' && options.gift) {
+            return this.isMethodAvailable('upi')
+                ? 'Gifts have to be paid in advance. Please pay by UPI'
+                : 'Gifts have to be paid in advance. Please pay as arranged with the store';
+        }
+        if (method === 'upi' && !this.isMethodAvailable('upi')) {
+            return 'UPI payments are not available yet. Please choose another payment method';
+        }
+        if (method === 'store' && !this.isMethodAvailable('store')) {
+            return 'Please pay by UPI';
+        }
+        if (method === 'cod' && total > this.config.codLimit) {
+            return `Cash on delivery is available on orders up to ${this.formatAmount(this.config.codLimit)}. Please pay ${this.isMethodAvailable('upi') ? 'by UPI' : 'as arranged with the store'}`;
+        }
+        return null;
+    }
+    
+    createPayment(method, total) {
+        return {
+            method: method,
+            status: method === 'cod' ? 'due-on-delivery' : 'pending',
+            amount: total,
+            utr: null,
+            paidAt: null
+        };
+    }
+    
+    buildUpiLink(order) {
+        if (!this.isValidVpa(this.config.payeeVpa)) return null;
+        
+        // The order ID doubles as transaction note and reference so the payment can be matched
+        const params = {
+            pa: this.config.payeeVpa.trim(),
+            pn: this.config.payeeName,
+            am: Number(order.total).toFixed(2),
+            cu: this.config.currency,
+            tn: `Order ${order.id}`,
+            tr: order.id
+        };
+        
+        // Some UPI apps reject an escaped '@' in the payee address
+        return `upi://pay?${Object.entries(params)
+            .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`)
+            .join('&')}`;
+    }
+    
+    renderQRCode(order) {
+        const link = this.buildUpiLink(order);
+        if (!link) return '';
+        
+        try {
+            return NASA_QRCode.toSVG(link, {
+                className: 'payment-qr-code',
+                label: `UPI QR code for order ${order.id}`
+            });
+        } catch (error) {
+            console.warn('NASA Payments: Failed to render QR code', error);
+            return '';
+        }
+    }
+    
+    normalizeUtr(utr) {
+        return String(utr || '').replace(/\s/g, '');
+    }
+    
+    // UPI references (UTR/RRN) are 12 digits
+    checkReference(order, utr, orders = []) {
+        const reference = this.normalizeUtr(utr);
+        
+        if (!order.payment || !['upi', 'store'].includes(order.payment.method)) return 'This order is not paid online';
+        if (order.payment.status === 'paid') return 'This order is already marked as paid';
+        // Payments arranged with the store may come by bank transfer, whose references vary
+        if (order.payment.method === 'store' ? !/^[a-z0-9]{6,22}$/i.test(reference) : !/^\d{12}$/.test(reference)) {
+            return order.payment.method === 'store' ? 'Please enter the payment reference' : 'Please enter the 12-digit UTR from your UPI app';
+        }
+        
+        const reused = orders.find(entry => entry.id !== order.id && entry.payment?.utr === reference);
+        if (reused) return `UTR ${reference} is already recorded against order ${reused.id}`;
+        
+        return null;
+    }
+    
+    markPaid(order, utr) {
+        order.payment = {
+            ...order.payment,
+            status: 'paid',
+            utr: this.normalizeUtr(utr),
+            paidAt: new Date().toISOString()
+        };
+        return order.payment;
+    }
+    
+    markCollected(order) {
+        if (order.payment?.method !== 'cod' || order.payment.status === 'paid') return null;
+        
+        order.payment = { ...order.payment, status: 'paid', paidAt: new Date().toISOString() };
+        return order.payment;
+    }
+    
+    getStatusLabel(payment) {
+        return this.statusLabels[payment?.status] || this.statusLabels.pending;
+    }
+    
+    describe(payment) {
+        if (!payment) return 'Not recorded';
+        
+        // Orders placed before payments were arranged over chat
+        const method = this.methods[payment.method]?.label || 'Arranged with store';
+        const reference = payment.utr ? `, UTR ${payment.utr}` : '';
+        return `${method} (${this.getStatusLabel(payment)}${reference})`;
+    }
+    
+    formatAmount(amount) {
+        return new Intl.NumberFormat('en-IN', {
+            style: 'currency',
+            currency: this.config.currency,
+            maximumFractionDigits: 0
+        }).format(amount);
+    }
+}
+
+// NASA Phone Number - parses E.164 and national input against per-country length rules
+class NASA_PhoneNumber {
+    // lengths count national digits after the dial code; trunkPrefix is dropped from local input
+    static get countries() {
+        return [
+            { code: 'IN', name: 'India', dialCode: '91', lengths: [10], pattern: /^[6-9]/, trunkPrefix: '0' },
+            { code: 'US', name: 'United States', dialCode: '1', lengths: [10], pattern: /^[2-9]\d{2}[2-9]/ },
+            { code: 'CA', name: 'Canada', dialCode: '1', lengths: [10], pattern: /^[2-9]\d{2}[2-9]/ },
+            { code: 'GB', name: 'United Kingdom', dialCode: '44', lengths: [9, 10], pattern: /^[1-9]/, trunkPrefix: '0' },
+            { code: 'AE', name: 'United Arab Emirates', dialCode: '971', lengths: [8, 9], pattern: /^[2-9]/, trunkPrefix: '0' },
+            { code: 'SA', name: 'Saudi Arabia', dialCode: '966', lengths: [8, 9], pattern: /^[1-9]/, trunkPrefix: '0' },
+            { code: 'QA', name: 'Qatar', dialCode: '974', lengths: [8], pattern: /^[3-7]/ },
+            { code: 'KW', name: 'Kuwait', dialCode: '965', lengths: [8], pattern: /^[1-9]/ },
+            { code: 'OM', name: 'Oman', dialCode: '968', lengths: [8], pattern: /^[2-9]/ },
+            { code: 'BH', name: 'Bahrain', dialCode: '973', lengths: [8], pattern: /^[1-9]/ },
+            { code: 'SG', name: 'Singapore', dialCode: '65', lengths: [8], pattern: /^[3689]/ },
+            { code: 'MY', name: 'Malaysia', dialCode: '60', lengths: [8, 9, 10], pattern: /^[1-9]/, trunkPrefix: '0' },
+            { code: 'AU', name: 'Australia', dialCode: '61', lengths: [9], pattern: /^[2-578]/, trunkPrefix: '0' },
+            { code: 'NZ', name: 'New Zealand', dialCode: '64', lengths: [8, 9, 10], pattern: /^[2-9]/, trunkPrefix: '0' },
+            { code: 'NP', name: 'Nepal', dialCode: '977', lengths: [8, 9, 10], pattern: /^[1-9]/, trunkPrefix: '0' },
+            { code: 'BD', name: 'Bangladesh', dialCode: '880', lengths: [8, 9, 10], pattern: /^[1-9]/, trunkPrefix: '0' },
+            { code: 'LK', name: 'Sri Lanka', dialCode: '94', lengths: [9], pattern: /^[1-9]/, trunkPrefix: '0' },
+            { code: 'DE', name: 'Germany', dialCode: '49', lengths: [7, 8, 9, 10, 11], pattern: /^[1-9]/, trunkPrefix: '0' },
+            { code: 'FR', name: 'France', dialCode: '33', lengths: [9], pattern: /^[1-9]/, trunkPrefix: '0' }
+        ];
+    }
+    
+    static getCountry(code) {
+        return NASA_PhoneNumber.countries.find(country => country.code === String(code || '').toUpperCase()) || null;
+    }
+    
+    // Returns { valid, error, country, nationalNumber, e164 }; local numbers are read in defaultCountry
+    static parse(input, defaultCountry = 'IN') {
+        const raw = String(input || '').trim();
+        const selected = NASA_PhoneNumber.getCountry(defaultCountry) || NASA_PhoneNumber.getCountry('IN');
+        const result = { valid: false, error: null, country: selected, nationalNumber: '', e164: '' };
+        
+        if (!raw) {
+            result.error = 'Phone number is required';
+            return result;
+        }
+        
+        if (/[^\d\s()+.\-]/.test(raw)) {
+            result.error = 'Phone numbers can only contain digits, spaces and +';
+            return result;
+        }
+        
+        let digits = raw.replace(/\D/g, '');
+        let international = raw.startsWith('+') || digits.startsWith('00');
+        if (digits.startsWith('00')) digits = digits.slice(2);
+        
+        // "919876543210" is an Indian number typed with its dial code but without the +
+        if (!international && digits.startsWith(selected.dialCode) &&
+            !NASA_PhoneNumber.fits(selected, digits) &&
+            NASA_PhoneNumber.fits(selected, digits.slice(selected.dialCode.length))) {
+            international = true;
+        }
+        
+        let country = selected;
+        let national = digits;
+        
+        if (international) {
+            country = NASA_PhoneNumber.findByDialCode(digits, selected);
+            if (!country) {
+                result.error = `Country code +${digits.slice(0, 3)} is not supported`;
+                return result;
+            }
+            national = digits.slice(country.dialCode.length);
+        } else if (country.trunkPrefix && national.startsWith(country.trunkPrefix)) {
+            national = national.slice(country.trunkPrefix.length);
+        }
+        
+        result.country = country;
+        result.nationalNumber = national;
+        
+        if (!country.lengths.includes(national.length)) {
+            const lengths = country.lengths.length > 1
+                ? `${country.lengths[0]}-${country.lengths[country.lengths.length - 1]}`
+                : country.lengths[0];
+            result.error = `${country.name} numbers have ${lengths} digits after +${country.dialCode}`;
+            return result;
+        }
+        
+        if (!country.pattern.test(national)) {
+            result.error = `Enter a valid ${country.name} phone number`;
+            return result;
+        }
+        
+        result.valid = true;
+        result.e164 = `+${country.dialCode}${national}`;
+        return result;
+    }
+    
+    static fits(country, national) {
+        return country.lengths.includes(national.length) && country.pattern.test(national);
+    }
+    
+    // Longest dial code wins; countries sharing one (+1) prefer the selected country
+    static findByDialCode(digits, preferred) {
+        const matches = NASA_PhoneNumber.countries
+            .filter(country => digits.startsWith(country.dialCode))
+            .sort((a, b) => b.dialCode.length - a.dialCode.length);
+        if (matches.length === 0) return null;
+        
+        const dialCode = matches[0].dialCode;
+        return matches.find(country => country.dialCode === dialCode && country.code === preferred?.code) || matches[0];
+    }
+    
+    static isValid(input, defaultCountry = 'IN') {
+        return NASA_PhoneNumber.parse(input, defaultCountry).valid;
+    }
+    
+    // Canonical E.164, or '' when the number cannot be parsed
+    static normalize(input, defaultCountry = 'IN') {
+        return NASA_PhoneNumber.parse(input, defaultCountry).e164;
+    }
+}
+
+// NASA Address Validator - structured Indian addresses, PIN format and PIN-to-state checks
+class NASA_AddressValidator {
+    constructor() {
+        this.states = [
+            'Andaman and Nicobar Islands', 'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar',
+            'Chandigarh', 'Chhattisgarh', 'Dadra and Nagar Haveli and Daman and Diu', 'Delhi', 'Goa',
+            'Gujarat', 'Haryana', 'Himachal Pradesh', 'Jammu and Kashmir', 'Jharkhand', 'Karnataka',
+            'Kerala', 'Ladakh', 'Lakshadweep', 'Madhya Pradesh', 'Maharashtra', 'Manipur', 'Meghalaya',
+            'Mizoram', 'Nagaland', 'Odisha', 'Puducherry', 'Punjab', 'Rajasthan', 'Sikkim', 'Tamil Nadu',
+            'Telangana', 'Tripura', 'Uttar Pradesh', 'Uttarakhand', 'West Bengal'
+        ];
+        
+        // Postal circles by leading PIN digits, longest prefix wins. Circles that
+        // straddle a state border list every state they serve.
+        this.pinPrefixes = [
+            { prefix: '11', states: ['Delhi'] },
+            { prefix: '12', states: ['Haryana'] },
+            { prefix: '13', states: ['Haryana'] },
+            { prefix: '14', states: ['Punjab'] },
+            { prefix: '15', states: ['Punjab'] },
+            { prefix: '16', states: ['Punjab', 'Haryana'] },
+            { prefix: '160', states: ['Chandigarh', 'Punjab', 'Haryana'] },
+            { prefix: '17', states: ['Himachal Pradesh'] },
+            { prefix: '18', states: ['Jammu and Kashmir'] },
+            { prefix: '19', states: ['Jammu and Kashmir'] },
+            { prefix: '194', states: ['Ladakh'] },
+            { prefix: '20', states: ['Uttar Pradesh'] },
+            { prefix: '21', states: ['Uttar Pradesh'] },
+            { prefix: '22', states: ['Uttar Pradesh'] },
+            { prefix: '23', states: ['Uttar Pradesh'] },
+            { prefix: '24', states: ['Uttar Pradesh', 'Uttarakhand'] },
+            { prefix: '25', states: ['Uttar Pradesh'] },
+            { prefix: '26', states: ['Uttar Pradesh', 'Uttarakhand'] },
+            { prefix: '27', states: ['Uttar Pradesh'] },
+            { prefix: '28', states: ['Uttar Pradesh'] },
+            { prefix: '30', states: ['Rajasthan'] },
+            { prefix: '31', states: ['Rajasthan'] },
+            { prefix: '32', states: ['Rajasthan'] },
+            { prefix: '33', states: ['Rajasthan'] },
+            { prefix: '34', states: ['Rajasthan'] },
+            { prefix: '36', states: ['Gujarat'] },
+            { prefix: '37', states: ['Gujarat'] },
+            { prefix: '38', states: ['Gujarat'] },
+            { prefix: '39', states: ['Gujarat'] },
+            { prefix: '396', states: ['Gujarat', 'Dadra and Nagar Haveli and Daman and Diu'] },
+            { prefix: '40', states: ['Maharashtra'] },
+            { prefix: '403', states: ['Goa'] },
+            { prefix: '41', states: ['Maharashtra'] },
+            { prefix: '42', states: ['Maharashtra'] },
+            { prefix: '43', states: ['Maharashtra'] },
+            { prefix: '44', states: ['Maharashtra'] },
+            { prefix: '45', states: ['Madhya Pradesh'] },
+            { prefix: '46', states: ['Madhya Pradesh'] },
+            { prefix: '47', states: ['Madhya Pradesh'] },
+            { prefix: '48', states: ['Madhya Pradesh'] },
+            { prefix: '49', states: ['Chhattisgarh'] },
+            { prefix: '50', states: ['Telangana'] },
+            { prefix: '51', states: ['Andhra Pradesh'] },
+            { prefix: '52', states: ['Andhra Pradesh'] },
+            { prefix: '53', states: ['Andhra Pradesh'] },
+            { prefix: '533', states: ['Andhra Pradesh', 'Puducherry'] },
+            { prefix: '56', states: ['Karnataka'] },
+            { prefix: '57', states: ['Karnataka'] },
+            { prefix: '58', states: ['Karnataka'] },
+            { prefix: '59', states: ['Karnataka'] },
+            { prefix: '60', states: ['Tamil Nadu'] },
+            { prefix: '605', states: ['Puducherry', 'Tamil Nadu'] },
+            { prefix: '609', states: ['Puducherry', 'Tamil Nadu'] },
+            { prefix: '61', states: ['Tamil Nadu'] },
+            { prefix: '62', states: ['Tamil Nadu'] },
+            { prefix: '63', states: ['Tamil Nadu'] },
+            { prefix: '64', states: ['Tamil Nadu'] },
+            { prefix: '67', states: ['Kerala'] },
+            { prefix: '673', states: ['Kerala', 'Puducherry'] },
+            { prefix: '68', states: ['Kerala'] },
+            { prefix: '68255', states: ['Lakshadweep'] },
+            { prefix: '69', states: ['Kerala'] },
+            { prefix: '70', states: ['West Bengal'] },
+            { prefix: '71', states: ['West Bengal'] },
+            { prefix: '72', states: ['West Bengal'] },
+            { prefix: '73', states: ['West Bengal'] },
+            { prefix: '737', states: ['Sikkim'] },
+            { prefix: '74', states: ['West Bengal'] },
+            { prefix: '744', states: ['Andaman and Nicobar Islands'] },
+            { prefix: '75', states: ['Odisha'] },
+            { prefix: '76', states: ['Odisha'] },
+            { prefix: '77', states: ['Odisha'] },
+            { prefix: '78', states: ['Assam'] },
+            { prefix: '790', states: ['Arunachal Pradesh'] },
+            { prefix: '791', states: ['Arunachal Pradesh'] },
+            { prefix: '792', states: ['Arunachal Pradesh'] },
+            { prefix: '793', states: ['Meghalaya'] },
+            { prefix: '794', states: ['Meghalaya'] },
+            { prefix: '795', states: ['Manipur'] },
+            { prefix: '796', states: ['Mizoram'] },
+            { prefix: '797', states: ['Nagaland'] },
+            { prefix: '798', states: ['Nagaland'] },
+            { prefix: '799', states: ['Tripura'] },
+            { prefix: '80', states: ['Bihar'] },
+            { prefix: '81', states: ['Bihar', 'Jharkhand'] },
+            { prefix: '82', states: ['Bihar', 'Jharkhand'] },
+            { prefix: '83', states: ['Jharkhand'] },
+            { prefix: '84', states: ['Bihar'] },
+            { prefix: '85', states: ['Bihar'] }
+        ].sort((a, b) => b.prefix.length - a.prefix.length);
+        
+        this.fields = {
+            line1: { label: 'Address line 1', required: true, maxLength: 120 },
+            line2: { label: 'Address line 2', required: false, maxLength: 120 },
+            landmark: { label: 'Landmark', required: false, maxLength: 80 },
+            city: { label: 'City', required: true, maxLength: 60 },
+            state: { label: 'State', required: true },
+            pincode: { label: 'PIN code', required: true }
+        };
+    }
+    
+    isValidPincode(pincode) {
+        return /^[1-9]\d{5}$/.test(String(pincode || '').trim());
+    }
+    
+    getStatesForPincode(pincode) {
+        if (!this.isValidPincode(pincode)) return [];
+        
+        const pin = String(pincode).trim();
+        return this.pinPrefixes.find(entry => pin.startsWith(entry.prefix))?.states || [];
+    }
+    
+    findState(name) {
+        const key = String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+        return this.states.find(state => state.toLowerCase().replace(/[^a-z]/g, '') === key) || null;
+    }
+    
+    normalize(fields = {}) {
+        const clean = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+        
+        return {
+            line1: clean(fields.line1),
+            line2: clean(fields.line2),
+            landmark: clean(fields.landmark).replace(/^(near|opp\.?|opposite)\s+/i, ''),
+            city: clean(fields.city),
+            state: this.findState(fields.state) || clean(fields.state),
+            pincode: String(fields.pincode || '').replace(/\s/g, '')
+        };
+    }
+    
+    // Returns field-level messages so the form can show each one next to its input
+    validate(fields = {}) {
+        const address = this.normalize(fields);
+        const errors = {};
+        
+        Object.entries(this.fields).forEach(([field, rule]) => {
+            if (rule.required && !address[field]) {
+                errors[field] = `${rule.label} is required`;
+            } else if (rule.maxLength && address[field].length > rule.maxLength) {
+                errors[field] = `${rule.label} must be ${rule.maxLength} characters or fewer`;
+            }
+        });
+        
+        if (address.city && !/[a-z]/i.test(address.city)) {
+            errors.city = 'Enter a valid city name';
+        }
+        
+        if (address.state && !this.findState(address.state)) {
+            errors.state = 'Choose a state or union territory from the list';
+        }
+        
+        if (address.pincode && !this.isValidPincode(address.pincode)) {
+            errors.pincode = 'PIN code must be 6 digits and cannot start with 0';
+        } else if (address.pincode && !errors.state && address.state) {
+            const states = this.getStatesForPincode(address.pincode);
+            
+            if (states.length === 0) {
+                errors.pincode = `PIN code ${address.pincode} is not a recognised Indian PIN`;
+            } else if (!states.includes(address.state)) {
+                errors.pincode = `PIN code ${address.pincode} belongs to ${states.join(' / ')}, not ${address.state}`;
+            }
+        }
+        
+        return { valid: Object.keys(errors).length === 0, errors: errors, address: address };
+    }
+    
+    format(fields = {}) {
+        const address = this.normalize(fields);
+        const locality = [address.city, address.state].filter(Boolean).join(', ');
+        
+        return [
+            address.line1,
+            address.line2,
+            address.landmark ? `Near ${address.landmark}` : '',
+            [locality, address.pincode].filter(Boolean).join(' - ')
+        ].filter(Boolean).join(', ');
+    }
+}
+
+// NASA Customer Profile - contact details and a labelled address book, kept on this device
+class NASA_CustomerProfile {
+    constructor() {
+        this.storageKey = 'nasa_customer_profile';
+        this.maxAddresses = 10;
+        this.observers = new Set();
+        this.profile = this.createEmptyProfile();
+        this.loadProfile();
+    }
+    
+    createEmptyProfile() {
+        return { name: '', phone: '', email: '', addresses: [], defaultAddressId: null };
+    }
+    
+    subscribe(observer) {
+        this.observers.add(observer);
+        return () => this.observers.delete(observer);
+    }
+    
+    notifyObservers(event, detail = {}) {
+        this.observers.forEach(observer => {
+            try {
+                observer(event, detail);
+            } catch (error) {
+                console.error('NASA Profile observer error:', error);
+            }
+        });
+    }
+    
+    loadProfile() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) {
+                this.profile = { ...this.createEmptyProfile(), ...saved };
+            }
+        } catch (error) {
+            console.warn('NASA: Failed to load customer profile', error);
+        }
+    }
+    
+    saveProfile() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.profile));
+        } catch (error) {
+            console.warn('NASA: Failed to save customer profile', error);
+        }
+        
+        this.notifyObservers('profile-updated', { profile: this.profile });
+    }
+    
+    getProfile() {
+        return this.profile;
+    }
+    
+    hasProfile() {
+        return Boolean(this.profile.name || this.profile.phone || this.profile.addresses.length > 0);
+    }
+    
+    updateContact(contact = {}) {
+        ['name', 'phone', 'email'].forEach(field => {
+            if (contact[field] !== undefined) {
+                this.profile[field] = String(contact[field] || '').trim();
+            }
+        });
+        
+        this.saveProfile();
+        return this.profile;
+    }
+    
+    getAddresses() {
+        // Default first, then the most recently used
+        return [...this.profile.addresses].sort((a, b) => {
+            if (a.id === this.profile.defaultAddressId) return -1;
+            if (b.id === this.profile.defaultAddressId) return 1;
+            return new Date(b.lastUsedAt || b.createdAt) - new Date(a.lastUsedAt || a.createdAt);
+        });
+    }
+    
+    getAddress(addressId) {
+        return this.profile.addresses.find(address => address.id === addressId) || null;
+    }
+    
+    getDefaultAddress() {
+        return this.getAddress(this.profile.defaultAddressId) || this.getAddresses()[0] || null;
+    }
+    
+    findAddress(address, pincode) {
+        const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        return this.profile.addresses.find(entry =>
+            normalize(entry.address) === normalize(address) && normalize(entry.pincode) === normalize(pincode)
+        ) || null;
+    }
+    
+    saveAddress(details) {
+        const address = String(details.address || '').trim();
+        if (!address) {
+            console.warn('NASA: Cannot save an empty address');
+            return null;
+        }
+        
+        const existing = this.getAddress(details.id) || this.findAddress(address, details.pincode);
+        if (!existing && this.profile.addresses.length >= this.maxAddresses) {
+            console.warn(`NASA: Address book is limited to ${this.maxAddresses} addresses`);
+            return null;
+        }
+        
+        const entry = existing || {
+            id: `addr-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 4)}`,
+            createdAt: new Date().toISOString()
+        };
+        
+        Object.assign(entry, {
+            label: String(details.label || entry.label || 'Home').trim(),
+            recipient: String(details.recipient ?? entry.recipient ?? '').trim(),
+            address: address,
+            fields: details.fields || null,
+            pincode: String(details.pincode || '').trim(),
+            phone: String(details.phone ?? entry.phone ?? '').trim()
+        });
+        
+        if (!existing) {
+            this.profile.addresses.push(entry);
+        }
+        
+        // The first address, or one saved as default, becomes the default
+        if (details.isDefault || !this.getAddress(this.profile.defaultAddressId)) {
+            this.profile.defaultAddressId = entry.id;
+        }
+        
+        this.saveProfile();
+        return entry;
+    }
+    
+    deleteAddress(addressId) {
+        const index = this.profile.addresses.findIndex(address => address.id === addressId);
+        if (index === -1) return false;
+        
+        this.profile.addresses.splice(index, 1);
+        
+        if (this.profile.defaultAddressId === addressId) {
+            this.profile.defaultAddressId = this.getAddresses()[0]?.id || null;
+        }
+        
+        this.saveProfile();
+        return true;
+    }
+    
+    setDefaultAddress(addressId) {
+        if (!this.getAddress(addressId)) return false;
+        
+        this.profile.defaultAddressId = addressId;
+        this.saveProfile();
+        return true;
+    }
+    
+    // Builds the customer for an order: what was typed wins, the profile fills the gaps
+    resolveCustomer(customer = {}, addressId = null) {
+        const address = this.getAddress(addressId) || (customer.address ? null : this.getDefaultAddress());
+        const pick = (...values) => values.find(value => value && String(value).trim()) || '';
+        
+        return {
+            name: pick(customer.name, address?.recipient, this.profile.name),
+            address: pick(customer.address, address?.address),
+            addressFields: customer.address ? customer.addressFields || null : address?.fields || null,
+            phone: pick(customer.phone, address?.phone, this.profile.phone),
+            email: pick(customer.email, this.profile.email),
+            pincode: pick(customer.pincode, address?.pincode),
+            addressId: address?.id || null,
+            addressLabel: address?.label || null
+        };
+    }
+    
+    rememberCustomer(customer, options = {}) {
+        this.updateContact({ name: customer.name, phone: customer.phone, email: customer.email });
+        
+        const entry = this.saveAddress({
+            id: customer.addressId,
+            label: options.label || customer.addressLabel,
+            recipient: customer.name,
+            address: customer.address,
+            fields: customer.addressFields,
+            pincode: customer.pincode,
+            phone: customer.phone
+        });
+        
+        if (entry) {
+            entry.lastUsedAt = new Date().toISOString();
+            this.saveProfile();
+        }
+        
+        return entry;
+    }
+    
+    clearProfile() {
+        this.profile = this.createEmptyProfile();
+        
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('NASA: Failed to clear customer profile', error);
+        }
+        
+        this.notifyObservers('profile-updated', { profile: this.profile });
+    }
+}
+
+// NASA Mission Control Interface
+class NASA_MissionControl {
+    constructor() {
+        this.currentMission = 'artemis';
+        this.missionData = {
+            artemis: {
+                name: 'Artemis Program',
+                status: 'active',
+                phase: 'Phase II',
+                nextLaunch: '2025-12-01',
+                progress: 65,
+                description: 'Returning humans to the Moon and establishing sustainable lunar exploration.'
+            },
+            mars: {
+                name: 'Mars Campaign',
+                status: 'planning',
+                phase: 'MAT Phase',
+                nextLaunch: '2030-07-15',
+                progress: 30,
+                description: 'Preparing for human missions to Mars with robotic precursors.'
+            },
+            iss: {
+                name: 'International Space Station',
+                status: 'operational',
+                phase: 'Expedition 68',
+                nextLaunch: '2024-03-15',
+                progress: 95,
+                description: 'Orbital laboratory for scientific research and technology development.'
+            },
+            gateway: {
+                name: 'Lunar Gateway',
+                status: 'development',
+                phase: 'Assembly Phase',
+                nextLaunch: '2026-11-01',
+                progress: 45,
+                description: 'Lunar orbital platform for deep space exploration.'
+            }
+        };
+        
+        this.liveFeed = [];
+        this.missionTimers = new Map();
+        this.initMissionControl();
+    }
+    
+    initMissionControl() {
+        this.startLiveFeed();
+        this.startMissionTimers();
+        this.initWebSocket();
+    }
+    
+    startLiveFeed() {
+        // Simulate live mission updates
+        const missionUpdates = [
+            "Artemis III landing sites under evaluation",
+            "ISS completes 145,678th orbit",
+            "Mars Sample Return mission design review complete",
+            "JPL releases new exoplanet data archive",
+            "Lunar Gateway propulsion module testing",
+            "Space Launch System core stage assembly",
+            "Hubble Space Telescope maintenance completed",
+            "James Webb Telescope new discoveries",
+            "Commercial Crew Program milestones achieved",
+            "Space weather monitoring alert system updated"
+        ];
+        
+        // Add initial updates
+        for (let i = 0; i < 3; i++) {
+            this.addLiveFeedUpdate(missionUpdates[i]);
+        }
+        
+        // Simulate new updates every 30-60 seconds
+        setInterval(() => {
+            const randomUpdate = missionUpdates[Math.floor(Math.random() * missionUpdates.length)];
+            this.addLiveFeedUpdate(randomUpdate);
+        }, 30000 + Math.random() * 30000);
+    }
+    
+    addLiveFeedUpdate(text, mission = null) {
+        const update = {
+            id: Date.now(),
+            timestamp: new Date().toISOString(),
+            text: text,
+            mission: mission || this.getRandomMission(),
+            type: 'info'
+        };
+        
+        this.liveFeed.unshift(update);
+        
+        // Keep only last 50 updates
+        if (this.liveFeed.length > 50) {
+            this.liveFeed.pop();
+        }
+        
+        // Update UI
+        this.updateLiveFeedDisplay();
+        
+        return update;
+    }
+    
+    updateLiveFeedDisplay() {
+        const feedContainer = document.querySelector('.feed-content');
+        if (!feedContainer) return;
+        
+        // Show only last 5 updates
+        const recentUpdates = this.liveFeed.slice(0, 5);
+        
+        feedContainer.innerHTML = recentUpdates.map(update => `
+            <div class="feed-item" data-mission="${update.mission}">
+                <span class="feed-time">${this.formatMissionTime(update.timestamp)}</span>
+                <span class="feed-text">${update.text}</span>
+            </div>
+        `).join('');
+    }
+    
+    formatMissionTime(timestamp) {
+        const date = new Date(timestamp);
+        const now = new Date();
+        const diffMs = now - date;
+        const diffMins = Math.floor(diffMs / 60000);
+        
+        if (diffMins < 1) return 'Just now';
+        if (diffMins < 60) return `T+00:${diffMins.toString().padStart(2, '0')}:00`;
+        
+        const diffHours = Math.floor(diffMins / 60);
+        return `T+${diffHours.toString().padStart(2, '0')}:${(diffMins % 60).toString().padStart(2, '0')}:00`;
+    }
+    
+    startMissionTimers() {
+        Object.keys(this.missionData).forEach(mission => {
+            this.startMissionTimer(mission);
+        });
+    }
+    
+    startMissionTimer(mission) {
+        const timerId = setInterval(() => {
+            this.updateMissionProgress(mission);
+        }, 5000);
+        
+        this.missionTimers.set(mission, timerId);
+    }
+    
+    updateMissionProgress(mission) {
+        const data = this.missionData[mission];
+        
+        // Simulate progress changes
+        if (data.status === 'active' || data.status === 'development') {
+            const change = (Math.random() - 0.3) * 0.5; // -0.15 to +0.35
+            data.progress = Math.max(0, Math.min(100, data.progress + change));
+            
+            // Update UI if element exists
+            const progressElement = document.querySelector(`[data-mission="${mission}"] .mission-progress`);
+            if (progressElement) {
+                progressElement.style.width = `${data.progress}%`;
+                progressElement.textContent = `${Math.round(data.progress)}%`;
+            }
+        }
+    }
+    
+    initWebSocket() {
+        // Simulate WebSocket connection for real-time updates
+        if (window.WebSocket) {
+            try {
+                // In production, this would connect to actual mission control server
+                // this.ws = new WebSocket('wss://mission-control.nasa.gov/stream');
+                
+                // For demo, simulate WebSocket behavior
+                this.simulateWebSocket();
+            } catch (error) {
+                console.warn('NASA: WebSocket simulation enabled');
+                this.simulateWebSocket();
+            }
+        }
+    }
+    
+    simulateWebSocket() {
+        // Simulate receiving mission updates
+        setInterval(() => {
+            const events = [
+                { type: 'telemetry', mission: 'artemis', data: { altitude: 384400, velocity: 3680 }},
+                { type: 'status', mission: 'iss', data: { crew: 7, oxygen: 95, power: 88 }},
+                { type: 'alert', mission: 'mars', data: { event: 'dust_storm', level: 'moderate' }},
+                { type: 'science', mission: 'hubble', data: { observation: 'exoplanet_atmosphere', status: 'complete' }}
+            ];
+            
+            const event = events[Math.floor(Math.random() * events.length)];
+            this.handleMissionEvent(event);
+        }, 15000);
+    }
+    
+    handleMissionEvent(event) {
+        switch (event.type) {
+            case 'telemetry':
+                this.updateTelemetryDisplay(event.mission, event.data);
+                break;
+            case 'status':
+                this.updateStatusDisplay(event.mission, event.data);
+                break;
+            case 'alert':
+                this.showMissionAlert(event.mission, event.data);
+                break;
+            case 'science':
+                this.addScienceUpdate(event.mission, event.data);
+                break;
+        }
+    }
+    
+    updateTelemetryDisplay(mission, data) {
+        // Update telemetry displays in UI
+        const telemetryElements = document.querySelectorAll(`[data-telemetry="${mission}"]`);
+        telemetryElements.forEach(element => {
+            const metric = element.dataset.metric;
+            if (data[metric]) {
+                element.textContent = data[metric];
+                element.classList.add('telemetry-updated');
+                
+                setTimeout(() => {
+                    element.classList.remove('telemetry-updated');
+                }, 1000);
+            }
+        });
+    }
+    
+    showMissionAlert(mission, data) {
+        const alert = {
+            mission: mission,
+            level: data.level || 'info',
+            message: `${mission.toUpperCase()}: ${data.event}`,
+            timestamp: new Date().toISOString()
+        };
+        
+        this.showNotification(alert.message, alert.level);
+        this.addLiveFeedUpdate(alert.message, mission);
+    }
+    
+    showNotification(message, type = 'info') {
+        // Create notification element
+        const notification = document.createElement('div');
+        notification.className = `mission-notification notification-${type}`;
+        notification.innerHTML = `
+            <div class="notification-content">
+                <div class="notification-icon">⚠️</div>
+                <div class="notification-text">${message}</div>
+            </div>
+            <button class="notification-close">×</button>
+        `;
+        
+        notification.querySelector('.notification-close').addEventListener('click', () => {
+            notification.remove();
+        });
+        
+        // Add to notification container
+        const container = document.querySelector('.notification-container') || this.createNotificationContainer();
+        container.appendChild(notification);
+        
+        // Auto-remove after 5 seconds
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.classList.add('notification-fade-out');
+                setTimeout(() => notification.remove(), 300);
+            }
+        }, 5000);
+    }
+    
+    createNotificationContainer() {
+        const container = document.createElement('div');
+        container.className = 'notification-container';
+        document.body.appendChild(container);
+        return container;
+    }
+    
+    getRandomMission() {
+        const missions = Object.keys(this.missionData);
+        return missions[Math.floor(Math.random() * missions.length)];
+    }
+    
+    switchMission(mission) {
+        if (this.missionData[mission]) {
+            this.currentMission = mission;
+            
+            // Update UI
+            document.querySelectorAll('.mission-control').forEach(element => {
+                element.dataset.currentMission = mission;
+            });
+            
+            // Trigger mission change event
+            this.notifyMissionChange(mission);
+            
+            return true;
+        }
+        return false;
+    }
+    
+    notifyMissionChange(mission) {
+        const event = new CustomEvent('nasa-mission-change', {
+            detail: { mission, data: this.missionData[mission] }
+        });
+        window.dispatchEvent(event);
+    }
+    
+    getMissionData(mission = null) {
+        return mission ? this.missionData[mission] : this.missionData[this.currentMission];
+    }
+    
+    destroy() {
+        this.missionTimers.forEach(timer => clearInterval(timer));
+        this.missionTimers.clear();
+        
+        if (this.ws) {
+            this.ws.close();
+        }
+    }
+}
+
+// NASA Order Lifecycle - validated status transitions with history
+class NASA_OrderLifecycle {
+    constructor() {
+        this.transitions = {
+            pending: ['sent', 'cancelled'],
+            sent: ['confirmed', 'cancelled'],
+            confirmed: ['processing', 'cancelled'],
+            processing: ['shipped', 'cancelled'],
+            shipped: ['out-for-delivery', 'delivered', 'returned'],
+            'out-for-delivery': ['delivered', 'returned'],
+            delivered: ['returned'],
+            cancelled: [],
+            returned: []
+        };
+        this.lifecycleObservers = [];
+    }
+    
+    getStatuses() {
+        return Object.keys(this.transitions);
+    }
+    
+    getAllowedTransitions(order) {
+        return this.transitions[order.status] || [];
+    }
+    
+    canTransition(order, status) {
+        return this.getAllowedTransitions(order).includes(status);
+    }
+    
+    isTerminal(status) {
+        return (this.transitions[status] || []).length === 0;
+    }
+    
+    initHistory(order) {
+        if (Array.isArray(order.statusHistory) && order.statusHistory.length > 0) return order;
+        
+        order.status = this.transitions[order.status] ? order.status : 'pending';
+        order.statusHistory = [{ from: null, to: 'pending', at: order.timestamp, note: 'Order created' }];
+        
+        // Orders stored before the lifecycle existed never left "pending"
+        if (order.status === 'pending' && order.transmittedAt) {
+            order.status = 'sent';
+        }
+        
+        if (order.status !== 'pending') {
+            order.statusHistory.push({
+                from: 'pending',
+                to: order.status,
+                at: order.cancelledAt || order.transmittedAt || order.timestamp,
+                note: 'Recovered from stored history'
+            });
+        }
+        
+        return order;
+    }
+    
+    transition(order, status, details = {}) {
+        this.initHistory(order);
+        
+        if (!this.canTransition(order, status)) {
+            console.warn(`NASA Orders: Cannot move ${order.id} from ${order.status} to ${status}`);
+            return null;
+        }
+        
+        const entry = {
+            from: order.status,
+            to: status,
+            at: details.at || new Date().toISOString(),
+            note: details.note || ''
+        };
+        
+        order.status = status;
+        order.statusUpdatedAt = entry.at;
+        order.statusHistory.push(entry);
+        
+        this.notifyObservers('order-status-changed', { order: order, transition: entry });
+        return entry;
+    }
+    
+    subscribe(observer) {
+        this.lifecycleObservers.push(observer);
+        return () => {
+            const index = this.lifecycleObservers.indexOf(observer);
+            if (index > -1) this.lifecycleObservers.splice(index, 1);
+        };
+    }
+    
+    notifyObservers(event, detail = {}) {
+        this.lifecycleObservers.forEach(observer => {
+            try {
+                observer(event, detail, this);
+            } catch (error) {
+                console.error('NASA Lifecycle Observer Error:', error);
+            }
+        });
+        
+        window.dispatchEvent(new CustomEvent('nasa-order-status', { detail: detail }));
+    }
+}
+
+// NASA Template Engine - order message templates
+class NASA_TemplateEngine {
+    constructor(formatters = {}) {
+        this.formatters = {
+            upper: (value) => String(value).toUpperCase(),
+            lower: (value) => String(value).toLowerCase(),
+            trim: (value) => String(value).trim(),
+            currency: (value) => new Intl.NumberFormat('en-IN', {
+                style: 'currency',
+                currency: 'INR',
+                maximumFractionDigits: 0
+            }).format(value),
+            date: (value) => new Date(value).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' }),
+            datetime: (value) => new Date(value).toLocaleString('en-IN'),
+            ...formatters
+        };
+        this.cache = new Map();
+    }
+    
+    registerFormatter(name, formatter) {
+        this.formatters[name] = formatter;
+    }
+    
+    compile(source) {
+        if (this.cache.has(source)) return this.cache.get(source);
+        
+        // Block tags alone on a line take the whole line with them
+        const prepared = source.replace(/^[ \t]*(\{(?:#if|#each|else|\/if|\/each)\b[^{}]*\})[ \t]*\r?\n/gm, '$1');
+        
+        const root = { type: 'root', children: [] };
+        const stack = [root];
+        const pattern = /\{\{|\}\}|\{([^{}]*)\}/g;
+        let last = 0;
+        let match;
+        
+        const append = (node) => stack[stack.length - 1].children.push(node);
+        const appendText = (text) => {
+            if (text) append({ type: 'text', value: text });
+        };
+        
+        while ((match = pattern.exec(prepared)) !== null) {
+            appendText(prepared.slice(last, match.index));
+            last = pattern.lastIndex;
+            
+            // Doubled braces are literal
+            if (match[0] === '{{' || match[0] === '}}') {
+                appendText(match[0][0]);
+                continue;
+            }
+            
+            const tag = match[1].trim();
+            const current = stack[stack.length - 1];
+            
+            if (tag.startsWith('#if ') || tag.startsWith('#each ')) {
+                const [keyword, path] = tag.slice(1).split(/\s+/);
+                const node = { type: keyword, path: path, children: [], alternate: null, tag: match[0] };
+                append(node);
+                stack.push(node);
+            } else if (tag === 'else') {
+                if (current.type !== 'if' || current.alternate) {
+                    throw new Error('{else} without a matching {#if}');
+                }
+                current.alternate = [];
+                current.consequent = current.children;
+                current.children = current.alternate;
+            } else if (tag === '/if' || tag === '/each') {
+                if (current.type !== tag.slice(1)) {
+                    throw new Error(`${match[0]} does not close ${current.tag || 'anything'}`);
+                }
+                stack.pop();
+            } else {
+                const [path, ...filters] = tag.split('|').map(part => part.trim());
+                append({ type: 'value', path: path, filters: filters, tag: match[0] });
+            }
+        }
+        
+        appendText(prepared.slice(last));
+        
+        if (stack.length > 1) {
+            throw new Error(`${stack[stack.length - 1].tag} is never closed`);
+        }
+        
+        this.cache.set(source, root);
+        return root;
+    }
+    
+    render(source, context) {
+        // Values are inserted once and never re-scanned, so customer text
+        // containing braces can't pull in other fields
+        return this.renderNodes(this.compile(source).children, [context]);
+    }
+    
+    renderNodes(nodes, scopes) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                    return node.value;
+                case 'value':
+                    return this.formatValue(this.resolve(node.path, scopes), node.filters);
+                case 'if': {
+                    const branch = this.isTruthy(this.resolve(node.path, scopes))
+                        ? (node.consequent || node.children)
+                        : (node.consequent ? node.alternate : []);
+                    return this.renderNodes(branch, scopes);
+                }
+                case 'each': {
+                    const list = this.resolve(node.path, scopes);
+                    if (!Array.isArray(list)) return '';
+                    
+                    return list.map((entry, index) =>
+                        this.renderNodes(node.children, [{ index: index + 1, ...entry }, ...scopes])).join('');
+                }
+                default:
+                    return '';
+            }
+        }).join('');
+    }
+    
+    resolve(path, scopes) {
+        const [head, ...rest] = path.split('.');
+        const scope = scopes.find(entry => entry && Object.prototype.hasOwnProperty.call(entry, head));
+        if (!scope) return undefined;
+        
+        return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope[head]);
+    }
+    
+    isTruthy(value) {
+        return Array.isArray(value) ? value.length > 0 : Boolean(value);
+    }
+    
+    formatValue(value, filters) {
+        if (value === undefined || value === null) return '';
+        
+        return filters.reduce((result, name) => {
+            const formatter = this.formatters[name];
+            return formatter ? formatter(result) : result;
+        }, value);
+    }
+    
+    validate(source, schema = {}) {
+        const errors = [];
+        let root;
+        
+        try {
+            root = this.compile(source);
+        } catch (error) {
+            return { valid: false, errors: [{ placeholder: null, message: error.message }] };
+        }
+        
+        const fields = new Set(schema.fields || []);
+        const collections = schema.collections || {};
+        
+        const walk = (nodes, known) => {
+            nodes.forEach(node => {
+                const head = node.path?.split('.')[0];
+                
+                if (node.type === 'value' || node.type === 'if' || node.type === 'each') {
+                    if (head && !known.has(head)) {
+                        errors.push({ placeholder: node.tag, message: `Unknown placeholder "${head}"` });
+                    }
+                }
+                
+                if (node.type === 'value') {
+                    node.filters.filter(name => !this.formatters[name]).forEach(name => {
+                        errors.push({ placeholder: node.tag, message: `Unknown formatter "${name}"` });
+                    });
+                }
+                
+                if (node.type === 'if') {
+                    walk(node.consequent || node.children, known);
+                    if (node.consequent) walk(node.alternate, known);
+                }
+                
+                if (node.type === 'each') {
+                    if (!collections[head] && known.has(head)) {
+                        errors.push({ placeholder: node.tag, message: `"${head}" is not a list` });
+                    }
+                    walk(node.children, new Set([...known, 'index', ...(collections[head] || [])]));
+                }
+            });
+        };
+        
+        walk(root.children, fields);
+        return { valid: errors.length === 0, errors: errors };
+    }
+}
+
+// NASA Transmission Channels - each adapter formats and sends an order.
+// Link channels open synchronously so browsers treat them as user-initiated;
+// network channels return a promise. Channels that need a connection are
+// queued in the outbox while offline.
+class NASA_WhatsAppChannel {
+    constructor(config = {}) {
+        this.id = 'whatsapp';
+        this.label = 'WhatsApp';
+        this.requiresNetwork = true;
+        this.requiresGesture = true; // window.open is blocked outside a tap
+        this.config = { template: 'nasa', ...config };
+    }
+    
+    static buildUrl(number, message = '') {
+        const digits = String(number || '').replace(/\D/g, '');
+        return `https://wa.me/${digits}${message ? `?text=${encodeURIComponent(message)}` : ''}`;
+    }
+    
+    isAvailable() {
+        return Boolean(this.config.number);
+    }
+    
+    format(order, orderSystem, options = {}) {
+        return orderSystem.renderTemplate(order, options.template || this.config.template, options.returnRequest);
+    }
+    
+    send(order, message) {
+        const url = NASA_WhatsAppChannel.buildUrl(this.config.number, message);
+        return { status: window.open(url, '_blank') ? 'opened' : 'blocked', url: url };
+    }
+}
+
+class NASA_TelegramChannel {
+    constructor(config = {}) {
+        this.id = 'telegram';
+        this.label = 'Telegram';
+        this.requiresNetwork = true;
+        this.requiresGesture = true;
+        this.config = { template: 'detailed', ...config };
+    }
+    
+    isAvailable() {
+        return true;
+    }
+    
+    format(order, orderSystem, options = {}) {
+        return orderSystem.renderTemplate(order, options.template || this.config.template, options.returnRequest);
+    }
+    
+    send(order, message) {
+        // Telegram share links need a URL alongside the text
+        const shareUrl = this.config.shareUrl || window.location.href;
+        const url = `https://t.me/share/url?url=${encodeURIComponent(shareUrl)}&text=${encodeURIComponent(message)}`;
+        return { status: window.open(url, '_blank') ? 'opened' : 'blocked', url: url };
+    }
+}
+
+class NASA_EmailChannel {
+    constructor(config = {}) {
+        this.id = 'email';
+        this.label = 'Email';
+        this.requiresNetwork = false;
+        this.config = { template: 'email', to: '', ...config };
+    }
+    
+    isAvailable() {
+        return Boolean(this.config.to);
+    }
+    
+    format(order, orderSystem, options = {}) {
+        return {
+            subject: options.returnRequest
+                ? `Return ${options.returnRequest.id} for order ${order.id} - ${orderSystem.getStoreName()}`
+                : `${order.preorder ? 'Pre-order' : 'Order'} ${order.id} - ${orderSystem.getStoreName()}`,
+            body: orderSystem.renderTemplate(order, options.template || this.config.template, options.returnRequest)
+        };
+    }
+    
+    send(order, message) {
+        // Mail clients expect CRLF line breaks in mailto bodies
+        const body = message.body.replace(/\r?\n/g, '\r\n');
+        const url = `mailto:${encodeURIComponent(this.config.to)}?subject=${encodeURIComponent(message.subject)}&body=${encodeURIComponent(body)}`;
+        
+        // mailto hands off to the mail client, so there is no window to check
+        window.location.href = url;
+        return { status: 'opened', url: url };
+    }
+}
+
+class NASA_SMSChannel {
+    constructor(config = {}) {
+        this.id = 'sms';
+        this.label = 'SMS';
+        this.requiresNetwork = false;
+        this.config = { template: 'sms', ...config };
+    }
+    
+    isAvailable() {
+        return Boolean(this.config.number);
+    }
+    
+    format(order, orderSystem, options = {}) {
+        return orderSystem.renderTemplate(order, options.template || this.config.template, options.returnRequest);
+    }
+    
+    send(order, message) {
+        const url = `sms:${String(this.config.number).replace(/[^\d+]/g, '')}?body=${encodeURIComponent(message)}`;
+        window.location.href = url;
+        return { status: 'opened', url: url };
+    }
+}
+
+class NASA_WebhookChannel {
+    constructor(config = {}) {
+        this.id = 'webhook';
+        this.label = 'Webhook';
+        this.requiresNetwork = true;
+        this.config = { url: null, headers: {}, timeout: 10000, template: 'detailed', ...config };
+    }
+    
+    isAvailable() {
+        return Boolean(this.config.url);
+    }
+    
+    format(order, orderSystem, options = {}) {
+        return {
+            event: options.returnRequest ? 'return.requested' : 'order.created',
+            store: orderSystem.getStoreName(),
+            sentAt: new Date().toISOString(),
+            order: order,
+            ...(options.returnRequest ? { returnRequest: options.returnRequest } : {}),
+            message: orderSystem.renderTemplate(order, options.template || this.config.template, options.returnRequest)
+        };
+    }
+    
+    async send(order, payload) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.config.timeout);
+        
+        try {
+            const response = await fetch(this.config.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...this.config.headers },
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+            
+            return {
+                status: response.ok ? 'delivered' : 'failed',
+                httpStatus: response.status,
+                url: this.config.url
+            };
+        } catch (error) {
+            return { status: 'failed', error: error.message, url: this.config.url };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+// NASA Order Outbox - keeps untransmitted orders in IndexedDB and retries them
+// when the connection returns. Only one tab drains the queue at a time.
+class NASA_OrderOutbox {
+    constructor(config = {}) {
+        this.config = {
+            storeName: 'orders',
+            storageKey: 'nasa_order_outbox', // fallback when IndexedDB is unavailable
+            syncTag: 'nasa-order-sync',
+            lockName: 'nasa-order-outbox',
+            retryDelay: 30000,
+            maxRetryDelay: 600000,
+            ...config
+        };
+        this.entries = new Map();
+        this.inFlight = new Set();
+        this.observers = new Set();
+        this.db = null;
+        this.sender = null;
+        this.needsGesture = () => false;
+        this.retryTimer = null;
+        this.started = false;
+        
+        this.handleOnline = () => this.flush();
+        this.handleWorkerMessage = (event) => {
+            if (event.data?.type === this.config.syncTag) this.flush();
+        };
+    }
+    
+    subscribe(observer) {
+        this.observers.add(observer);
+        return () => this.observers.delete(observer);
+    }
+    
+    notifyObservers(event, detail = {}) {
+        this.observers.forEach(observer => {
+            try {
+                observer(event, detail);
+            } catch (error) {
+                console.error('NASA Outbox observer error:', error);
+            }
+        });
+    }
+    
+    // needsGesture(entry) marks entries only a tap may send; automatic retries leave them alone
+    async start(sender, database = null, needsGesture = null) {
+        if (this.started) return this.getEntries();
+        this.started = true;
+        this.sender = sender;
+        if (needsGesture) this.needsGesture = needsGesture;
+        this.db = (await database) || null;
+        
+        await this.restore();
+        
+        window.addEventListener('online', this.handleOnline);
+        navigator.serviceWorker?.addEventListener('message', this.handleWorkerMessage);
+        
+        if (this.entries.size > 0) {
+            this.notifyObservers('outbox-restored', { entries: this.getEntries() });
+            this.flush();
+        }
+        
+        return this.getEntries();
+    }
+    
+    stop() {
+        window.removeEventListener('online', this.handleOnline);
+        navigator.serviceWorker?.removeEventListener('message', this.handleWorkerMessage);
+        clearTimeout(this.retryTimer);
+        this.started = false;
+    }
+    
+    isOnline() {
+        return navigator.onLine !== false;
+    }
+    
+    has(orderId) {
+        return this.entries.has(orderId);
+    }
+    
+    isInFlight(orderId) {
+        return this.inFlight.has(orderId);
+    }
+    
+    getEntries() {
+        return Array.from(this.entries.values())
+            .sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt));
+    }
+    
+    async enqueue(order, channelId, options = {}, reason = 'offline') {
+        const existing = this.entries.get(order.id);
+        const entry = existing || {
+            orderId: order.id,
+            queuedAt: new Date().toISOString(),
+            attempts: 0,
+            lastAttemptAt: null
+        };
+        
+        // Keep a snapshot so the order survives even if it drops out of the history
+        Object.assign(entry, {
+            channel: channelId,
+            options: options,
+            order: JSON.parse(JSON.stringify(order)),
+            lastError: reason
+        });
+        
+        this.entries.set(order.id, entry);
+        await this.persist(entry);
+        this.registerSync();
+        
+        if (!existing) {
+            this.notifyObservers('order-queued', { entry: entry });
+        }
+        
+        return entry;
+    }
+    
+    async remove(orderId) {
+        if (!this.entries.delete(orderId)) return false;
+        
+        await this.delete(orderId);
+        this.notifyObservers('order-dequeued', { orderId: orderId });
+        return true;
+    }
+    
+    // options.manual: called from a tap, so entries that open a window can go too
+    flush(options = {}) {
+        if (!this.sender || !this.isOnline() || this.entries.size === 0) {
+            return Promise.resolve([]);
+        }
+        
+        clearTimeout(this.retryTimer);
+        
+        // Another tab may already be draining; the lock makes this one wait its turn
+        return navigator.locks
+            ? navigator.locks.request(this.config.lockName, () => this.drain(options))
+            : this.drain(options);
+    }
+    
+    async drain(options = {}) {
+        const results = [];
+        
+        for (const entry of this.getEntries()) {
+            if (this.inFlight.has(entry.orderId)) continue;
+            // A blocked popup would only use up the attempt
+            if (!options.manual && this.needsGesture(entry)) continue;
+            
+            // Re-read before sending: a tab that held the lock earlier may have sent it
+            const stored = await this.read(entry.orderId);
+            if (!stored) {
+                this.entries.delete(entry.orderId);
+                continue;
+            }
+            
+            this.inFlight.add(entry.orderId);
+            entry.attempts++;
+            entry.lastAttemptAt = new Date().toISOString();
+            
+            try {
+                const result = await this.sender(entry);
+                results.push({ orderId: entry.orderId, result: result });
+                
+                if (['opened', 'delivered', 'skipped'].includes(result.status)) {
+                    await this.remove(entry.orderId);
+                } else {
+                    entry.lastError = result.error || result.status;
+                    await this.persist(entry);
+                }
+            } catch (error) {
+                entry.lastError = error.message;
+                await this.persist(entry);
+            } finally {
+                this.inFlight.delete(entry.orderId);
+            }
+        }
+        
+        if (this.getAutomaticEntries().length > 0) {
+            this.scheduleRetry();
+        }
+        
+        this.notifyObservers('outbox-flushed', { results: results, remaining: this.entries.size });
+        return results;
+    }
+    
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        if (!this.started) return;
+        
+        // Back off on repeated failures; the online event covers the offline case
+        const attempts = Math.max(...this.getAutomaticEntries().map(entry => entry.attempts), 1);
+        const delay = Math.min(this.config.retryDelay * 2 ** (attempts - 1), this.config.maxRetryDelay);
+        this.retryTimer = setTimeout(() => this.flush(), delay);
+    }
+    
+    getAutomaticEntries() {
+        return this.getEntries().filter(entry => !this.needsGesture(entry));
+    }
+    
+    registerSync() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        navigator.serviceWorker.ready
+            .then(registration => registration.sync?.register(this.config.syncTag))
+            .catch(error => console.warn('NASA Outbox: Background sync unavailable', error));
+    }
+    
+    async restore() {
+        try {
+            const entries = this.db
+                ? await this.request(this.getStore('readonly').getAll())
+                : Object.values(this.loadFallback());
+            
+            entries.forEach(entry => this.entries.set(entry.orderId, entry));
+        } catch (error) {
+            console.warn('NASA Outbox: Failed to restore queued orders', error);
+        }
+    }
+    
+    async read(orderId) {
+        try {
+            return this.db
+                ? await this.request(this.getStore('readonly').get(orderId))
+                : this.loadFallback()[orderId];
+        } catch (error) {
+            console.warn('NASA Outbox: Failed to read queued order', error);
+            return this.entries.get(orderId);
+        }
+    }
+    
+    async persist(entry) {
+        try {
+            if (this.db) {
+                await this.request(this.getStore('readwrite').put(entry));
+            } else {
+                this.saveFallback({ ...this.loadFallback(), [entry.orderId]: entry });
+            }
+        } catch (error) {
+            console.warn('NASA Outbox: Failed to persist queued order', error);
+        }
+    }
+    
+    async delete(orderId) {
+        try {
+            if (this.db) {
+                await this.request(this.getStore('readwrite').delete(orderId));
+            } else {
+                const entries = this.loadFallback();
+                delete entries[orderId];
+                this.saveFallback(entries);
+            }
+        } catch (error) {
+            console.warn('NASA Outbox: Failed to remove queued order', error);
+        }
+    }
+    
+    getStore(mode) {
+        return this.db.transaction(this.config.storeName, mode).objectStore(this.config.storeName);
+    }
+    
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    loadFallback() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.storageKey) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    saveFallback(entries) {
+        localStorage.setItem(this.config.storageKey, JSON.stringify(entries));
+    }
+}
+
+// NASA Invoice Generator - numbered GST invoices and packing slips as print-ready HTML
+class NASA_InvoiceGenerator {
+    constructor(config = {}) {
+        this.config = {
+            storeName: 'ARESTOP STORE',
+            legalName: 'ARESTOP',
+            gstin: '', // Invoices are titled TAX INVOICE once a valid GSTIN is set
+            address: 'Guwahati, Assam - 781001',
+            state: 'Assam',
+            email: '',
+            prefix: 'ARS',
+            ...config
+        };
+        
+        this.storageKey = 'nasa_invoice_sequence';
+    }
+    
+    configure(config = {}) {
+        Object.assign(this.config, config);
+        return this.config;
+    }
+    
+    isValidGstin(gstin) {
+        return /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(String(gstin || '').trim().toUpperCase());
+    }
+    
+    // Indian fiscal years run April to March, e.g. 2026-27
+    getFiscalYear(date = new Date()) {
+        const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+        return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+    }
+    
+    // Numbers restart every fiscal year and never reuse a value, e.g. ARS/2026-27/0001
+    assignNumber(order) {
+        if (order.invoice?.number) return order.invoice;
+        
+        const issuedAt = new Date(order.placedAt || order.timestamp || Date.now());
+        const fiscalYear = this.getFiscalYear(issuedAt);
+        const sequence = this.loadSequence();
+        const next = (sequence[fiscalYear] || 0) + 1;
+        
+        sequence[fiscalYear] = next;
+        this.saveSequence(sequence);
+        
+        order.invoice = {
+            number: `${this.config.prefix}/${fiscalYear}/${String(next).padStart(4, '0')}`,
+            issuedAt: issuedAt.toISOString()
+        };
+        
+        return order.invoice;
+    }
+    
+    loadSequence() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            console.warn('NASA: Failed to load invoice sequence', error);
+            return {};
+        }
+    }
+    
+    saveSequence(sequence) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(sequence));
+        } catch (error) {
+            console.warn('NASA: Failed to save invoice sequence', error);
+        }
+    }
+    
+    // Splits each line's discounted value using the GST stored on the order, so later rate changes never alter an invoice
+    getInvoiceLines(order) {
+        const subtotal = order.subtotal || order.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        const ratio = subtotal > 0 ? (subtotal - (order.discountTotal || 0)) / subtotal : 0;
+        const inclusive = order.tax?.inclusive !== false;
+        const taxLines = order.tax?.lines || [];
+        const values = order.items.map(item => item.price * item.quantity * ratio);
+        
+        // Orders saved before tax lines listed their items fall back to matching by rate
+        const taxLineOf = (item, index) => taxLines.find(line => line.items?.includes(index))
+            || taxLines.find(line => !line.items && (taxLines.length === 1 || line.rate === window.nasaPricing?.getGSTRate(item)))
+            || null;
+        const itemLines = order.items.map(taxLineOf);
+        
+        return order.items.map((item, index) => {
+            const taxLine = itemLines[index];
+            const value = values[index];
+            
+            // Each item takes its share of the amount stored for its rate
+            const rateValue = values.reduce((sum, other, position) => itemLines[position] === taxLine ? sum + other : sum, 0);
+            const tax = taxLine && rateValue > 0 ? taxLine.amount * value / rateValue : 0;
+            const rate = taxLine ? taxLine.rate : 0;
+            const taxable = inclusive ? value - tax : value;
+            
+            return {
+                ...item,
+                rate: rate,
+                taxable: this.round(taxable),
+                tax: this.round(tax),
+                amount: this.round(taxable + tax)
+            };
+        });
+    }
+    
+    getTaxComponents(order) {
+        return (order.tax?.lines || []).flatMap(line => line.components.map(component => ({
+            label: `${component.type} @ ${component.rate}%`,
+            amount: this.round(line.rate > 0 ? line.amount * component.rate / line.rate : 0)
+        })));
+    }
+    
+    renderInvoice(order) {
+        const escape = NASA_SearchIndex.escapeHTML;
+        const invoice = order.invoice || {};
+        const seller = this.config;
+        const registered = this.isValidGstin(seller.gstin);
+        const lines = this.getInvoiceLines(order);
+        const shippingFee = order.shipping?.fee || 0;
+        const placeOfSupply = (order.gift?.recipient || order.customer).addressFields?.state || '';
+        
+        const body = `
+            ${this.renderHeader(registered ? 'TAX INVOICE' : 'INVOICE', [
+                ['Invoice No.', invoice.number],
+                ['Invoice Date', this.formatDate(invoice.issuedAt || order.timestamp)],
+                ['Order ID', order.id],
+                ['Place of Supply', placeOfSupply]
+            ])}
+            ${this.renderParties(order)}
+            <table class="lines">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Item</th>
+                        <th class="num">Qty</th>
+                        <th class="num">Rate</th>
+                        <th class="num">Taxable Value</th>
+                        <th class="num">GST</th>
+                        <th class="num">Amount</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${lines.map((line, index) => `
+                        <tr>
+                            <td>${index + 1}</td>
+                            <td>${escape(line.name)}<small>${escape(this.describeVariant(line))}${line.sku ? ` · SKU ${escape(line.sku)}` : ''}</small></td>
+                            <td class="num">${line.quantity}</td>
+                            <td class="num">${this.formatMoney(line.price)}</td>
+                            <td class="num">${this.formatMoney(line.taxable)}</td>
+                            <td class="num">${line.rate}%<small>${this.formatMoney(line.tax)}</small></td>
+                            <td class="num">${this.formatMoney(line.amount)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <table class="totals">
+                <tr><td>Subtotal</td><td class="num">${this.formatMoney(order.subtotal)}</td></tr>
+                ${(order.discounts || []).map(discount => `
+                    <tr><td>Discount (${escape(discount.label)})</td><td class="num">- ${this.formatMoney(discount.amount)}</td></tr>
+                `).join('')}
+                <tr><td>Shipping${order.shipping?.zoneLabel ? ` (${escape(order.shipping.zoneLabel)})` : ''}</td><td class="num">${shippingFee ? this.formatMoney(shippingFee) : 'FREE'}</td></tr>
+                ${order.gift?.wrapFee ? `<tr><td>Gift wrap</td><td class="num">${this.formatMoney(order.gift.wrapFee)}</td></tr>` : ''}
+                <tr><td>Taxable value</td><td class="num">${this.formatMoney(lines.reduce((sum, line) => sum + line.taxable, 0))}</td></tr>
+                ${this.getTaxComponents(order).map(component => `
+                    <tr><td>${component.label}${order.tax.inclusive ? ' (included)' : ''}</td><td class="num">${this.formatMoney(component.amount)}</td></tr>
+                `).join('')}
+                <tr class="grand-total"><td>Total</td><td class="num">${this.formatMoney(order.total)}</td></tr>
+            </table>
+            <p class="in-words"><strong>Amount in words:</strong> ${this.amountInWords(order.total)}</p>
+            <p class="payment">Payment: ${escape(this.describePayment(order))}</p>
+            <footer>
+                ${registered ? '' : '<p>Supplier not registered under GST.</p>'}
+                <p>This is a computer-generated invoice and does not need a signature.</p>
+            </footer>
+        `;
+        
+        return this.buildDocument(`Invoice ${invoice.number || order.id}`, body);
+    }
+    
+    renderPackingSlip(order) {
+        const escape = NASA_SearchIndex.escapeHTML;
+        const units = order.items.reduce((sum, item) => sum + item.quantity, 0);
+        
+        const body = `
+            ${this.renderHeader('PACKING SLIP', [
+                ['Order ID', order.id],
+                ['Invoice No.', order.invoice?.number],
+                ['Order Date', this.formatDate(order.timestamp)],
+                ['Shipping', order.shipping?.zoneLabel],
+                ['Deliver On', order.shipping?.slot
+                    ? `${this.formatDate(order.shipping.estimatedDelivery)}, ${order.shipping.slot.label}`
+                    : null],
+                ['Pre-order', order.preorder ? `Hold until ${this.formatDate(`${order.preorder.releaseDate}T00:00:00`)}` : null]
+            ])}
+            ${this.renderParties(order, { packingSlip: true })}
+            ${order.gift ? `
+                <section class="gift">
+                    <h3>Gift${order.gift.wrap ? ' · Wrap before packing' : ''}</h3>
+                    ${order.gift.message ? `<p class="gift-message">${escape(order.gift.message)}</p>` : ''}
+                    <p>From ${escape(order.customer.name || '')}. Leave invoices and prices out of the parcel.</p>
+                </section>
+            ` : ''}
+            <table class="lines">
+                <thead>
+                    <tr>
+                        <th class="check">Packed</th>
+                        <th>Item</th>
+                        <th>SKU</th>
+                        <th class="num">Qty</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${order.items.map(item => `
+                        <tr>
+                            <td class="check">&#9744;</td>
+                            <td>${escape(item.name)}<small>${escape(this.describeVariant(item))}</small></td>
+                            <td>${escape(item.sku || '')}</td>
+                            <td class="num">${item.quantity}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="summary">${units} unit${units === 1 ? '' : 's'}${order.shipping?.mass ? ` · ${order.shipping.mass} kg` : ''}</p>
+            ${order.options?.notes ? `<p class="notes"><strong>Notes:</strong> ${escape(order.options.notes)}</p>` : ''}
+            ${order.payment?.method === 'cod' && order.payment.status !== 'paid'
+                ? `<p class="collect">COLLECT ON DELIVERY: ${this.formatMoney(order.total)}</p>`
+                : ''}
+        `;
+        
+        return this.buildDocument(`Packing slip ${order.id}`, body);
+    }
+    
+    renderHeader(title, details) {
+        const escape = NASA_SearchIndex.escapeHTML;
+        const seller = this.config;
+        
+        return `
+            <header>
+                <div class="seller">
+                    <h1>${escape(seller.storeName)}</h1>
+                    <p>${escape(seller.legalName)}</p>
+                    <p>${escape(seller.address)}</p>
+                    ${this.isValidGstin(seller.gstin) ? `<p>GSTIN: ${escape(seller.gstin.toUpperCase())}</p>` : ''}
+                    ${seller.email ? `<p>${escape(seller.email)}</p>` : ''}
+                </div>
+                <div class="document">
+                    <h2>${title}</h2>
+                    <dl>
+                        ${details.filter(([, value]) => value).map(([label, value]) => `
+                            <dt>${label}</dt><dd>${escape(value)}</dd>
+                        `).join('')}
+                    </dl>
+                </div>
+            </header>
+        `;
+    }
+    
+    // Gifts bill the buyer and ship to the recipient; the packing slip only needs the recipient
+    renderParties(order, options = {}) {
+        const escape = NASA_SearchIndex.escapeHTML;
+        const party = (title, person) => `
+            <div>
+                <h3>${title}</h3>
+                <p><strong>${escape(person.name || '')}</strong></p>
+                <p>${escape(person.address || '')}</p>
+                ${person.phone ? `<p>Phone: ${escape(person.phone)}</p>` : ''}
+                ${person.email ? `<p>${escape(person.email)}</p>` : ''}
+            </div>
+        `;
+        
+        if (!order.gift) {
+            return `<section class="parties">${party('Ship To', order.customer)}</section>`;
+        }
+        
+        return `
+            <section class="parties">
+                ${options.packingSlip ? '' : party('Bill To', order.customer)}
+                ${party('Ship To (Gift)', order.gift.recipient)}
+            </section>
+        `;
+    }
+    
+    // A standalone page so it opens, prints and saves the same way anywhere
+    buildDocument(title, body) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${NASA_SearchIndex.escapeHTML(title)}</title>
+<style>
+    body { margin: 0; padding: 24px; color: #111; font: 13px/1.5 Arial, Helvetica, sans-serif; }
+    header { display: flex; justify-content: space-between; gap: 24px; padding-bottom: 16px; border-bottom: 2px solid #0b3d91; }
+    h1 { margin: 0 0 4px; font-size: 20px; color: #0b3d91; }
+    h2 { margin: 0 0 8px; font-size: 16px; letter-spacing: 0.1em; text-align: right; }
+    h3 { margin: 0 0 4px; font-size: 12px; text-transform: uppercase; color: #555; }
+    p { margin: 2px 0; }
+    dl { display: grid; grid-template-columns: auto auto; gap: 2px 12px; margin: 0; }
+    dt { color: #555; }
+    dd { margin: 0; text-align: right; }
+    .parties { display: flex; gap: 48px; margin: 16px 0; }
+    .gift { margin: 0 0 16px; padding: 8px 12px; border: 1px dashed #0b3d91; }
+    .gift-message { font-style: italic; white-space: pre-line; }
+    table { width: 100%; border-collapse: collapse; }
+    .lines th, .lines td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; vertical-align: top; }
+    .lines th { background: #f2f4f8; font-size: 11px; text-transform: uppercase; }
+    small { display: block; color: #666; font-size: 11px; }
+    .num { text-align: right; }
+    .check { width: 48px; text-align: center; }
+    .totals { width: 320px; margin: 12px 0 0 auto; }
+    .totals td { padding: 4px 8px; }
+    .grand-total td { border-top: 2px solid #111; font-weight: bold; font-size: 15px; }
+    .in-words, .payment, .summary, .notes { margin-top: 12px; }
+    .collect { margin-top: 16px; padding: 8px; border: 2px solid #111; font-weight: bold; text-align: center; }
+    footer { margin-top: 32px; color: #666; font-size: 11px; }
+    @page { size: A4; margin: 12mm; }
+    @media print {
+        body { padding: 0; }
+        .lines th { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        tr { page-break-inside: avoid; }
+    }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+    }
+    
+    describeVariant(item) {
+        return [item.size, item.color].filter(Boolean).join(' / ') || 'Standard';
+    }
+    
+    describePayment(order) {
+        if (window.nasaPayments) return window.nasaPayments.describe(order.payment);
+        return order.payment ? `${order.payment.method} (${order.payment.status})` : 'Not recorded';
+    }
+    
+    formatDate(value) {
+        return value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '';
+    }
+    
+    formatMoney(amount) {
+        return `₹${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+    
+    round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+    
+    // Indian numbering: crore, lakh, thousand, hundred
+    amountInWords(amount) {
+        const rupees = Math.floor(Math.abs(amount || 0));
+        const paise = Math.round((Math.abs(amount || 0) - rupees) * 100);
+        
+        let words = `Rupees ${this.numberToWords(rupees)}`;
+        if (paise > 0) {
+            words += ` and ${this.numberToWords(paise)} Paise`;
+        }
+        
+        return `${words} Only`;
+    }
+    
+    numberToWords(number) {
+        const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+            'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+        const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+        
+        const belowHundred = (n) => n < 20 ? ones[n] : [tens[Math.floor(n / 10)], ones[n % 10]].filter(Boolean).join(' ');
+        const belowThousand = (n) => [
+            n >= 100 ? `${ones[Math.floor(n / 100)]} Hundred` : '',
+            belowHundred(n % 100)
+        ].filter(Boolean).join(' ');
+        
+        if (number === 0) return 'Zero';
+        
+        const parts = [];
+        const crore = Math.floor(number / 10000000);
+        const lakh = Math.floor(number / 100000) % 100;
+        const thousand = Math.floor(number / 1000) % 100;
+        const rest = number % 1000;
+        
+        // Amounts past 99 crore repeat the scale: "One Hundred Crore"
+        if (crore) parts.push(`${crore >= 1000 ? this.numberToWords(crore) : belowThousand(crore)} Crore`);
+        if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+        if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+        if (rest) parts.push(belowThousand(rest));
+        
+        return parts.join(' ');
+    }
+}
+
+// NASA Return Manager - return and exchange requests (RMAs) for delivered orders
+class NASA_ReturnManager {
+    constructor(config = {}) {
+        this.config = {
+            windowDays: 7, // Days after delivery a return can be requested
+            ...config
+        };
+        this.storageKey = 'nasa_returns';
+        
+        this.reasons = {
+            'wrong-size': 'Wrong size',
+            damaged: 'Damaged in transit',
+            defective: 'Defective',
+            'wrong-item': 'Wrong item received',
+            'not-as-described': 'Not as described',
+            'no-longer-needed': 'No longer needed'
+        };
+        
+        // Damaged and defective units are written off instead of going back on sale
+        this.resaleableReasons = ['wrong-size', 'wrong-item', 'not-as-described', 'no-longer-needed'];
+        
+        this.types = {
+            refund: 'Refund',
+            exchange: 'Size exchange'
+        };
+        
+        this.transitions = {
+            requested: ['approved', 'rejected', 'cancelled'],
+            approved: ['received', 'cancelled'],
+            received: ['refunded', 'exchanged'],
+            rejected: [],
+            cancelled: [],
+            refunded: [],
+            exchanged: []
+        };
+        
+        this.statusConfig = {
+            requested: { text: 'Return Requested', class: 'status-pending' },
+            approved: { text: 'Return Approved', class: 'status-confirmed' },
+            received: { text: 'Payload Received', class: 'status-processing' },
+            refunded: { text: 'Refund Issued', class: 'status-delivered' },
+            exchanged: { text: 'Exchange Dispatched', class: 'status-shipped' },
+            rejected: { text: 'Return Declined', class: 'status-cancelled' },
+            cancelled: { text: 'Return Withdrawn', class: 'status-cancelled' }
+        };
+        
+        this.requests = [];
+        this.observers = new Set();
+        this.loadReturns();
+    }
+    
+    getReturn(returnId) {
+        return this.requests.find(request => request.id === returnId) || null;
+    }
+    
+    getReturnsForOrder(orderId) {
+        return this.requests.filter(request => request.orderId === orderId);
+    }
+    
+    getStatusConfig(status) {
+        return this.statusConfig[status] || this.statusConfig.requested;
+    }
+    
+    // Rejected and withdrawn requests give their units back
+    isOpen(request) {
+        return !['rejected', 'cancelled'].includes(request.status);
+    }
+    
+    getDeliveredAt(order) {
+        const entry = [...(order.statusHistory || [])].reverse().find(item => item.to === 'delivered');
+        return entry ? new Date(entry.at) : null;
+    }
+    
+    getReturnDeadline(order) {
+        const deliveredAt = this.getDeliveredAt(order);
+        return deliveredAt ? new Date(deliveredAt.getTime() + this.config.windowDays * 86400000) : null;
+    }
+    
+    checkOrder(order, now = new Date()) {
+        if (!order || order.status !== 'delivered') {
+            return 'Only delivered orders can be returned or exchanged';
+        }
+        
+        const deadline = this.getReturnDeadline(order);
+        if (deadline && now > deadline) {
+            return `The return window for ${order.id} closed on ${deadline.toLocaleDateString('en-IN')}`;
+        }
+        
+        if (order.items.every(item => this.getReturnableQuantity(order, item) === 0)) {
+            return `Every item in ${order.id} already has a return request`;
+        }
+        
+        return null;
+    }
+    
+    getReturnableQuantity(order, item) {
+        const requested = this.getReturnsForOrder(order.id)
+            .filter(request => this.isOpen(request))
+            .flatMap(request => request.items)
+            .filter(entry => entry.variantId === item.variantId && entry.id === item.id)
+            .reduce((sum, entry) => sum + entry.quantity, 0);
+        
+        return Math.max(0, item.quantity - requested);
+    }
+    
+    // Sizes the customer can swap a line for: other sizes in the same colour with enough stock
+    getExchangeOptions(item, quantity = 1) {
+        const productManager = window.nasaProductManager;
+        const product = productManager?.getProductById(item.id);
+        if (!product) return [];
+        
+        return product.variants.filter(variant =>
+            variant.id !== item.variantId &&
+            variant.size && variant.size !== item.size &&
+            (variant.color || null) === (item.color || null) &&
+            productManager.getAvailableStock(product.id, variant.id) >= quantity);
+    }
+    
+    getRestockItems(returnRequest) {
+        return returnRequest.items.filter(item => this.resaleableReasons.includes(item.reason));
+    }
+    
+    // request: { type, items: [{ variantId, quantity, reason, exchangeVariantId }], notes }
+    checkRequest(order, request = {}, now = new Date()) {
+        const orderProblem = this.checkOrder(order, now);
+        if (orderProblem) return orderProblem;
+        
+        if (!this.types[request.type]) {
+            return 'Choose a refund or a size exchange';
+        }
+        
+        const items = request.items || [];
+        if (items.length === 0) {
+            return 'Choose at least one item to return';
+        }
+        
+        for (const entry of items) {
+            const item = order.items.find(line => line.variantId === entry.variantId && (!entry.id || line.id === entry.id));
+            if (!item) {
+                return `That item is not part of order ${order.id}`;
+            }
+            
+            const available = this.getReturnableQuantity(order, item);
+            if (!Number.isInteger(entry.quantity) || entry.quantity < 1 || entry.quantity > available) {
+                return `You can return up to ${available} × ${item.name}`;
+            }
+            
+            if (!this.reasons[entry.reason]) {
+                return `Choose a reason for returning ${item.name}`;
+            }
+            
+            if (request.type === 'exchange' &&
+                !this.getExchangeOptions(item, entry.quantity).some(variant => variant.id === entry.exchangeVariantId)) {
+                return `Choose an in-stock size to exchange ${item.name} for`;
+            }
+        }
+        
+        return null;
+    }
+    
+    createReturn(order, request = {}) {
+        if (this.checkRequest(order, request)) return null;
+        
+        const productManager = window.nasaProductManager;
+        const createdAt = new Date().toISOString();
+        
+        const items = request.items.map(entry => {
+            const item = order.items.find(line => line.variantId === entry.variantId && (!entry.id || line.id === entry.id));
+            const exchange = request.type === 'exchange'
+                ? productManager?.getVariant(productManager.getProductById(item.id), entry.exchangeVariantId)
+                : null;
+            
+            return {
+                id: item.id,
+                variantId: item.variantId,
+                name: item.name,
+                sku: item.sku,
+                size: item.size,
+                color: item.color,
+                price: item.price,
+                quantity: entry.quantity,
+                reason: entry.reason,
+                exchangeVariantId: exchange?.id || null,
+                exchangeSize: exchange?.size || null,
+                exchangeColor: exchange?.color || null
+            };
+        });
+        
+        const returnRequest = {
+            id: this.generateReturnId(),
+            orderId: order.id,
+            type: request.type,
+            items: items,
+            notes: String(request.notes || '').trim(),
+            refundAmount: request.type === 'refund' ? this.calculateRefund(order, items) : 0,
+            status: 'requested',
+            statusHistory: [{ from: null, to: 'requested', at: createdAt, note: 'Return requested' }],
+            createdAt: createdAt,
+            transmittedAt: null
+        };
+        
+        this.requests.unshift(returnRequest);
+        this.saveReturns();
+        this.notifyObservers('return-created', { returnRequest: returnRequest });
+        
+        return returnRequest;
+    }
+    
+    // Refunds what was paid for the units: discounts are shared pro rata, shipping is not refunded
+    calculateRefund(order, items) {
+        const subtotal = order.subtotal || order.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        const ratio = subtotal > 0 ? (subtotal - (order.discountTotal || 0)) / subtotal : 1;
+        
+        return Math.round(items.reduce((sum, item) => sum + item.price * item.quantity, 0) * ratio);
+    }
+    
+    canTransition(returnRequest, status) {
+        return (this.transitions[returnRequest.status] || []).includes(status);
+    }
+    
+    transition(returnRequest, status, details = {}) {
+        if (!this.canTransition(returnRequest, status)) {
+            console.warn(`NASA Returns: Cannot move ${returnRequest.id} from ${returnRequest.status} to ${status}`);
+            return null;
+        }
+        
+        const entry = {
+            from: returnRequest.status,
+            to: status,
+            at: details.at || new Date().toISOString(),
+            note: details.note || ''
+        };
+        
+        returnRequest.status = status;
+        returnRequest.statusUpdatedAt = entry.at;
+        returnRequest.statusHistory.push(entry);
+        
+        this.saveReturns();
+        this.notifyObservers('return-status-changed', { returnRequest: returnRequest, transition: entry });
+        return entry;
+    }
+    
+    // True once refunds cover every unit of the order
+    isFullyRefunded(order) {
+        const refunded = this.getReturnsForOrder(order.id)
+            .filter(request => request.status === 'refunded')
+            .flatMap(request => request.items);
+        
+        return order.items.every(item => refunded
+            .filter(entry => entry.variantId === item.variantId && entry.id === item.id)
+            .reduce((sum, entry) => sum + entry.quantity, 0) >= item.quantity);
+    }
+    
+    // Order lines less the units already received back, for restocking the rest
+    getUnreceivedItems(order) {
+        const received = this.getReturnsForOrder(order.id)
+            .filter(request => ['received', 'refunded', 'exchanged'].includes(request.status))
+            .flatMap(request => request.items);
+        
+        return order.items
+            .map(item => ({
+                ...item,
+                quantity: item.quantity - received
+                    .filter(entry => entry.variantId === item.variantId && entry.id === item.id)
+                    .reduce((sum, entry) => sum + entry.quantity, 0)
+            }))
+            .filter(item => item.quantity > 0);
+    }
+    
+    generateReturnId() {
+        const timestamp = Date.now().toString(36);
+        const random = Math.random().toString(36).substr(2, 5);
+        return `RMA-${timestamp}-${random}`.toUpperCase();
+    }
+    
+    subscribe(observer) {
+        this.observers.add(observer);
+        return () => this.observers.delete(observer);
+    }
+    
+    notifyObservers(event, detail = {}) {
+        this.observers.forEach(observer => {
+            try {
+                observer(event, detail);
+            } catch (error) {
+                console.error('NASA Returns observer error:', error);
+            }
+        });
+    }
+    
+    loadReturns() {
+        try {
+            this.requests = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (error) {
+            console.warn('NASA: Failed to load return requests', error);
+            this.requests = [];
+        }
+    }
+    
+    saveReturns() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.requests));
+        } catch (error) {
+            console.warn('NASA: Failed to save return requests', error);
+        }
+    }
+}
+
+// NASA Order Guard - idempotency keys, a duplicate window and a submission rate limit
+class NASA_OrderGuard {
+    constructor(config = {}) {
+        this.config = {
+            dedupeWindow: 2 * 60 * 1000, // The same submission inside this window gets the first order back
+            minInterval: 5 * 1000, // Between two new orders
+            maxOrders: 5, // New orders allowed per rate window
+            rateWindow: 10 * 60 * 1000,
+            ...config
+        };
+        this.storageKey = 'nasa_order_guard';
+        
+        this.keys = []; // { key, orderId, at }
+        this.attempts = []; // Timestamps of accepted submissions
+        this.loadState();
+    }
+    
+    // Same items in any order with the same details: same key. details holds
+    // everything else the customer chose, so correcting any of it is a new order
+    createKey(items, details = {}) {
+        const contents = items
+            .map(item => `${item.id}:${item.variantId || ''}:${item.quantity}`)
+            .sort()
+            .join('|');
+        
+        return `IDEM-${this.hash(`${JSON.stringify(details)}#${contents}`)}`;
+    }
+    
+    // FNV-1a; only has to tell carts apart within the dedupe window
+    hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).toUpperCase().padStart(8, '0');
+    }
+    
+    findDuplicate(key, now = Date.now()) {
+        this.loadState();
+        this.prune(now);
+        return this.keys.find(entry => entry.key === key) || null;
+    }
+    
+    remember(key, orderId, now = Date.now()) {
+        this.keys = this.keys.filter(entry => entry.key !== key);
+        this.keys.push({ key: key, orderId: orderId, at: now });
+        this.saveState();
+    }
+    
+    checkRate(now = Date.now()) {
+        this.loadState();
+        this.prune(now);
+        
+        const last = this.attempts[this.attempts.length - 1];
+        if (last && now - last < this.config.minInterval) {
+            return 'Please wait a few seconds before placing another order';
+        }
+        
+        if (this.attempts.length >= this.config.maxOrders) {
+            const minutes = Math.ceil((this.attempts[0] + this.config.rateWindow - now) / 60000);
+            return `Too many orders in a short time. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+        }
+        
+        return null;
+    }
+    
+    recordAttempt(now = Date.now()) {
+        this.attempts.push(now);
+        this.saveState();
+    }
+    
+    prune(now = Date.now()) {
+        this.keys = this.keys.filter(entry => now - entry.at < this.config.dedupeWindow);
+        this.attempts = this.attempts.filter(at => now - at < this.config.rateWindow);
+    }
+    
+    // Kept in localStorage so a reload or a second tab can't reset the limits
+    loadState() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            this.keys = saved.keys || [];
+            this.attempts = saved.attempts || [];
+        } catch (error) {
+            console.warn('NASA: Failed to load order guard state', error);
+        }
+    }
+    
+    saveState() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ keys: this.keys, attempts: this.attempts }));
+        } catch (error) {
+            console.warn('NASA: Failed to save order guard state', error);
+        }
+    }
+}
+
+// NASA Order System with WhatsApp Integration
+class NASA_OrderSystem {
+    constructor() {
+        this.whatsappNumber = '+919957811508';
+        this.orderHistory = [];
+        this.currentOrder = null;
+        this.maxQuantity = 10;
+        this.lifecycle = new NASA_OrderLifecycle();
+        this.outbox = new NASA_OrderOutbox();
+        this.invoices = new NASA_InvoiceGenerator({ storeName: this.getStoreName() });
+        this.returns = new NASA_ReturnManager();
+        this.guard = new NASA_OrderGuard();
+        this.addressValidator = new NASA_AddressValidator();
+        
+        // Structured address field -> order form input name
+        this.addressInputs = {
+            line1: 'address-line1',
+            line2: 'address-line2',
+            landmark: 'landmark',
+            city: 'city',
+            state: 'state',
+            pincode: 'pincode'
+        };
+        this.giftInputs = {
+            line1: 'gift-line1',
+            line2: 'gift-line2',
+            landmark: 'gift-landmark',
+            city: 'gift-city',
+            state: 'gift-state',
+            pincode: 'gift-pincode'
+        };
+        this.maxGiftMessage = 250;
+        this.statusConfig = {
+            pending: { text: 'Awaiting Transmission', class: 'status-pending', board: 'prelaunch' },
+            sent: { text: 'Transmission Sent', class: 'status-sent', board: 'prelaunch' },
+            confirmed: { text: 'Mission Confirmed', class: 'status-confirmed', board: 'prelaunch' },
+            processing: { text: 'Payload Processing', class: 'status-processing', board: 'prelaunch' },
+            shipped: { text: 'In Transit', class: 'status-shipped', board: 'launched' },
+            'out-for-delivery': { text: 'Final Approach', class: 'status-out-for-delivery', board: 'orbit' },
+            delivered: { text: 'Mission Complete', class: 'status-delivered', board: 'landed' },
+            cancelled: { text: 'Mission Aborted', class: 'status-cancelled', board: null },
+            returned: { text: 'Payload Returned', class: 'status-returned', board: null }
+        };
+        this.templateEngine = new NASA_TemplateEngine({
+            currency: (amount) => this.formatCurrency(amount)
+        });
+        
+        // Placeholders a template may use; validated on registration
+        this.templateSchema = {
+            fields: [
+                'name', 'address', 'phone', 'email', 'pincode', 'notes', 'orderId', 'timestamp', 'status',
+                'product', 'price', 'size', 'sku', 'quantity', 'mission', 'mass', 'store', 'promoCode',
+                'subtotal', 'discountTotal', 'discounts', 'shipping', 'shippingFee', 'tax', 'taxTotal',
+                'delivery', 'total', 'payment', 'items',
+                'rmaId', 'returnType', 'returnNotes', 'refundAmount', 'returnItems',
+                'gift', 'giftWrap', 'giftMessage', 'recipientName', 'recipientPhone', 'recipientAddress',
+                'preorder', 'releaseDate', 'deliverySlot'
+            ],
+            collections: {
+                items: ['product', 'variant', 'size', 'color', 'quantity', 'sku', 'price', 'subtotal', 'mission', 'category', 'releaseDate'],
+                discounts: ['code', 'label', 'amount'],
+                returnItems: ['product', 'variant', 'quantity', 'sku', 'reason', 'exchange']
+            }
+        };
+        
+        this.orderTemplates = {
+            basic: `Hello, I want to place an order:
+{#if preorder}
+⏳ PRE-ORDER: ships after {releaseDate}
+{/if}
+{#each items}
+{index}. {product} ({variant}) × {quantity}
+{/each}
+Address: {address}
+Name: {name}
+{#if gift}
+🎁 Gift for {recipientName}, {recipientPhone}
+Deliver to: {recipientAddress}
+{/if}`,
+            
+            detailed: `Hello {store}, I want to place an order:
+{#if preorder}
+
+⏳ PRE-ORDER - SHIPS AFTER {releaseDate|upper}
+{/if}
+
+📦 ORDER DETAILS:
+{#each items}
+{index}. {product} | {variant} | Qty: {quantity} | SKU: {sku} | {subtotal|currency}{#if releaseDate} | Pre-order, releases {releaseDate}{/if}
+{/each}
+Subtotal: {subtotal|currency}
+{#each discounts}
+🏷️ {code} ({label}): -{amount|currency}
+{/each}
+Shipping: {shipping}
+GST: {tax}
+Total: {total|currency}
+Payment: {payment}
+Delivery: {delivery}
+{#if notes}
+Notes: {notes}
+{/if}
+
+👤 CUSTOMER DETAILS:
+Name: {name}
+Address: {address}
+Phone: {phone}
+{#if email}
+Email: {email}
+{/if}
+{#if gift}
+
+🎁 GIFT - HIDE PRICES:
+Recipient: {recipientName}
+Address: {recipientAddress}
+Phone: {recipientPhone}
+{#if giftWrap}
+Gift wrap: {giftWrap}
+{/if}
+{#if giftMessage}
+Message: {giftMessage}
+{/if}
+{/if}
+
+🆔 Order ID: {orderId}`,
+            
+            nasa: `🚀 MISSION ORDER TRANSMISSION
+To: {store} Mission Control
+From: {name}
+{#if preorder}
+
+⏳ PRE-ORDER - PAYLOAD LAUNCHES {releaseDate|upper}
+{/if}
+
+📡 PAYLOAD MANIFEST:
+{#each items}
+{index}. {product} | {variant} | Qty: {quantity} | SKU: {sku} | {subtotal|currency}{#if releaseDate} | Pre-order, releases {releaseDate}{/if}
+{/each}
+Mission: {mission|upper}
+Total Units: {quantity}
+Mass: {mass} kg
+
+📍 DESTINATION COORDINATES:
+{#if gift}
+{recipientAddress}
+{else}
+{address}
+{/if}
+
+📞 COMMS FREQUENCY:
+{#if gift}
+{recipientPhone}
+{else}
+{phone}
+{/if}
+{#if gift}
+
+🎁 GIFT PAYLOAD - NO PRICES IN THE BOX:
+Recipient: {recipientName}
+{#if giftWrap}
+Gift wrap: {giftWrap}
+{/if}
+{#if giftMessage}
+Message: {giftMessage}
+{/if}
+Ordered by: {name}, {phone}
+{/if}
+{#if notes}
+
+📝 MISSION NOTES:
+{notes}
+{/if}
+
+🆔 MISSION ID: {orderId}
+{#each discounts}
+🏷️ {code} ({label}): -{amount|currency}
+{/each}
+🚚 SHIPPING: {shipping}
+🧾 GST: {tax}
+📊 TOTAL COST: {total|currency}
+💳 PAYMENT: {payment}
+🛬 ETA: {delivery}
+⏱️ TRANSMISSION TIME: {timestamp|datetime}`,
+            
+            email: `Hello {store},
+
+I would like to place the following order.
+{#if preorder}
+This is a pre-order. Please ship it once everything is released, after {releaseDate}.
+{/if}
+
+Order ID: {orderId}
+{#each items}
+{index}. {product} ({variant}) x {quantity} - {subtotal|currency}{#if releaseDate} (pre-order, releases {releaseDate}){/if}
+{/each}
+
+Subtotal: {subtotal|currency}
+{#each discounts}
+Discount {code}: -{amount|currency}
+{/each}
+Shipping: {shipping}
+GST: {tax}
+Total: {total|currency}
+Payment: {payment}
+Estimated delivery: {delivery}
+{#if notes}
+
+Notes: {notes}
+{/if}
+
+Name: {name}
+Address: {address}
+Phone: {phone}
+{#if gift}
+
+This order is a gift. Please leave prices out of the parcel.
+Recipient: {recipientName}
+Deliver to: {recipientAddress}
+Recipient phone: {recipientPhone}
+{#if giftWrap}
+Gift wrap: {giftWrap}
+{/if}
+{#if giftMessage}
+Gift message: {giftMessage}
+{/if}
+{/if}`,
+            
+            sms: `{#if preorder}Pre-order{else}Order{/if} {orderId}{#if preorder}, ships after {releaseDate}{/if}: {#each items}{product} x{quantity}; {/each}Total {total|currency}. {#if gift}Gift for {recipientName} {recipientPhone} at {recipientAddress}{#if giftWrap}, wrapped{/if}. From{else}Ship to {address}.{/if} {name} {phone}`,
+            
+            return: `↩️ RETURN REQUEST {rmaId}
+Order: {orderId}
+Type: {returnType}
+
+{#each returnItems}
+{index}. {product} ({variant}) × {quantity} | SKU: {sku}
+   Reason: {reason}
+{#if exchange}
+   Exchange for: {exchange}
+{/if}
+{/each}
+{#if refundAmount}
+Refund due: {refundAmount|currency}
+Payment: {payment}
+{/if}
+{#if returnNotes}
+Notes: {returnNotes}
+{/if}
+
+Name: {name}
+Phone: {phone}
+Pickup address: {#if gift}{recipientAddress}{else}{address}{/if}`
+        };
+        this.defaultTemplates = { ...this.orderTemplates };
+        
+        this.channels = new Map();
+        this.defaultChannel = 'whatsapp';
+        [
+            new NASA_WhatsAppChannel({ number: this.whatsappNumber }),
+            new NASA_TelegramChannel(),
+            new NASA_EmailChannel(),
+            new NASA_SMSChannel({ number: this.whatsappNumber }),
+            new NASA_WebhookChannel()
+        ].forEach(channel => this.registerChannel(channel));
+        
+        this.initOrderSystem();
+    }
+    
+    initOrderSystem() {
+        this.loadCustomTemplates();
+        this.loadOrderHistory();
+        this.initOrderForm();
+        this.updateOrderStatus();
+        
+        this.lifecycle.subscribe((event, detail) => {
+            if (event === 'order-status-changed') {
+                this.persistOrderHistory();
+                this.updateOrderStatus();
+                this.refreshConfirmationStatus(detail.order);
+            }
+        });
+        
+        this.outbox.subscribe((event, detail) => {
+            if (event === 'outbox-flushed') {
+                const sent = detail.results.filter(({ result }) => ['opened', 'delivered'].includes(result.status));
+                if (sent.length > 0) {
+                    this.showNotification(`Connection restored. ${sent.length} queued order${sent.length === 1 ? '' : 's'} transmitted`, 'success');
+                }
+            }
+        });
+    }
+    
+    startOutbox() {
+        // The outbox shares the catalog's IndexedDB database
+        const database = window.nasaProductManager?.dbReady || Promise.resolve(null);
+        return this.outbox.start(
+            (entry) => this.retryTransmission(entry),
+            database,
+            (entry) => Boolean(this.getChannel(entry.channel)?.requiresGesture)
+        );
+    }
+    
+    retryTransmission(entry) {
+        const order = this.getOrder(entry.orderId) || entry.order;
+        
+        // Sent from another tab, or cancelled while it waited
+        if (order.transmittedAt || order.status !== 'pending') {
+            return { status: 'skipped' };
+        }
+        
+        return this.transmitOrder(order, entry.channel, { ...entry.options, fromOutbox: true });
+    }
+    
+    queueOrder(order, channel, options = {}, reason = 'offline') {
+        const { fromOutbox, ...queued } = options;
+        this.outbox.enqueue(order, channel.id, queued, reason);
+        this.placeOrder(order);
+        
+        // Channels that open a window wait for the customer to tap SEND NOW
+        const message = reason === 'offline'
+            ? `No connection. Order ${order.id} is saved and ${channel.requiresGesture ? 'can be sent with SEND NOW' : `will be sent via ${channel.label}`} once you are back online`
+            : `${channel.label} could not be reached. Order ${order.id} ${channel.requiresGesture ? 'is saved; tap SEND NOW to try again' : 'will be retried automatically'}`;
+        this.showNotification(message, 'warning');
+    }
+    
+    getStoreName() {
+        return 'arestopranav_.0p STORE';
+    }
+    
+    createOrder(product, customer, options = {}) {
+        const productManager = window.nasaProductManager;
+        const variant = productManager?.resolveVariant(product, options.size, options.color);
+        
+        if (!variant) {
+            this.showError(`${product.name} is not available in the selected size`);
+            return null;
+        }
+        
+        const item = this.buildLineItem(product, variant, options.quantity || 1);
+        return this.createOrderFromItems([item], customer, options);
+    }
+    
+    createCartOrder(cart, customer, options = {}) {
+        const productManager = window.nasaProductManager;
+        const items = [];
+        
+        for (const cartItem of cart) {
+            const product = productManager?.getProductById(cartItem.id);
+            const variant = productManager?.getVariant(product, cartItem.variantId);
+            if (!product || !variant) {
+                this.showError(`${cartItem.name || cartItem.id} is no longer available`);
+                return null;
+            }
+            
+            items.push(this.buildLineItem(product, variant, cartItem.quantity));
+        }
+        
+        return this.createOrderFromItems(items, customer, { ...options, fromCart: true });
+    }
+    
+    createOrderFromItems(items, customer, options = {}) {
+        // A double click or a replayed submit gets back the order it already created;
+        // a corrected address, slot, payment, code or gift is a new order
+        const idempotencyKey = this.guard.createKey(items, this.getSubmissionDetails(customer, options));
+        const duplicate = this.findDuplicateOrder(idempotencyKey);
+        if (duplicate) {
+            this.logRejectedAttempt(options.channel, 'duplicate', duplicate.id);
+            this.showNotification(`Order ${duplicate.id} was already placed`, 'info');
+            return duplicate;
+        }
+        
+        const rateProblem = this.guard.checkRate();
+        if (rateProblem) {
+            this.logRejectedAttempt(options.channel, 'rate-limited');
+            this.showError(rateProblem);
+            return null;
+        }
+        
+        const inventory = window.nasaInventory;
+        const shortages = inventory ? inventory.validateItems(items, { fromCart: options.fromCart }) : [];
+        
+        if (shortages.length > 0) {
+            this.showError(shortages.map(({ item, available }) => available > 0
+                ? `Only ${available} left of ${item.name} (${this.formatVariant(item)})`
+                : `${item.name} (${this.formatVariant(item)}) is out of stock`
+            ).join('. '));
+            return null;
+        }
+        
+        const pincode = customer.pincode || window.nasaPricing?.extractPincode(customer.address) || null;
+        const gift = options.gift || null;
+        const destinationPincode = gift ? gift.recipient.pincode : pincode;
+        
+        // Shipping and tax both depend on where the order is going
+        if (window.nasaPricing && !window.nasaPricing.isValidPincode(destinationPincode)) {
+            this.showError(`Please add a valid 6-digit PIN code to the ${gift ? 'recipient' : 'delivery'} address`);
+            return null;
+        }
+        
+        const availableFrom = this.getAvailableFrom(items);
+        const delivery = window.nasaPricing && options.delivery?.date ? options.delivery : null;
+        
+        if (delivery) {
+            const slotProblem = window.nasaPricing.checkDeliverySlot(destinationPincode, delivery.date, delivery.slot, { availableFrom: availableFrom });
+            if (slotProblem) {
+                this.showError(slotProblem);
+                return null;
+            }
+        }
+        
+        const pricing = this.calculatePricing(items, {
+            promoCode: options.promoCode,
+            phone: customer.phone,
+            pincode: destinationPincode,
+            giftWrap: gift?.wrap
+        });
+        
+        // A code the customer typed must apply, otherwise the quoted total would be wrong
+        if (options.promoCode && pricing.errors.length > 0) {
+            this.showError(pricing.errors.join('. '));
+            return null;
+        }
+        
+        const payments = window.nasaPayments;
+        const paymentOptions = { gift: Boolean(gift) };
+        const paymentMethod = options.paymentMethod || payments?.getAvailableMethods(pricing.total, paymentOptions)[0]?.id || 'cod';
+        const paymentProblem = payments ? payments.checkMethod(paymentMethod, pricing.total, paymentOptions) : null;
+        
+        if (paymentProblem) {
+            this.showError(paymentProblem);
+            return null;
+        }
+        
+        const orderId = this.generateOrderId();
+        const timestamp = new Date().toISOString();
+        
+        const order = {
+            id: orderId,
+            idempotencyKey: idempotencyKey,
+            timestamp: timestamp,
+            items: items,
+            customer: {
+                name: customer.name,
+                address: customer.address,
+                addressFields: customer.addressFields || null,
+                phone: customer.phone,
+                email: customer.email,
+                pincode: pincode,
+                addressLabel: customer.addressLabel || null
+            },
+            options: {
+                notes: options.notes || ''
+            },
+            // The buyer pays; a gift ships to someone else
+            gift: gift ? {
+                wrap: Boolean(gift.wrap),
+                wrapFee: pricing.giftWrapFee || 0,
+                message: gift.message || '',
+                recipient: { ...gift.recipient }
+            } : null,
+            preorder: availableFrom ? { releaseDate: availableFrom } : null,
+            channel: options.channel || this.defaultChannel,
+            subtotal: pricing.subtotal,
+            discounts: pricing.discounts,
+            discountTotal: pricing.discountTotal,
+            promoCode: pricing.code,
+            tax: pricing.tax,
+            total: pricing.total,
+            status: 'pending',
+            payment: payments
+                ? payments.createPayment(paymentMethod, pricing.total)
+                : { method: paymentMethod, status: 'pending' },
+            shipping: {
+                method: delivery ? 'scheduled' : 'standard',
+                zone: pricing.shipping?.zone || null,
+                zoneLabel: pricing.shipping?.zoneLabel || null,
+                fee: pricing.shipping?.fee || 0,
+                mass: this.calculateOrderMass({ items: items }),
+                // A booked slot replaces the estimated window with the chosen day
+                earliestDelivery: delivery ? null : pricing.delivery?.earliest || null,
+                estimatedDelivery: delivery
+                    ? window.nasaPricing.parseDateKey(delivery.date).toISOString()
+                    : pricing.delivery?.latest || this.calculateDeliveryDate(destinationPincode, availableFrom),
+                slot: delivery ? {
+                    date: delivery.date,
+                    id: delivery.slot || null,
+                    label: delivery.slot ? window.nasaPricing.deliverySlots[delivery.slot].label : 'Any time'
+                } : null,
+                tracking: null
+            }
+        };
+        
+        this.lifecycle.initHistory(order);
+        this.guard.recordAttempt();
+        this.guard.remember(idempotencyKey, order.id);
+        this.currentOrder = order;
+        
+        // Save to history
+        this.saveOrder(order);
+        
+        // Update UI
+        this.updateOrderStatus();
+        
+        return order;
+    }
+    
+    getSubmissionDetails(customer, options = {}) {
+        const gift = options.gift || null;
+        const phone = (value) => String(value || '').replace(/[^\d+]/g, '');
+        
+        return {
+            name: customer.name || '',
+            phone: phone(customer.phone),
+            address: customer.address || '',
+            pincode: customer.pincode || '',
+            delivery: options.delivery?.date ? `${options.delivery.date} ${options.delivery.slot || ''}`.trim() : '',
+            payment: options.paymentMethod || '',
+            promoCode: String(options.promoCode || '').trim().toUpperCase(),
+            notes: options.notes || '',
+            gift: gift ? {
+                wrap: Boolean(gift.wrap),
+                message: gift.message || '',
+                name: gift.recipient.name,
+                phone: phone(gift.recipient.phone),
+                address: gift.recipient.address
+            } : null
+        };
+    }
+    
+    findDuplicateOrder(idempotencyKey) {
+        const entry = this.guard.findDuplicate(idempotencyKey);
+        const order = entry ? this.getOrder(entry.orderId) : null;
+        
+        // A cancelled order can be placed again straight away
+        return order && order.status !== 'cancelled' ? order : null;
+    }
+    
+    // The WhatsApp shortcut skips the order form, so it is checked here instead
+    admitDirectOrder(items) {
+        const idempotencyKey = this.guard.createKey(items);
+        if (this.guard.findDuplicate(idempotencyKey)) {
+            this.logRejectedAttempt('whatsapp', 'duplicate');
+            return false;
+        }
+        
+        const rateProblem = this.guard.checkRate();
+        if (rateProblem) {
+            this.logRejectedAttempt('whatsapp', 'rate-limited');
+            this.showError(rateProblem);
+            return false;
+        }
+        
+        this.guard.recordAttempt();
+        this.guard.remember(idempotencyKey, null);
+        return true;
+    }
+    
+    calculatePricing(items, options = {}) {
+        const subtotal = items.reduce((sum, item) => sum + item.subtotal, 0);
+        const promotion = window.nasaPromotions
+            ? window.nasaPromotions.evaluate(items, { code: options.promoCode, phone: options.phone })
+            : { subtotal: subtotal, discounts: [], discountTotal: 0, total: subtotal, code: null, errors: [] };
+        
+        if (!window.nasaPricing) {
+            return { ...promotion, tax: null, shipping: null, giftWrapFee: 0, delivery: null, pincode: null };
+        }
+        
+        const quote = window.nasaPricing.quote(items, {
+            discountTotal: promotion.discountTotal,
+            pincode: options.pincode,
+            mass: this.calculateOrderMass({ items: items }),
+            giftWrap: options.giftWrap,
+            availableFrom: this.getAvailableFrom(items)
+        });
+        
+        return {
+            ...promotion,
+            tax: quote.tax,
+            shipping: quote.shipping,
+            giftWrapFee: quote.giftWrapFee,
+            delivery: quote.delivery,
+            pincode: quote.pincode,
+            total: quote.total
+        };
+    }
+    
+    buildLineItem(product, variant, quantity = 1) {
+        const productManager = window.nasaProductManager;
+        const price = productManager ? productManager.getVariantPrice(product, variant) : product.price;
+        
+        return {
+            id: product.id,
+            variantId: variant.id,
+            name: product.name,
+            price: price,
+            sku: productManager ? productManager.getVariantSku(product, variant) : product.sku,
+            category: product.category,
+            mission: product.mission,
+            releaseDate: productManager?.isPreorder(product) ? productManager.getReleaseDate(product) : null,
+            size: variant.size,
+            color: variant.color,
+            quantity: quantity,
+            subtotal: price * quantity
+        };
+    }
+    
+    // A pre-order ships once the last of its items is released
+    getAvailableFrom(items) {
+        return items.map(item => item.releaseDate).filter(Boolean).sort().pop() || null;
+    }
+    
+    formatVariant(variant) {
+        return [variant.size, variant.color].filter(Boolean).join(' / ') || 'Standard';
+    }
+    
+    checkoutCart(customer, options = {}) {
+        const productManager = window.nasaProductManager;
+        if (!productManager || productManager.cart.length === 0) {
+            this.showError('Your cargo bay is empty');
+            return null;
+        }
+        
+        const order = this.createCartOrder(productManager.cart, customer, options);
+        if (!order) return null;
+        
+        const transmission = this.transmitOrder(order);
+        
+        // Only empty the cargo bay once the order has left or is safely queued
+        Promise.resolve(transmission).then(() => {
+            if (order.transmittedAt || this.outbox.has(order.id)) {
+                productManager.clearCart();
+            } else {
+                this.showNotification('Transmission blocked. Your cargo has been kept so you can retry.', 'warning');
+            }
+        });
+        
+        this.showOrderConfirmation(order);
+        return order;
+    }
+    
+    getOrder(orderId) {
+        return this.orderHistory.find(entry => entry.id === orderId) || null;
+    }
+    
+    // Runs once the order has been sent or safely queued. An order whose transmission
+    // was blocked stays pending and holds no stock or promo use, so retrying it later
+    // can't sell twice or burn a single-use code
+    placeOrder(order) {
+        if (order.placedAt) return;
+        order.placedAt = new Date().toISOString();
+        
+        // Take the units out of stock
+        if (window.nasaInventory) {
+            window.nasaInventory.commitOrder(order);
+        }
+        
+        if (window.nasaPromotions) {
+            window.nasaPromotions.recordRedemption(order);
+        }
+        
+        // Orders that are never sent don't use up an invoice number
+        this.invoices.assignNumber(order);
+    }
+    
+    setOrderStatus(orderId, status, details = {}) {
+        const order = this.getOrder(orderId);
+        if (!order) return null;
+        
+        const previous = order.status;
+        if (!this.lifecycle.transition(order, status, details)) return null;
+        
+        // The store can confirm an order whose transmission was never recorded here
+        if (previous === 'pending' && status !== 'cancelled') {
+            this.placeOrder(order);
+        }
+        
+        // Units the store already received against a return request were dealt with then
+        if ((status === 'cancelled' || status === 'returned') && order.placedAt && window.nasaInventory) {
+            const items = this.returns.getUnreceivedItems(order);
+            if (items.length > 0) {
+                window.nasaInventory.restoreOrder({ id: order.id, items: items });
+            }
+        }
+        
+        // The courier collects cash on delivery
+        if (status === 'delivered' && window.nasaPayments) {
+            window.nasaPayments.markCollected(order);
+        }
+        
+        if (status === 'cancelled') {
+            order.cancelledAt = order.statusUpdatedAt;
+            this.outbox.remove(order.id);
+            
+            if (window.nasaPromotions) {
+                window.nasaPromotions.releaseRedemption(order);
+            }
+        }
+        
+        return order;
+    }
+    
+    // request: { type: 'refund' | 'exchange', items: [{ variantId, quantity, reason, exchangeVariantId }], notes }
+    requestReturn(orderId, request, channelId = null) {
+        const order = this.getOrder(orderId);
+        const problem = this.returns.checkRequest(order, request);
+        
+        if (problem) {
+            this.showError(problem);
+            return null;
+        }
+        
+        const returnRequest = this.returns.createReturn(order, request);
+        this.transmitReturn(returnRequest.id, channelId);
+        return returnRequest;
+    }
+    
+    // Return requests go out through the same channels as orders, carrying their own RMA ID
+    transmitReturn(returnId, channelId = null) {
+        const returnRequest = this.returns.getReturn(returnId);
+        const order = returnRequest ? this.getOrder(returnRequest.orderId) : null;
+        if (!order) return { status: 'failed', error: 'Return not found' };
+        
+        const channel = this.getChannel(channelId || returnRequest.channel || order.channel || this.defaultChannel);
+        if (!channel || !channel.isAvailable()) {
+            this.showError(`${channel?.label || channelId} is not available for sending returns`);
+            return { status: 'failed', error: 'Channel unavailable' };
+        }
+        
+        returnRequest.channel = channel.id;
+        
+        if (channel.requiresNetwork && !this.outbox.isOnline()) {
+            this.showNotification(`No connection. Return ${returnRequest.id} is saved; send it again from My Missions once you are back online`, 'warning');
+            return this.recordReturnTransmission(returnRequest, channel, { status: 'failed', error: 'Offline' });
+        }
+        
+        const result = channel.send(order, channel.format(order, this, { returnRequest: returnRequest }));
+        
+        if (result instanceof Promise) {
+            return result.then(outcome => this.recordReturnTransmission(returnRequest, channel, outcome));
+        }
+        return this.recordReturnTransmission(returnRequest, channel, result);
+    }
+    
+    recordReturnTransmission(returnRequest, channel, result) {
+        const at = new Date().toISOString();
+        returnRequest.transmissions = returnRequest.transmissions || [];
+        returnRequest.transmissions.push({ channel: channel.id, status: result.status, at: at });
+        
+        if (result.status === 'opened' || result.status === 'delivered') {
+            returnRequest.transmittedAt = at;
+        }
+        
+        this.returns.saveReturns();
+        this.returns.notifyObservers('return-transmitted', { returnRequest: returnRequest, result: result });
+        return result;
+    }
+    
+    setReturnStatus(returnId, status, details = {}) {
+        const returnRequest = this.returns.getReturn(returnId);
+        if (!returnRequest || !this.returns.transition(returnRequest, status, details)) return null;
+        
+        const inventory = window.nasaInventory;
+        
+        // Returned units go back on the shelf when the store receives them, unless they can't be resold
+        const restockItems = this.returns.getRestockItems(returnRequest);
+        if (status === 'received' && inventory && restockItems.length > 0) {
+            inventory.restoreOrder({ id: returnRequest.id, items: restockItems });
+        }
+        
+        // The replacement size leaves stock when it ships
+        if (status === 'exchanged' && inventory) {
+            inventory.commitOrder({
+                id: returnRequest.id,
+                items: returnRequest.items.map(item => ({ ...item, variantId: item.exchangeVariantId }))
+            });
+        }
+        
+        const order = this.getOrder(returnRequest.orderId);
+        
+        // Stock already came back per item, so the order moves without restoring it again
+        if (status === 'refunded' && order && this.returns.isFullyRefunded(order) && this.lifecycle.canTransition(order, 'returned')) {
+            this.lifecycle.transition(order, 'returned', { note: `Refunded in full via ${returnRequest.id}` });
+        }
+        
+        return returnRequest;
+    }
+    
+    // Until an order reaches the store the customer can call it off; after that the store cancels it
+    canCancelOrder(order) {
+        return order.status === 'pending' && this.lifecycle.canTransition(order, 'cancelled');
+    }
+    
+    cancelOrder(orderId, reason = '') {
+        return this.setOrderStatus(orderId, 'cancelled', { note: reason || 'Cancelled by customer' });
+    }
+    
+    markOrderPaid(orderId, utr) {
+        const payments = window.nasaPayments;
+        const order = this.getOrder(orderId);
+        if (!order || !payments) return null;
+        
+        const problem = payments.checkReference(order, utr, this.orderHistory);
+        if (problem) {
+            this.showError(problem);
+            return null;
+        }
+        
+        payments.markPaid(order, utr);
+        this.persistOrderHistory();
+        this.renderPaymentPanel(order);
+        this.showNotification(`Payment reference ${order.payment.utr} recorded for ${order.id}`, 'success');
+        
+        return order;
+    }
+    
+    getOrderHistory(filters = {}) {
+        // Date inputs give local calendar days; the range includes both ends
+        const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+        const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+        const query = (filters.query || '').trim().toLowerCase();
+        
+        return this.orderHistory.filter(order => {
+            if (filters.status && filters.status !== 'all' && order.status !== filters.status) return false;
+            
+            const placed = new Date(order.timestamp);
+            if (from && placed < from) return false;
+            if (to && placed > to) return false;
+            
+            if (query) {
+                const haystack = [order.id, order.promoCode, ...order.items.map(item => `${item.name} ${item.sku || ''}`)];
+                if (!haystack.some(value => value && value.toLowerCase().includes(query))) return false;
+            }
+            
+            return true;
+        });
+    }
+    
+    reorder(orderId) {
+        const productManager = window.nasaProductManager;
+        const order = this.getOrder(orderId);
+        if (!order || !productManager) return null;
+        
+        const added = [];
+        const skipped = [];
+        
+        order.items.forEach(item => {
+            const product = productManager.getProductById(item.id);
+            
+            // Older orders have no variant id, so fall back to the size and colour
+            const variant = product && (productManager.getVariant(product, item.variantId)
+                || productManager.resolveVariant(product, item.size, item.color));
+            
+            if (variant && productManager.addToCart(item.id, item.quantity, variant.size, variant.color)) {
+                added.push(item);
+            } else {
+                skipped.push(item);
+            }
+        });
+        
+        return { added: added, skipped: skipped };
+    }
+    
+    exportOrderHistory(format = 'json', orders = this.orderHistory) {
+        if (format === 'csv') {
+            return this.buildOrderHistoryCsv(orders);
+        }
+        
+        return JSON.stringify({
+            store: this.getStoreName(),
+            exportedAt: new Date().toISOString(),
+            orders: orders
+        }, null, 2);
+    }
+    
+    buildOrderHistoryCsv(orders) {
+        const columns = [
+            ['order_id', order => order.id],
+            ['invoice_number', order => order.invoice?.number],
+            ['placed_at', order => order.timestamp],
+            ['status', order => order.status],
+            ['items', order => order.items.map(item => `${item.name} (${this.formatVariant(item)}) x ${item.quantity}`).join('; ')],
+            ['units', order => this.getOrderUnitCount(order)],
+            ['subtotal', order => order.subtotal],
+            ['discount', order => order.discountTotal || 0],
+            ['promo_code', order => order.promoCode],
+            ['shipping', order => order.shipping?.fee || 0],
+            ['gst', order => order.tax?.total ?? ''],
+            ['total', order => order.total],
+            ['payment_method', order => order.payment?.method],
+            ['payment_status', order => order.payment?.status],
+            ['utr', order => order.payment?.utr],
+            ['channel', order => order.channel],
+            ['name', order => order.customer.name],
+            ['phone', order => order.customer.phone],
+            ['address', order => order.customer.address],
+            ['pincode', order => order.customer.pincode],
+            ['gift', order => order.gift ? 'yes' : ''],
+            ['gift_wrap', order => order.gift?.wrapFee || ''],
+            ['recipient_name', order => order.gift?.recipient.name],
+            ['recipient_address', order => order.gift?.recipient.address],
+            ['delivery_slot', order => order.shipping?.slot ? `${order.shipping.slot.date} ${order.shipping.slot.label}` : ''],
+            ['preorder_release', order => order.preorder?.releaseDate]
+        ];
+        
+        const rows = [
+            columns.map(([header]) => header),
+            ...orders.map(order => columns.map(([, value]) => value(order)))
+        ];
+        
+        // The BOM makes spreadsheet apps read the file as UTF-8
+        return '\ufeff' + rows.map(row => row.map(value => this.toCsvValue(value)).join(',')).join('\r\n');
+    }
+    
+    toCsvValue(value) {
+        if (value === null || value === undefined) return '';
+        
+        let text = String(value);
+        
+        // Stop spreadsheets from evaluating customer-entered text as a formula
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+    
+    downloadOrderHistory(format = 'json', filters = {}) {
+        const orders = this.getOrderHistory(filters);
+        
+        this.downloadFile(
+            this.exportOrderHistory(format, orders),
+            `arestop-orders-${new Date().toISOString().slice(0, 10)}.${format}`,
+            format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json'
+        );
+        
+        return orders.length;
+    }
+    
+    downloadFile(content, filename, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the browser a moment to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    // type is 'invoice' or 'packing-slip'; returns a standalone HTML page
+    getOrderDocument(orderId, type = 'invoice') {
+        const order = this.getOrder(orderId);
+        if (!order) {
+            this.showError(`Order ${orderId} was not found`);
+            return null;
+        }
+        
+        if (type !== 'packing-slip' && !this.canIssueInvoice(order)) {
+            this.showError(`${order.id} gets an invoice once it has been sent`);
+            return null;
+        }
+        
+        // Orders placed before invoicing get their number the first time one is asked for
+        if (!order.invoice && this.canIssueInvoice(order)) {
+            this.invoices.assignNumber(order);
+            this.persistOrderHistory();
+        }
+        
+        return type === 'packing-slip'
+            ? this.invoices.renderPackingSlip(order)
+            : this.invoices.renderInvoice(order);
+    }
+    
+    // Older orders have no placedAt, so anything past pending counts as placed
+    canIssueInvoice(order) {
+        return Boolean(order.invoice || order.placedAt) || !['pending', 'cancelled'].includes(order.status);
+    }
+    
+    downloadOrderDocument(orderId, type = 'invoice') {
+        const html = this.getOrderDocument(orderId, type);
+        if (!html) return false;
+        
+        const order = this.getOrder(orderId);
+        const name = type === 'packing-slip' ? `packing-slip-${order.id}` : `invoice-${order.invoice.number.replace(/\//g, '-')}`;
+        this.downloadFile(html, `${name}.html`, 'text/html;charset=utf-8');
+        return true;
+    }
+    
+    // Prints from a hidden frame so the storefront itself never hits the printer
+    printOrderDocument(orderId, type = 'invoice') {
+        const html = this.getOrderDocument(orderId, type);
+        if (!html) return false;
+        
+        document.querySelectorAll('.print-frame').forEach(frame => frame.remove());
+        
+        const frame = document.createElement('iframe');
+        frame.className = 'print-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.addEventListener('load', () => {
+            frame.contentWindow.addEventListener('afterprint', () => frame.remove(), { once: true });
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+        }, { once: true });
+        frame.srcdoc = html;
+        document.body.appendChild(frame);
+        return true;
+    }
+    
+    generateOrderId() {
+        const timestamp = Date.now().toString(36);
+        const random = Math.random().toString(36).substr(2, 5);
+        return `NASA-${timestamp}-${random}`.toUpperCase();
+    }
+    
+    calculateDeliveryDate(pincode = null, availableFrom = null) {
+        if (window.nasaPricing?.isValidPincode(pincode)) {
+            return window.nasaPricing.estimateDelivery(pincode, new Date(), availableFrom).latest;
+        }
+        
+        const release = availableFrom ? new Date(`${availableFrom}T00:00:00`) : null;
+        const date = release && release > new Date() ? release : new Date();
+        date.setDate(date.getDate() + 5); // 5 days standard delivery
+        return date.toISOString();
+    }
+    
+    initOrderForm() {
+        const orderForm = document.getElementById('order-form');
+        if (orderForm) {
+            orderForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleOrderSubmit(e);
+            });
+        }
+        
+        // Initialize quantity controls
+        this.initQuantityControls();
+        
+        // Initialize cargo line quantity and remove buttons
+        this.initCartLineControls();
+        
+        // Initialize colour and size selection
+        this.initColorSelection();
+        this.initSizeSelection();
+        
+        // Initialize promo, shipping and tax preview
+        this.initPricingInputs();
+        
+        // Initialize phone country selector
+        this.initPhoneField();
+        
+        // Initialize saved addresses
+        this.initAddressBook();
+    }
+    
+    // Called by the page once the modules are published; gift wrap and delivery need the pricing engine
+    startOrderForm() {
+        if (this.orderFormStarted) return;
+        this.orderFormStarted = true;
+        
+        // Initialize gift wrap, message and recipient
+        this.initGiftOptions();
+        
+        // Initialize delivery date and slot picker
+        this.initDeliverySchedule();
+    }
+    
+    initPhoneField() {
+        const orderForm = document.getElementById('order-form');
+        const countrySelect = orderForm?.querySelector('[name="phone-country"]');
+        const phoneInput = orderForm?.querySelector('[name="phone"]');
+        if (!countrySelect || !phoneInput) return;
+        
+        NASA_PhoneNumber.countries.forEach(country => {
+            const option = document.createElement('option');
+            option.value = country.code;
+            option.textContent = `${country.code} +${country.dialCode}`;
+            option.title = country.name;
+            countrySelect.appendChild(option);
+        });
+        countrySelect.value = 'IN';
+        
+        const checkPhone = () => {
+            if (!phoneInput.value.trim()) return;
+            
+            const parsed = NASA_PhoneNumber.parse(phoneInput.value, countrySelect.value);
+            // A number typed with its + code decides the country
+            if (parsed.valid) countrySelect.value = parsed.country.code;
+            this.setFieldError('phone', parsed.error);
+        };
+        
+        phoneInput.addEventListener('change', checkPhone);
+        countrySelect.addEventListener('change', checkPhone);
+    }
+    
+    // Runs each time the order form opens; payments and other modules are only reachable after init
+    prepareOrderForm() {
+        this.syncChannelOptions();
+        this.syncPaymentOptions();
+        
+        const orderForm = document.getElementById('order-form');
+        const isBlank = ['name', 'address-line1', 'phone'].every(name => !orderForm?.querySelector(`[name="${name}"]`)?.value);
+        
+        // Autofill a blank form from the default address; never overwrite what was typed
+        if (isBlank && window.nasaProfile?.hasProfile()) {
+            this.fillCustomerFields(window.nasaProfile.getDefaultAddress()?.id || null);
+        } else {
+            this.renderAddressBook();
+        }
+        
+        // The payload may have changed, and with it any pre-order release date
+        this.renderDeliveryCalendar();
+    }
+    
+    initAddressInputs(orderForm, inputs) {
+        const stateSelect = orderForm.querySelector(`[name="${inputs.state}"]`);
+        if (stateSelect) {
+            this.addressValidator.states.forEach(state => {
+                const option = document.createElement('option');
+                option.value = state;
+                option.textContent = state.toUpperCase();
+                stateSelect.appendChild(option);
+            });
+        }
+        
+        // Check the PIN against the state as soon as both are known
+        orderForm.querySelector(`[name="${inputs.pincode}"]`)?.addEventListener('change', (e) => {
+            const states = this.addressValidator.getStatesForPincode(e.target.value.trim());
+            if (stateSelect && !stateSelect.value && states.length === 1) {
+                stateSelect.value = states[0];
+            }
+            this.validateAddressFields(['pincode', 'state'], inputs);
+        });
+        
+        stateSelect?.addEventListener('change', () => this.validateAddressFields(['pincode', 'state'], inputs));
+    }
+    
+    initGiftOptions() {
+        const orderForm = document.getElementById('order-form');
+        const toggle = orderForm?.querySelector('[name="gift"]');
+        const details = orderForm?.querySelector('.gift-details');
+        if (!toggle || !details) return;
+        
+        this.initAddressInputs(orderForm, this.giftInputs);
+        
+        const fee = orderForm.querySelector('.gift-wrap-fee');
+        if (fee && window.nasaPricing) {
+            fee.textContent = `+${this.formatCurrency(window.nasaPricing.config.giftWrapFee)}`;
+        }
+        
+        const message = orderForm.querySelector('[name="gift-message"]');
+        const counter = orderForm.querySelector('.gift-message-count');
+        message?.addEventListener('input', () => {
+            if (counter) counter.textContent = `${message.value.length}/${this.maxGiftMessage}`;
+        });
+        
+        const sync = () => {
+            details.hidden = !toggle.checked;
+            // Hidden recipient fields must not block a normal order
+            details.querySelectorAll('input, select, textarea').forEach(input => {
+                input.disabled = !toggle.checked;
+            });
+            // Gifts are prepaid
+            this.syncPaymentOptions();
+            this.updateOrderSummary();
+        };
+        
+        toggle.addEventListener('change', sync);
+        ['gift-wrap', 'gift-pincode'].forEach(name => {
+            orderForm.querySelector(`[name="${name}"]`)?.addEventListener('change', () => this.updateOrderSummary());
+        });
+        sync();
+    }
+    
+    initDeliverySchedule() {
+        const orderForm = document.getElementById('order-form');
+        const calendar = orderForm?.querySelector('.delivery-calendar');
+        if (!calendar || !window.nasaPricing) return;
+        
+        const slotSelect = orderForm.querySelector('[name="delivery-slot"]');
+        window.nasaPricing.getDeliverySlots().forEach(slot => {
+            const option = document.createElement('option');
+            option.value = slot.id;
+            option.textContent = `${slot.id.toUpperCase()} (${slot.label})`;
+            slotSelect?.appendChild(option);
+        });
+        
+        calendar.addEventListener('click', (e) => {
+            const day = e.target.closest('.delivery-day');
+            if (!day || day.disabled) return;
+            
+            orderForm.querySelector('[name="delivery-date"]').value = day.dataset.date;
+            this.renderDeliveryCalendar();
+        });
+        
+        // Bookable dates depend on where the order is going
+        ['pincode', 'gift', 'gift-pincode'].forEach(name => {
+            orderForm.querySelector(`[name="${name}"]`)?.addEventListener('change', () => this.renderDeliveryCalendar());
+        });
+        this.renderDeliveryCalendar();
+    }
+    
+    renderDeliveryCalendar() {
+        const orderForm = document.getElementById('order-form');
+        const calendar = orderForm?.querySelector('.delivery-calendar');
+        const pricing = window.nasaPricing;
+        if (!calendar || !pricing) return;
+        
+        const field = (name) => orderForm.querySelector(`[name="${name}"]`);
+        const dateInput = field('delivery-date');
+        const slotSelect = field('delivery-slot');
+        const pincode = field('gift')?.checked ? field('gift-pincode')?.value : field('pincode')?.value;
+        const availableFrom = this.getFormAvailableFrom();
+        
+        const notice = orderForm.querySelector('.delivery-preorder');
+        if (notice) {
+            notice.hidden = !availableFrom;
+            notice.textContent = availableFrom ? `⏳ PRE-ORDER: ships after ${this.formatReleaseDate(availableFrom).toUpperCase()}` : '';
+        }
+        
+        const schedule = pricing.getDeliveryCalendar(pincode, { availableFrom: availableFrom });
+        if (!schedule) {
+            dateInput.value = '';
+            if (slotSelect) slotSelect.disabled = true;
+            calendar.innerHTML = '<p class="delivery-hint">Enter the delivery PIN code to pick a date</p>';
+            return;
+        }
+        
+        // A date that no longer fits the PIN or payload falls back to the estimate
+        if (dateInput.value && !schedule.dates.some(day => day.date === dateInput.value && day.available)) {
+            dateInput.value = '';
+        }
+        if (slotSelect) slotSelect.disabled = !dateInput.value;
+        
+        const estimate = pricing.estimateDelivery(pincode, new Date(), availableFrom);
+        const dayLabel = (key) => pricing.parseDateKey(key).toLocaleDateString('en-IN', { weekday: 'short' }).toUpperCase();
+        
+        calendar.innerHTML = `
+            <button type="button" class="delivery-day delivery-standard" data-date="" aria-pressed="${!dateInput.value}">
+                <span>STANDARD</span>
+                <small>${this.formatDeliveryWindow(estimate.earliest, estimate.latest)}</small>
+            </button>
+            ${schedule.dates.map(day => `
+                <button type="button" class="delivery-day" data-date="${day.date}" aria-pressed="${day.date === dateInput.value}"
+                        ${day.available ? '' : `disabled title="${day.blackout ? 'Courier holiday' : 'No Sunday deliveries'}"`}>
+                    <span>${dayLabel(day.date)}</span>
+                    <small>${this.formatDeliveryWindow(null, pricing.parseDateKey(day.date))}</small>
+                </button>
+            `).join('')}
+        `;
+    }
+    
+    getFormAvailableFrom() {
+        const productManager = window.nasaProductManager;
+        if (!productManager) return null;
+        
+        const orderForm = document.getElementById('order-form');
+        if (orderForm?.dataset.checkout === 'cart') {
+            return this.getAvailableFrom(productManager.getCartLineItems());
+        }
+        
+        const product = this.getFormProduct();
+        return productManager.isPreorder(product) ? productManager.getReleaseDate(product) : null;
+    }
+    
+    // The product ordered on its own; product cards elsewhere on the page carry data-product too
+    getFormProduct() {
+        const productId = document.querySelector('#order-form [name="product"]')?.value;
+        return window.nasaProductManager?.getProductById(productId) || null;
+    }
+    
+    initAddressBook() {
+        const orderForm = document.getElementById('order-form');
+        if (!orderForm) return;
+        
+        this.initAddressInputs(orderForm, this.addressInputs);
+        
+        orderForm.querySelector('[name="saved-address"]')?.addEventListener('change', (e) => {
+            this.fillCustomerFields(e.target.value || null, { newAddress: !e.target.value });
+        });
+        
+        orderForm.querySelectorAll('[data-address-action]').forEach(button => {
+            button.addEventListener('click', () => this.handleAddressAction(button.dataset.addressAction));
+        });
+    }
+    
+    renderAddressBook(selectedId = null) {
+        const profile = window.nasaProfile;
+        const orderForm = document.getElementById('order-form');
+        const book = orderForm?.querySelector('.address-book');
+        const select = book?.querySelector('[name="saved-address"]');
+        if (!profile || !select) return;
+        
+        const escape = NASA_SearchIndex.escapeHTML;
+        const addresses = profile.getAddresses();
+        const defaultId = profile.getProfile().defaultAddressId;
+        const selected = selectedId ?? select.value;
+        
+        book.hidden = addresses.length === 0;
+        select.innerHTML = `
+            <option value="">NEW DESTINATION</option>
+            ${addresses.map(address => `
+                <option value="${address.id}">
+                    ${escape(address.label.toUpperCase())}${address.id === defaultId ? ' (DEFAULT)' : ''} · ${escape(address.fields?.line1 || address.address.split('\n')[0])}
+                </option>
+            `).join('')}
+        `;
+        select.value = addresses.some(address => address.id === selected) ? selected : '';
+        
+        book.querySelectorAll('[data-address-action="default"], [data-address-action="delete"]').forEach(button => {
+            button.disabled = !select.value;
+        });
+    }
+    
+    fillCustomerFields(addressId = null, options = {}) {
+        const profile = window.nasaProfile;
+        const orderForm = document.getElementById('order-form');
+        if (!profile || !orderForm) return;
+        
+        // A new destination keeps the contact details but starts with an empty address
+        const contact = profile.getProfile();
+        const customer = options.newAddress
+            ? { name: contact.name, phone: contact.phone, email: contact.email, address: '', pincode: '', addressId: null, addressLabel: '' }
+            : profile.resolveCustomer({}, addressId);
+        
+        ['name', 'phone', 'email'].forEach(field => {
+            const input = orderForm.querySelector(`[name="${field}"]`);
+            if (input) input.value = customer[field] || '';
+        });
+        
+        const countrySelect = orderForm.querySelector('[name="phone-country"]');
+        const phone = NASA_PhoneNumber.parse(customer.phone);
+        if (countrySelect && phone.valid) countrySelect.value = phone.country.code;
+        
+        // Addresses saved before structured capture only have the free-text line
+        this.writeAddressFields(customer.addressFields || { line1: customer.address, pincode: customer.pincode });
+        this.clearFieldErrors();
+        
+        const labelInput = orderForm.querySelector('[name="address-label"]');
+        if (labelInput) labelInput.value = customer.addressLabel || '';
+        
+        this.renderAddressBook(customer.addressId || '');
+        this.updateOrderSummary();
+    }
+    
+    handleAddressAction(action) {
+        const profile = window.nasaProfile;
+        const orderForm = document.getElementById('order-form');
+        if (!profile || !orderForm) return;
+        
+        const field = (name) => orderForm.querySelector(`[name="${name}"]`)?.value || '';
+        const addressId = field('saved-address') || null;
+        
+        if (action === 'save') {
+            const validation = this.validateAddressFields();
+            if (!validation.valid) return;
+            
+            const entry = profile.saveAddress({
+                id: addressId,
+                label: field('address-label'),
+                recipient: field('name'),
+                address: this.addressValidator.format(validation.address),
+                fields: validation.address,
+                pincode: validation.address.pincode,
+                phone: field('phone')
+            });
+            
+            if (!entry) {
+                this.showError('Your address book is full. Delete a destination to save a new one');
+                return;
+            }
+            
+            profile.updateContact({ name: field('name'), phone: field('phone'), email: field('email') });
+            this.fillCustomerFields(entry.id);
+            this.showNotification(`Destination "${entry.label}" saved`, 'success');
+        }
+        
+        if (action === 'default' && addressId && profile.setDefaultAddress(addressId)) {
+            this.renderAddressBook();
+            this.showNotification('Default destination updated', 'success');
+        }
+        
+        if (action === 'delete' && addressId) {
+            const label = profile.getAddress(addressId)?.label;
+            profile.deleteAddress(addressId);
+            this.fillCustomerFields(null, { newAddress: true });
+            this.showNotification(`Destination "${label}" deleted`, 'info');
+        }
+    }
+    
+    syncChannelOptions() {
+        const options = Array.from(document.querySelectorAll('#order-form input[name="channel"]'));
+        if (options.length === 0) return;
+        
+        // Channels without a recipient or URL are hidden rather than failing on send
+        options.forEach(option => {
+            const available = Boolean(this.getChannel(option.value)?.isAvailable());
+            option.disabled = !available;
+            const label = option.closest('.channel-option');
+            if (label) label.hidden = !available;
+        });
+        
+        if (!options.some(option => option.checked && !option.disabled)) {
+            const fallback = options.find(option => option.value === this.defaultChannel && !option.disabled)
+                || options.find(option => !option.disabled);
+            if (fallback) fallback.checked = true;
+        }
+    }
+    
+    syncPaymentOptions() {
+        const payments = window.nasaPayments;
+        const options = Array.from(document.querySelectorAll('#order-form input[name="payment"]'));
+        if (!payments || options.length === 0) return;
+        
+        // The cash limit is checked against the final total when the order is placed
+        const gift = Boolean(document.querySelector('#order-form [name="gift"]')?.checked);
+        options.forEach(option => {
+            option.disabled = !payments.isMethodAvailable(option.value, 0, { gift: gift });
+            option.closest('.payment-option')?.classList.toggle('unavailable', option.disabled);
+        });
+        
+        if (!options.some(option => option.checked && !option.disabled)) {
+            const firstAvailable = options.find(option => !option.disabled);
+            if (firstAvailable) firstAvailable.checked = true;
+        }
+    }
+    
+    initPricingInputs() {
+        const orderForm = document.getElementById('order-form');
+        if (!orderForm) return;
+        
+        // The phone number matters for single-use codes, the PIN for shipping and GST
+        ['promo', 'phone', 'phone-country', 'pincode'].forEach(name => {
+            orderForm.querySelector(`[name="${name}"]`)?.addEventListener('change', () => {
+                this.updateOrderSummary();
+            });
+        });
+    }
+    
+    initQuantityControls() {
+        document.querySelectorAll('.quantity-control').forEach(control => {
+            const decreaseBtn = control.querySelector('[data-action="decrease"]');
+            const increaseBtn = control.querySelector('[data-action="increase"]');
+            const quantityDisplay = control.querySelector('.quantity-value');
+            
+            if (decreaseBtn && increaseBtn && quantityDisplay) {
+                let quantity = parseInt(quantityDisplay.textContent) || 1;
+                
+                decreaseBtn.addEventListener('click', () => {
+                    if (quantity > 1) {
+                        quantity--;
+                        quantityDisplay.textContent = quantity;
+                        this.updateOrderSummary();
+                    }
+                });
+                
+                increaseBtn.addEventListener('click', () => {
+                    const limit = this.getQuantityLimit();
+                    
+                    if (quantity < limit) {
+                        quantity++;
+                        quantityDisplay.textContent = quantity;
+                        this.updateOrderSummary();
+                    } else if (limit < this.maxQuantity) {
+                        this.showNotification(limit > 0 ? `Only ${limit} left in stock` : 'This item is out of stock', 'warning');
+                    }
+                });
+            }
+        });
+    }
+    
+    // Cart summary lines are re-rendered on every change, so clicks are handled on the summary itself
+    initCartLineControls() {
+        const summaryElement = document.querySelector('#order-form .order-summary');
+        if (!summaryElement) return;
+        
+        summaryElement.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-cart-action]');
+            const productManager = window.nasaProductManager;
+            if (!button || !productManager) return;
+            
+            const key = button.closest('[data-cart-key]')?.dataset.cartKey;
+            const item = productManager.cart.find(line => line.key === key);
+            if (!item) return;
+            
+            const action = button.dataset.cartAction;
+            if (action === 'remove') {
+                productManager.removeFromCart(item.id, item.size, item.color);
+                return;
+            }
+            
+            if (action !== 'increase' && action !== 'decrease') return;
+            const quantity = item.quantity + (action === 'increase' ? 1 : -1);
+            if (quantity < 1 || quantity > this.maxQuantity) return;
+            
+            if (!productManager.updateCartQuantity(item.id, quantity, item.size, item.color)) {
+                this.showNotification(`No more stock available for ${item.name}`, 'warning');
+            }
+        });
+        
+        summaryElement.addEventListener('change', (e) => {
+            const select = e.target.closest('[data-cart-variant]');
+            const productManager = window.nasaProductManager;
+            if (!select || !productManager) return;
+            
+            const item = productManager.cart.find(line => line.key === select.closest('[data-cart-key]')?.dataset.cartKey);
+            if (!item) return;
+            
+            if (!productManager.changeCartVariant(item.id, item.variantId, select.value)) {
+                this.showNotification(`That option of ${item.name} is out of stock`, 'warning');
+                this.updateOrderSummary();
+            }
+        });
+    }
+    
+    getQuantityLimit() {
+        const productManager = window.nasaProductManager;
+        const product = this.getFormProduct();
+        if (!product) return this.maxQuantity;
+        
+        const size = document.querySelector('.size-option.active')?.dataset.size || null;
+        const variant = productManager.resolveVariant(product, size, this.getSelectedColor());
+        if (!variant) return this.maxQuantity;
+        
+        return Math.min(this.maxQuantity, productManager.getAvailableStock(product.id, variant.id));
+    }
+    
+    initColorSelection() {
+        document.querySelector('#order-form [name="color"]')?.addEventListener('change', () => {
+            // Sizes are offered per colour
+            this.syncSizeSelector(this.getFormProduct());
+            this.updateOrderSummary();
+        });
+    }
+    
+    getSelectedColor() {
+        return document.querySelector('#order-form [name="color"]')?.value || null;
+    }
+    
+    syncColorSelector(product) {
+        const productManager = window.nasaProductManager;
+        const select = document.querySelector('#order-form [name="color"]');
+        if (!productManager || !product || !select) return null;
+        
+        const colors = productManager.getColors(product);
+        const group = select.closest('.parameter-group');
+        if (group) {
+            group.style.display = colors.length > 0 ? '' : 'none';
+        }
+        
+        const current = select.value;
+        select.innerHTML = '';
+        colors.forEach(color => {
+            const available = product.variants.some(variant =>
+                variant.color === color && productManager.getAvailableStock(product.id, variant.id) > 0
+            );
+            const option = document.createElement('option');
+            option.value = color;
+            option.textContent = available ? color.toUpperCase() : `${color.toUpperCase()} (SOLD OUT)`;
+            option.disabled = !available;
+            select.appendChild(option);
+        });
+        
+        // Keep the customer's colour while it is in stock, otherwise the first one that is
+        const options = Array.from(select.options);
+        const selected = options.find(option => option.value === current && !option.disabled)
+            || options.find(option => !option.disabled)
+            || options[0];
+        select.value = selected ? selected.value : '';
+        
+        return select.value || null;
+    }
+    
+    initSizeSelection() {
+        document.querySelectorAll('.size-selector').forEach(selector => {
+            const options = selector.querySelectorAll('.size-option');
+            
+            options.forEach(option => {
+                option.addEventListener('click', () => {
+                    if (option.disabled) return;
+                    
+                    options.forEach(opt => opt.classList.remove('active'));
+                    option.classList.add('active');
+                    this.updateOrderSummary();
+                });
+            });
+        });
+    }
+    
+    syncSizeSelector(product, color = this.getSelectedColor()) {
+        const productManager = window.nasaProductManager;
+        if (!productManager || !product) return;
+        
+        const sizes = productManager.getSizes(product);
+        
+        document.querySelectorAll('.size-selector').forEach(selector => {
+            const group = selector.closest('.parameter-group');
+            if (group) {
+                group.style.display = sizes.length > 0 ? '' : 'none';
+            }
+            
+            const options = Array.from(selector.querySelectorAll('.size-option'));
+            options.forEach(option => {
+                const variant = productManager.resolveVariant(product, option.dataset.size, color);
+                const available = Boolean(variant && productManager.getAvailableStock(product.id, variant.id) > 0);
+                
+                option.disabled = !available;
+                option.classList.toggle('sold-out', Boolean(variant) && !available);
+                option.classList.toggle('unavailable', !variant);
+                option.title = variant && !available ? 'Sold out' : '';
+            });
+            
+            // Never leave a sold-out size selected
+            const active = options.find(option => option.classList.contains('active'));
+            if (!active || active.disabled) {
+                options.forEach(option => option.classList.remove('active'));
+                const firstAvailable = options.find(option => !option.disabled);
+                if (firstAvailable) firstAvailable.classList.add('active');
+            }
+        });
+    }
+    
+    handleOrderSubmit(event) {
+        event.preventDefault();
+        
+        const form = event.target;
+        const formData = new FormData(form);
+        
+        // Customers never see the honeypot; bots that fill every input do
+        if (formData.get('website')) {
+            this.logRejectedAttempt(formData.get('channel'), 'honeypot');
+            return;
+        }
+        
+        // Validate form
+        const validation = this.validateOrderForm(formData);
+        if (!validation.valid) {
+            this.showValidationErrors(validation.errors);
+            return;
+        }
+        
+        // Create customer object; the selected saved address fills anything left blank
+        const typed = {
+            name: formData.get('name'),
+            address: this.addressValidator.format(validation.address),
+            addressFields: validation.address,
+            phone: NASA_PhoneNumber.normalize(formData.get('phone'), formData.get('phone-country') || 'IN'),
+            email: formData.get('email'),
+            pincode: validation.address.pincode
+        };
+        const customer = window.nasaProfile
+            ? window.nasaProfile.resolveCustomer(typed, formData.get('saved-address') || null)
+            : typed;
+        
+        const notes = formData.get('notes');
+        const promoCode = formData.get('promo') || '';
+        const channel = formData.get('channel') || this.defaultChannel;
+        const paymentMethod = formData.get('payment') || null;
+        const gift = validation.gift;
+        const delivery = { date: formData.get('delivery-date') || null, slot: formData.get('delivery-slot') || null };
+        
+        // Cart checkout sends every line in a single transmission
+        if (form.dataset.checkout === 'cart') {
+            const cartOrder = this.checkoutCart(customer, { notes: notes, promoCode: promoCode, channel: channel, paymentMethod: paymentMethod, gift: gift, delivery: delivery });
+            if (cartOrder) this.saveCustomerProfile(cartOrder, customer, formData);
+            return;
+        }
+        
+        // Get product data
+        const product = this.getFormProduct();
+        
+        if (!product) {
+            this.showError('Product not found');
+            return;
+        }
+        
+        // Get order options
+        const quantity = parseInt(formData.get('quantity') || form.querySelector('.quantity-value')?.textContent || 1);
+        const size = formData.get('size') || document.querySelector('.size-option.active')?.dataset.size || null;
+        const color = formData.get('color') || null;
+        
+        // Create order
+        const order = this.createOrder(product, customer, {
+            quantity: quantity,
+            size: size,
+            color: color,
+            notes: notes,
+            promoCode: promoCode,
+            channel: channel,
+            paymentMethod: paymentMethod,
+            gift: gift,
+            delivery: delivery
+        });
+        
+        if (!order) return;
+        
+        this.saveCustomerProfile(order, customer, formData);
+        
+        // Send over the channel the customer picked; a rejected webhook send is not queued
+        Promise.resolve(this.transmitOrder(order)).then(() => {
+            if (!order.transmittedAt && !this.outbox.has(order.id)) {
+                this.showNotification('Transmission failed. Please try again or pick another channel.', 'warning');
+            }
+        });
+        
+        // Show confirmation
+        this.showOrderConfirmation(order);
+    }
+    
+    saveCustomerProfile(order, customer, formData) {
+        const profile = window.nasaProfile;
+        if (!profile || formData.get('save-address') !== 'on') return;
+        
+        // The order resolved the PIN code, which may only have been part of the address
+        profile.rememberCustomer({ ...customer, pincode: order.customer.pincode }, {
+            label: formData.get('address-label')
+        });
+        this.renderAddressBook();
+    }
+    
+    // Errors are keyed by input name so each message can sit next to its field
+    validateOrderForm(formData) {
+        const errors = {};
+        
+        if (!formData.get('name')?.trim()) {
+            errors.name = 'Name is required';
+        }
+        
+        const phone = NASA_PhoneNumber.parse(formData.get('phone'), formData.get('phone-country') || 'IN');
+        if (!phone.valid) {
+            errors.phone = phone.error;
+        }
+        
+        const address = this.addressValidator.validate(this.readAddressFields(name => formData.get(name)));
+        Object.entries(address.errors).forEach(([field, message]) => {
+            errors[this.addressInputs[field]] = message;
+        });
+        
+        const gift = formData.get('gift') === 'on' ? this.validateGiftFields(formData, errors) : null;
+        
+        return { valid: Object.keys(errors).length === 0, errors: errors, address: address.address, gift: gift };
+    }
+    
+    // Adds any recipient problems to errors and returns the gift options for the order
+    validateGiftFields(formData, errors) {
+        const name = formData.get('gift-name')?.trim() || '';
+        if (!name) {
+            errors['gift-name'] = 'Recipient name is required';
+        }
+        
+        const phone = NASA_PhoneNumber.parse(formData.get('gift-phone'), 'IN');
+        if (!phone.valid) {
+            errors['gift-phone'] = phone.error.replace('Phone number', 'Recipient phone number');
+        }
+        
+        const message = String(formData.get('gift-message') || '').trim();
+        if (message.length > this.maxGiftMessage) {
+            errors['gift-message'] = `Gift messages can be up to ${this.maxGiftMessage} characters`;
+        }
+        
+        const address = this.addressValidator.validate(this.readAddressFields(input => formData.get(input), this.giftInputs));
+        Object.entries(address.errors).forEach(([field, error]) => {
+            errors[this.giftInputs[field]] = error;
+        });
+        
+        return {
+            wrap: formData.get('gift-wrap') === 'on',
+            message: message,
+            recipient: {
+                name: name,
+                phone: phone.e164,
+                address: this.addressValidator.format(address.address),
+                addressFields: address.address,
+                pincode: address.address.pincode
+            }
+        };
+    }
+    
+    readAddressFields(getValue, inputs = this.addressInputs) {
+        const fields = {};
+        Object.entries(inputs).forEach(([field, name]) => {
+            fields[field] = getValue(name) || '';
+        });
+        return fields;
+    }
+    
+    writeAddressFields(fields = {}) {
+        const orderForm = document.getElementById('order-form');
+        if (!orderForm) return;
+        
+        Object.entries(this.addressInputs).forEach(([field, name]) => {
+            const input = orderForm.querySelector(`[name="${name}"]`);
+            if (input) input.value = fields[field] || '';
+        });
+    }
+    
+    // Validates the address inputs in place. Passing field names checks just those
+    // while the customer types, without flagging the ones they have not reached yet.
+    validateAddressFields(only = null, inputs = this.addressInputs) {
+        const orderForm = document.getElementById('order-form');
+        const fields = this.readAddressFields(name => orderForm?.querySelector(`[name="${name}"]`)?.value, inputs);
+        const validation = this.addressValidator.validate(fields);
+        
+        Object.keys(inputs)
+            .filter(field => !only || (only.includes(field) && fields[field]))
+            .forEach(field => this.setFieldError(inputs[field], validation.errors[field]));
+        
+        return validation;
+    }
+    
+    isValidPhoneNumber(phone, country = 'IN') {
+        return NASA_PhoneNumber.isValid(phone, country);
+    }
+    
+    showValidationErrors(errors = {}) {
+        this.clearFieldErrors();
+        Object.entries(errors).forEach(([name, message]) => this.setFieldError(name, message));
+        
+        const firstInvalid = document.querySelector('#order-form [aria-invalid="true"]');
+        if (firstInvalid) {
+            firstInvalid.focus();
+        } else if (Object.keys(errors).length > 0) {
+            // Nothing on screen to attach the messages to
+            this.showError(Object.values(errors).join('. '));
+        }
+    }
+    
+    setFieldError(name, message) {
+        const input = document.querySelector(`#order-form [name="${name}"]`);
+        if (!input) return;
+        
+        const errorId = `${name}-error`;
+        let errorElement = document.getElementById(errorId);
+        
+        if (!message) {
+            input.classList.remove('invalid');
+            input.removeAttribute('aria-invalid');
+            input.removeAttribute('aria-describedby');
+            errorElement?.remove();
+            return;
+        }
+        
+        if (!errorElement) {
+            errorElement = document.createElement('span');
+            errorElement.className = 'field-error';
+            errorElement.id = errorId;
+            errorElement.setAttribute('role', 'alert');
+            input.after(errorElement);
+        }
+        
+        errorElement.textContent = message;
+        input.classList.add('invalid');
+        input.setAttribute('aria-invalid', 'true');
+        input.setAttribute('aria-describedby', errorId);
+        
+        // Clear the message as soon as the customer edits the field
+        input.addEventListener('input', () => this.setFieldError(name, null), { once: true });
+    }
+    
+    clearFieldErrors() {
+        document.querySelectorAll('#order-form .field-error').forEach(element => element.remove());
+        document.querySelectorAll('#order-form [aria-invalid="true"]').forEach(input => {
+            input.classList.remove('invalid');
+            input.removeAttribute('aria-invalid');
+            input.removeAttribute('aria-describedby');
+        });
+    }
+    
+    registerChannel(channel) {
+        if (!channel?.id || typeof channel.format !== 'function' || typeof channel.send !== 'function') {
+            console.warn('NASA: Invalid transmission channel', channel);
+            return null;
+        }
+        
+        this.channels.set(channel.id, channel);
+        return channel;
+    }
+    
+    getChannel(channelId) {
+        return this.channels.get(channelId) || null;
+    }
+    
+    getAvailableChannels() {
+        return Array.from(this.channels.values()).filter(channel => channel.isAvailable());
+    }
+    
+    configureChannel(channelId, config) {
+        const channel = this.getChannel(channelId);
+        if (channel) {
+            channel.config = { ...channel.config, ...config };
+        }
+        return channel;
+    }
+    
+    transmitOrder(order, channelId = order.channel || this.defaultChannel, options = {}) {
+        const channel = this.getChannel(channelId);
+        
+        if (!channel || !channel.isAvailable()) {
+            this.showError(`${channel?.label || channelId} is not available for sending orders`);
+            return { status: 'failed', error: 'Channel unavailable' };
+        }
+        
+        // Never send the same order twice, whichever tab or retry gets there first
+        if (order.transmittedAt || (!options.fromOutbox && this.outbox.isInFlight(order.id))) {
+            return { status: 'skipped', error: 'Already transmitted' };
+        }
+        
+        order.channel = channel.id;
+        
+        if (channel.requiresNetwork && !this.outbox.isOnline()) {
+            if (!options.fromOutbox) this.queueOrder(order, channel, options, 'offline');
+            return this.recordTransmission(order, channel, { status: 'queued', error: 'Offline' });
+        }
+        
+        const result = channel.send(order, channel.format(order, this, options));
+        
+        if (!(result instanceof Promise)) {
+            return this.recordTransmission(order, channel, result);
+        }
+        
+        return result.then(outcome => {
+            // Network errors and server faults are worth retrying; rejections are not
+            const retryable = outcome.status === 'failed' && (!outcome.httpStatus || outcome.httpStatus >= 500 || outcome.httpStatus === 429);
+            if (retryable && !options.fromOutbox) {
+                this.queueOrder(order, channel, options, outcome.error || `HTTP ${outcome.httpStatus}`);
+            }
+            return this.recordTransmission(order, channel, outcome);
+        });
+    }
+    
+    recordTransmission(order, channel, result) {
+        const at = new Date().toISOString();
+        order.transmissions = order.transmissions || [];
+        order.transmissions.push({ channel: channel.id, status: result.status, at: at });
+        
+        if (result.status === 'opened' || result.status === 'delivered') {
+            order.transmittedAt = at;
+            this.outbox.remove(order.id);
+            this.placeOrder(order);
+            
+            if (order.status === 'pending') {
+                this.lifecycle.transition(order, 'sent', { at: at, note: `Sent via ${channel.label}` });
+            } else {
+                this.persistOrderHistory();
+            }
+        } else {
+            this.persistOrderHistory();
+        }
+        
+        this.logOrderTransmission(order, channel.id, result);
+        return result;
+    }
+    
+    sendOrderViaWhatsApp(order, template = 'nasa') {
+        return this.transmitOrder(order, 'whatsapp', { template: template }).url;
+    }
+    
+    buildWhatsAppUrl(order, template = 'nasa') {
+        return NASA_WhatsAppChannel.buildUrl(this.whatsappNumber, this.renderTemplate(order, template));
+    }
+    
+    // Return requests always use the return template, whichever one the channel prefers
+    renderTemplate(order, template = 'nasa', returnRequest = null) {
+        const source = returnRequest
+            ? this.orderTemplates.return
+            : this.orderTemplates[template] || this.orderTemplates.nasa;
+        return this.formatWhatsAppMessage(order, source, returnRequest);
+    }
+    
+    formatWhatsAppMessage(order, template, returnRequest = null) {
+        try {
+            return this.templateEngine.render(template, this.buildTemplateContext(order, returnRequest));
+        } catch (error) {
+            // A broken custom template must not block the order
+            console.error('NASA: Order template failed to render', error);
+            return this.templateEngine.render(
+                returnRequest ? this.defaultTemplates.return : this.orderTemplates.basic,
+                this.buildTemplateContext(order, returnRequest)
+            );
+        }
+    }
+    
+    buildTemplateContext(order, returnRequest = null) {
+        const items = order.items;
+        const missions = [...new Set(items.map(item => item.mission).filter(Boolean))];
+        
+        return {
+            ...this.buildReturnContext(returnRequest),
+            ...this.buildGiftContext(order),
+            name: order.customer.name,
+            address: order.customer.addressFields
+                ? this.addressValidator.format(order.customer.addressFields)
+                : order.customer.address,
+            phone: order.customer.phone,
+            email: order.customer.email || '',
+            pincode: order.customer.pincode || '',
+            notes: order.options?.notes || '',
+            orderId: order.id,
+            timestamp: new Date().toISOString(),
+            status: this.getStatusConfig(order.status).text,
+            product: items.map(item => item.name).join(', '),
+            price: items.length === 1 ? this.formatCurrency(items[0].price) : 'See line items',
+            size: items.map(item => item.size).filter(Boolean).join(', ') || 'N/A',
+            sku: items.map(item => item.sku).join(', '),
+            quantity: this.getOrderUnitCount(order),
+            mission: missions.length ? missions.join(', ') : 'general',
+            mass: this.calculateOrderMass(order),
+            store: this.getStoreName(),
+            promoCode: order.promoCode || '',
+            subtotal: order.subtotal,
+            discountTotal: order.discountTotal || 0,
+            discounts: order.discounts || [],
+            shipping: this.formatShippingCharge(order),
+            shippingFee: order.shipping.fee || 0,
+            tax: order.tax
+                ? `${this.formatCurrency(order.tax.total)} ${order.tax.inclusive ? 'included' : 'extra'} (${this.formatTaxRates(order.tax)})`
+                : 'Included',
+            taxTotal: order.tax ? order.tax.total : 0,
+            delivery: this.formatOrderDelivery(order.shipping),
+            deliverySlot: order.shipping.slot ? order.shipping.slot.label : '',
+            preorder: Boolean(order.preorder),
+            releaseDate: order.preorder ? this.formatReleaseDate(order.preorder.releaseDate) : '',
+            total: order.total,
+            payment: window.nasaPayments ? window.nasaPayments.describe(order.payment) : (order.payment?.method || 'N/A'),
+            items: items.map(item => ({
+                product: item.name,
+                variant: this.formatVariant(item),
+                size: item.size || 'N/A',
+                color: item.color || 'N/A',
+                quantity: item.quantity,
+                sku: item.sku,
+                price: item.price,
+                subtotal: item.subtotal,
+                mission: item.mission,
+                category: item.category,
+                releaseDate: item.releaseDate ? this.formatReleaseDate(item.releaseDate) : ''
+            }))
+        };
+    }
+    
+    buildGiftContext(order) {
+        const gift = order.gift;
+        
+        return {
+            gift: Boolean(gift),
+            giftWrap: gift?.wrap ? `Yes (${this.formatCurrency(gift.wrapFee)})` : '',
+            giftMessage: gift?.message || '',
+            recipientName: gift?.recipient.name || '',
+            recipientPhone: gift?.recipient.phone || '',
+            recipientAddress: gift
+                ? (gift.recipient.addressFields ? this.addressValidator.format(gift.recipient.addressFields) : gift.recipient.address)
+                : ''
+        };
+    }
+    
+    buildReturnContext(returnRequest) {
+        if (!returnRequest) {
+            return { rmaId: '', returnType: '', returnNotes: '', refundAmount: 0, returnItems: [] };
+        }
+        
+        return {
+            rmaId: returnRequest.id,
+            returnType: this.returns.types[returnRequest.type],
+            returnNotes: returnRequest.notes,
+            refundAmount: returnRequest.refundAmount,
+            returnItems: returnRequest.items.map(item => ({
+                product: item.name,
+                variant: this.formatVariant(item),
+                quantity: item.quantity,
+                sku: item.sku,
+                reason: this.returns.reasons[item.reason] || item.reason,
+                exchange: item.exchangeVariantId
+                    ? this.formatVariant({ size: item.exchangeSize, color: item.exchangeColor })
+                    : ''
+            }))
+        };
+    }
+    
+    registerTemplate(name, source, options = {}) {
+        const validation = this.templateEngine.validate(source, this.templateSchema);
+        
+        if (!validation.valid) {
+            console.warn(`NASA: Template "${name}" rejected`, validation.errors);
+            return validation;
+        }
+        
+        this.orderTemplates[name] = source;
+        
+        if (options.persist !== false) {
+            this.saveCustomTemplates();
+        }
+        
+        return validation;
+    }
+    
+    validateTemplate(source) {
+        return this.templateEngine.validate(source, this.templateSchema);
+    }
+    
+    getTemplateNames() {
+        return Object.keys(this.orderTemplates);
+    }
+    
+    loadCustomTemplates() {
+        try {
+            const templates = JSON.parse(localStorage.getItem('nasa_order_templates') || '{}');
+            Object.entries(templates).forEach(([name, source]) => {
+                this.registerTemplate(name, source, { persist: false });
+            });
+        } catch (error) {
+            console.warn('NASA: Failed to load custom order templates', error);
+        }
+    }
+    
+    saveCustomTemplates() {
+        // Built-in templates only persist when a store owner overrides them
+        const custom = {};
+        Object.entries(this.orderTemplates).forEach(([name, source]) => {
+            if (source !== this.defaultTemplates[name]) {
+                custom[name] = source;
+            }
+        });
+        
+        try {
+            localStorage.setItem('nasa_order_templates', JSON.stringify(custom));
+        } catch (error) {
+            console.warn('NASA: Failed to save custom order templates', error);
+        }
+    }
+    
+    formatShippingCharge(order) {
+        const shipping = order.shipping;
+        if (!shipping.zone) return 'To be confirmed';
+        
+        const charge = shipping.fee > 0 ? this.formatCurrency(shipping.fee) : 'FREE';
+        return `${charge} (${shipping.zoneLabel}, ${shipping.mass} kg)`;
+    }
+    
+    getOrderUnitCount(order) {
+        return order.items.reduce((count, item) => count + item.quantity, 0);
+    }
+    
+    formatCurrency(amount) {
+        return new Intl.NumberFormat('en-IN', {
+            style: 'currency',
+            currency: 'INR',
+            maximumFractionDigits: 0
+        }).format(amount);
+    }
+    
+    calculateProductMass(product) {
+        // Estimate based on product category
+        const massMap = {
+            'telescope': 5.2,
+            'apparel': 0.3,
+            'accessories': 0.8,
+            'imaging': 1.5
+        };
+        
+        return massMap[product.category] || 1.0;
+    }
+    
+    calculateOrderMass(order) {
+        const mass = order.items.reduce((sum, item) => sum + this.calculateProductMass(item) * item.quantity, 0);
+        return Math.round(mass * 10) / 10;
+    }
+    
+    showOrderConfirmation(order) {
+        const modal = document.getElementById('order-confirmation');
+        if (!modal) return;
+        
+        // Populate confirmation details
+        modal.dataset.orderId = order.id;
+        modal.querySelector('.order-id').textContent = order.id;
+        modal.querySelector('.order-total').textContent = this.formatCurrency(order.total);
+        modal.querySelector('.estimated-delivery').textContent = this.formatOrderDelivery(order.shipping);
+        
+        const breakdown = modal.querySelector('.order-breakdown');
+        if (breakdown) {
+            breakdown.innerHTML = this.renderPricingLines({
+                ...order,
+                shipping: order.shipping.zone ? { ...order.shipping, free: order.shipping.fee === 0, freeShippingRemaining: 0 } : null,
+                delivery: null
+            });
+        }
+        
+        this.refreshConfirmationStatus(order);
+        this.renderPaymentPanel(order);
+        
+        // Show modal in place of the order form
+        if (window.nasaUI) {
+            window.nasaUI.closeModal('order-modal');
+            window.nasaUI.openModal('order-confirmation');
+        } else {
+            modal.classList.add('active');
+        }
+        
+        // Setup close button
+        modal.querySelector('.modal-close').addEventListener('click', () => {
+            modal.classList.remove('active');
+        });
+        
+        // Setup WhatsApp button
+        const whatsappBtn = modal.querySelector('.whatsapp-confirm');
+        if (whatsappBtn) {
+            whatsappBtn.href = this.buildWhatsAppUrl(order, 'detailed');
+        }
+    }
+    
+    updateOrderSummary() {
+        const summaryElement = document.querySelector('.order-summary');
+        if (!summaryElement) return;
+        
+        const orderForm = document.getElementById('order-form');
+        if (orderForm?.dataset.checkout === 'cart') {
+            this.renderCartSummary(summaryElement);
+            return;
+        }
+        
+        const quantity = parseInt(document.querySelector('.quantity-value')?.textContent || 1);
+        const size = document.querySelector('.size-option.active')?.dataset.size || null;
+        const productManager = window.nasaProductManager;
+        const product = this.getFormProduct();
+        
+        if (product) {
+            const variant = productManager.resolveVariant(product, size, this.getSelectedColor()) || productManager.getDefaultVariant(product);
+            const pricing = this.getSummaryPricing([this.buildLineItem(product, variant, quantity)]);
+            const stock = window.nasaInventory?.getStockState(product.id, variant.id);
+            const escape = NASA_SearchIndex.escapeHTML;
+            
+            summaryElement.innerHTML = `
+                <div class="summary-item">
+                    <span>Product:</span>
+                    <span>${escape(product.name)}</span>
+                </div>
+                <div class="summary-item">
+                    <span>Variant:</span>
+                    <span>${escape(this.formatVariant(variant))}</span>
+                </div>
+                ${stock && stock.status !== 'in-stock' ? `
+                <div class="summary-item stock-${stock.status}">
+                    <span>Availability:</span>
+                    <span>${stock.label}</span>
+                </div>
+                ` : ''}
+                <div class="summary-item">
+                    <span>Quantity:</span>
+                    <span>${quantity}</span>
+                </div>
+                ${this.renderPricingLines(pricing)}
+            `;
+        }
+    }
+    
+    renderCartSummary(summaryElement) {
+        const productManager = window.nasaProductManager;
+        const cart = productManager?.cart || [];
+        
+        if (cart.length === 0) {
+            summaryElement.innerHTML = `
+                <div class="summary-item empty">
+                    <span>Your cargo bay is empty</span>
+                </div>
+            `;
+            return;
+        }
+        
+        // Catalog text, including CSV imports, is never trusted as markup
+        const escape = NASA_SearchIndex.escapeHTML;
+        summaryElement.innerHTML = `
+            ${cart.map(item => `
+                <div class="summary-item summary-line" data-cart-key="${escape(item.key)}">
+                    <span class="summary-line-name">${escape(item.name)} ${this.renderCartVariantPicker(item)}</span>
+                    <span class="cart-line-controls">
+                        <button type="button" class="cart-line-btn" data-cart-action="decrease" aria-label="One less"
+                                ${item.quantity <= 1 ? 'disabled' : ''}>−</button>
+                        <span class="cart-line-quantity">${item.quantity}</span>
+                        <button type="button" class="cart-line-btn" data-cart-action="increase" aria-label="One more"
+                                ${item.quantity >= this.maxQuantity ? 'disabled' : ''}>+</button>
+                        <button type="button" class="cart-line-remove" data-cart-action="remove">REMOVE</button>
+                    </span>
+                    <span>${this.formatCurrency(item.price * item.quantity)}</span>
+                </div>
+            `).join('')}
+            ${this.renderPricingLines(this.getSummaryPricing(productManager.getCartLineItems()))}
+        `;
+    }
+    
+    // Lines of products sold in several sizes or colours can switch variant here
+    renderCartVariantPicker(item) {
+        const escape = NASA_SearchIndex.escapeHTML;
+        const productManager = window.nasaProductManager;
+        const variants = productManager?.getProductById(item.id)?.variants || [];
+        
+        if (variants.length < 2) {
+            return `(${escape(this.formatVariant(item))})`;
+        }
+        
+        return `
+            <select class="nasa-input cart-line-variant" data-cart-variant aria-label="Size and colour of ${escape(item.name)}">
+                ${variants.map(variant => {
+                    const current = variant.id === item.variantId;
+                    const stock = productManager.getAvailableStock(item.id, variant.id);
+                    const available = current || stock >= item.quantity;
+                    const note = available ? '' : stock > 0 ? ` (ONLY ${stock} LEFT)` : ' (SOLD OUT)';
+                    return `<option value="${escape(variant.id)}" ${current ? 'selected' : ''} ${available ? '' : 'disabled'}>${escape(this.formatVariant(variant).toUpperCase())}${note}</option>`;
+                }).join('')}
+            </select>
+        `;
+    }
+    
+    getSummaryPricing(items) {
+        const orderForm = document.getElementById('order-form');
+        const field = (name) => orderForm?.querySelector(`[name="${name}"]`)?.value || '';
+        
+        const checked = (name) => Boolean(orderForm?.querySelector(`[name="${name}"]`)?.checked);
+        
+        // Gifts ship, and are taxed, where the recipient lives
+        return this.calculatePricing(items, {
+            promoCode: field('promo'),
+            phone: NASA_PhoneNumber.normalize(field('phone'), field('phone-country') || 'IN') || field('phone'),
+            pincode: checked('gift') ? field('gift-pincode') : field('pincode'),
+            giftWrap: checked('gift') && checked('gift-wrap')
+        });
+    }
+    
+    renderPricingLines(pricing) {
+        // Promo errors repeat the code the customer typed
+        const escape = NASA_SearchIndex.escapeHTML;
+        return `
+            ${pricing.discounts.length > 0 ? `
+            <div class="summary-item">
+                <span>Subtotal:</span>
+                <span>${this.formatCurrency(pricing.subtotal)}</span>
+            </div>
+            ` : ''}
+            ${pricing.discounts.map(discount => `
+            <div class="summary-item summary-discount">
+                <span>${escape(discount.label)} (${escape(discount.code)}):</span>
+                <span>-${this.formatCurrency(discount.amount)}</span>
+            </div>
+            `).join('')}
+            ${(pricing.errors || []).map(error => `
+            <div class="summary-item summary-promo-error">
+                <span>${escape(error)}</span>
+            </div>
+            `).join('')}
+            ${pricing.shipping ? `
+            <div class="summary-item summary-shipping">
+                <span>Shipping (${pricing.shipping.zoneLabel}, ${pricing.shipping.mass} kg):</span>
+                <span>${pricing.shipping.free ? 'FREE' : this.formatCurrency(pricing.shipping.fee)}</span>
+            </div>
+            ${pricing.shipping.freeShippingRemaining > 0 ? `
+            <div class="summary-item summary-hint">
+                <span>Add ${this.formatCurrency(pricing.shipping.freeShippingRemaining)} more for free shipping</span>
+            </div>
+            ` : ''}
+            ` : `
+            <div class="summary-item summary-hint">
+                <span>Enter your PIN code to calculate shipping</span>
+            </div>
+            `}
+            ${pricing.giftWrapFee > 0 ? `
+            <div class="summary-item summary-gift">
+                <span>Gift wrap:</span>
+                <span>${this.formatCurrency(pricing.giftWrapFee)}</span>
+            </div>
+            ` : ''}
+            ${pricing.tax ? `
+            <div class="summary-item summary-tax">
+                <span>${pricing.tax.inclusive ? 'Includes' : 'Plus'} GST (${this.formatTaxRates(pricing.tax)}):</span>
+                <span>${this.formatCurrency(pricing.tax.total)}</span>
+            </div>
+            ` : ''}
+            <div class="summary-item total">
+                <span>Total:</span>
+                <span>${this.formatCurrency(pricing.total)}</span>
+            </div>
+            ${pricing.delivery ? `
+            <div class="summary-item summary-delivery">
+                <span>Estimated delivery:</span>
+                <span>${this.formatDeliveryWindow(pricing.delivery.earliest, pricing.delivery.latest)}</span>
+            </div>
+            ` : ''}
+        `;
+    }
+    
+    formatTaxRates(tax) {
+        return tax.lines
+            .map(line => line.components.map(component => `${component.type} ${component.rate}%`).join(' + '))
+            .join(', ');
+    }
+    
+    formatDeliveryWindow(earliest, latest) {
+        const format = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+        return earliest ? `${format(earliest)} – ${format(latest)}` : format(latest);
+    }
+    
+    formatOrderDelivery(shipping) {
+        const estimate = this.formatDeliveryWindow(shipping.earliestDelivery, shipping.estimatedDelivery);
+        return shipping.slot ? `${estimate}, ${shipping.slot.label}` : estimate;
+    }
+    
+    formatReleaseDate(date) {
+        return new Date(`${date}T00:00:00`).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+    }
+    
+    updateOrderStatus() {
+        const board = document.querySelector('.order-status');
+        if (!board) return;
+        
+        // Board tiles count the stored orders by stage
+        const counts = {};
+        this.orderHistory.forEach(order => {
+            const stage = this.getStatusConfig(order.status).board;
+            if (stage) counts[stage] = (counts[stage] || 0) + 1;
+        });
+        
+        board.querySelectorAll('.status-item[data-status]').forEach(item => {
+            const value = item.querySelector('.item-value');
+            if (value) value.textContent = counts[item.dataset.status] || 0;
+        });
+        
+        const timeValue = board.querySelector('.status-time .time-value');
+        if (timeValue) {
+            timeValue.textContent = `${new Date().toISOString().substr(11, 8)} UTC`;
+        }
+        
+        if (!this.currentOrder) return;
+        
+        let current = board.querySelector('.current-order-status');
+        if (!current) {
+            current = document.createElement('div');
+            board.querySelector('.status-header')?.after(current);
+        }
+        
+        const config = this.getStatusConfig(this.currentOrder.status);
+        current.className = `current-order-status ${config.class}`;
+        current.innerHTML = `
+            <span class="current-order-id">${this.currentOrder.id}</span>
+            <span class="current-order-text">${config.text}</span>
+        `;
+    }
+    
+    getStatusConfig(status) {
+        return this.statusConfig[status] || this.statusConfig.pending;
+    }
+    
+    refreshConfirmationStatus(order) {
+        const modal = document.getElementById('order-confirmation');
+        if (!modal || modal.dataset.orderId !== order.id) return;
+        
+        const statusElement = modal.querySelector('.order-status-label');
+        if (statusElement) {
+            const config = this.getStatusConfig(order.status);
+            statusElement.textContent = config.text;
+            statusElement.className = `order-status-label ${config.class}`;
+        }
+    }
+    
+    renderPaymentPanel(order) {
+        const modal = document.getElementById('order-confirmation');
+        const payments = window.nasaPayments;
+        if (!modal || !payments || modal.dataset.orderId !== order.id) return;
+        
+        let panel = modal.querySelector('.payment-panel');
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.className = 'payment-panel';
+            (modal.querySelector('.modal-content') || modal).appendChild(panel);
+        }
+        
+        const payment = order.payment || {};
+        const amount = this.formatCurrency(order.total);
+        panel.dataset.status = payment.status || 'pending';
+        
+        if (payment.status === 'paid') {
+            panel.innerHTML = `
+                <div class="payment-title">PAYMENT RECEIVED</div>
+                <p class="payment-note">${payments.describe(payment)}</p>
+            `;
+            return;
+        }
+        
+        if (payment.method === 'cod') {
+            panel.innerHTML = `
+                <div class="payment-title">CASH ON DELIVERY</div>
+                <p class="payment-note">Please keep ${amount} ready for the courier.</p>
+            `;
+            return;
+        }
+        
+        const link = payments.buildUpiLink(order);
+        if (!link || payment.method === 'store') {
+            panel.innerHTML = `
+                <div class="payment-title">PAYMENT PENDING</div>
+                <p class="payment-note">Mission Control will share payment details for ${amount}.</p>
+            `;
+            return;
+        }
+        
+        panel.innerHTML = `
+            <div class="payment-title">PAY ${amount} WITH UPI</div>
+            <div class="payment-qr">${payments.renderQRCode(order)}</div>
+            <a class="payment-upi-link" href="${link}">OPEN UPI APP</a>
+            <form class="payment-utr-form" novalidate>
+                <label class="input-label" for="payment-utr-${order.id}">UTR / UPI REFERENCE</label>
+                <input type="text" class="nasa-input" id="payment-utr-${order.id}" name="utr"
+                       inputmode="numeric" maxlength="12" placeholder="12-DIGIT UTR" autocomplete="off">
+                <button type="submit" class="payment-confirm">I HAVE PAID</button>
+            </form>
+        `;
+        
+        panel.querySelector('.payment-utr-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.markOrderPaid(order.id, e.target.querySelector('[name="utr"]')?.value);
+        });
+    }
+    
+    saveOrder(order) {
+        this.orderHistory.unshift(order);
+        this.persistOrderHistory();
+    }
+    
+    persistOrderHistory() {
+        try {
+            // Keep only last 50 orders
+            const history = this.orderHistory.slice(0, 50);
+            localStorage.setItem('nasa_order_history', JSON.stringify(history));
+        } catch (error) {
+            console.warn('NASA: Failed to save order history', error);
+        }
+    }
+    
+    loadOrderHistory() {
+        try {
+            const history = JSON.parse(localStorage.getItem('nasa_order_history') || '[]');
+            this.orderHistory = history.map(order => this.lifecycle.initHistory(this.normalizeOrder(order)));
+        } catch (error) {
+            this.orderHistory = [];
+        }
+    }
+    
+    normalizeOrder(order) {
+        // Orders saved before cart checkout carried a single product
+        if (!order.items && order.product) {
+            const quantity = order.options?.quantity || 1;
+            order = {
+                ...order,
+                items: [{
+                    ...order.product,
+                    variantId: null,
+                    size: order.options?.size || null,
+                    color: null,
+                    quantity: quantity,
+                    subtotal: order.product.price * quantity
+                }]
+            };
+        }
+        
+        // Orders saved before promotions and GST carried no price breakdown
+        return {
+            subtotal: order.total,
+            discounts: [],
+            discountTotal: 0,
+            promoCode: null,
+            tax: null,
+            ...order
+        };
+    }
+    
+    logOrderTransmission(order, method, result = {}) {
+        const log = {
+            timestamp: new Date().toISOString(),
+            orderId: order.id,
+            method: method,
+            status: result.status || 'transmitted',
+            httpStatus: result.httpStatus,
+            error: result.error
+        };
+        
+        console.log('NASA Order Transmission:', log);
+        
+        // Send to analytics if available
+        if (window.nasaAnalytics) {
+            window.nasaAnalytics.track('order_transmission', log);
+        }
+    }
+    
+    // Rejected submissions share the transmission log so abuse shows up next to real sends
+    logRejectedAttempt(channelId, reason, orderId = null) {
+        this.logOrderTransmission({ id: orderId }, channelId || this.defaultChannel, { status: 'rejected', error: reason });
+    }
+    
+    showNotification(message, type = 'info') {
+        // Reuse mission control notification or create new
+        if (window.nasaMissionControl) {
+            window.nasaMissionControl.showNotification(message, type);
+        } else {
+            alert(message); // Fallback
+        }
+    }
+    
+    showError(message) {
+        this.showNotification(message, 'error');
+    }
+    
+    destroy() {
+        this.outbox.stop();
+        this.currentOrder = null;
+    }
+}
+
+// NASA User Interface Manager
+class NASA_UIManager {
+    constructor() {
+        this.currentTheme = 'dark';
+        this.animationsEnabled = true;
+        this.soundEnabled = false;
+        this.notificationsEnabled = true;
+        this.uiState = {
+            menuOpen: false,
+            modalOpen: false,
+            cartOpen: false,
+            searchOpen: false
+        };
+        this.observedCallbacks = new WeakMap();
+        
+        this.initUI();
+        this.initEventListeners();
+        this.initIntersectionObserver();
+    }
+    
+    initUI() {
+        // Apply theme
+        this.applyTheme(this.currentTheme);
+        
+        // Initialize components
+        this.initNavigation();
+        this.initModals();
+        this.initTooltips();
+        this.initScrollAnimations();
+        
+        // Check for reduced motion preference
+        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            this.animationsEnabled = false;
+            document.documentElement.classList.add('reduced-motion');
+        }
+    }
+    
+    initEventListeners() {
+        // Theme toggle
+        document.querySelectorAll('.theme-toggle').forEach(toggle => {
+            toggle.addEventListener('click', () => this.toggleTheme());
+        });
+        
+        // Sound toggle
+        document.querySelectorAll('.sound-toggle').forEach(toggle => {
+            toggle.addEventListener('click', () => this.toggleSound());
+        });
+        
+        // Navigation
+        document.querySelectorAll('.nav-toggle').forEach(toggle => {
+            toggle.addEventListener('click', () => this.toggleNavigation());
+        });
+        
+        // Close modals on escape
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeAllModals();
+            }
+        });
+        
+        // Handle window resize
+        let resizeTimeout;
+        window.addEventListener('resize', () => {
+            clearTimeout(resizeTimeout);
+            resizeTimeout = setTimeout(() => this.handleResize(), 250);
+        });
+        
+        // Handle scroll
+        let scrollTimeout;
+        window.addEventListener('scroll', () => {
+            this.handleScroll();
+            
+            clearTimeout(scrollTimeout);
+            scrollTimeout = setTimeout(() => {
+                this.handleScrollEnd();
+            }, 150);
+        });
+    }
+    
+    initIntersectionObserver() {
+        if ('IntersectionObserver' in window) {
+            this.intersectionObserver = new IntersectionObserver(
+                (entries) => {
+                    entries.forEach(entry => {
+                        // Elements registered through observeElement() handle their own entries
+                        const callback = this.observedCallbacks.get(entry.target);
+                        if (callback) {
+                            callback(entry);
+                            return;
+                        }
+                        
+                        if (entry.isIntersecting) {
+                            entry.target.classList.add('in-view');
+                            
+                            // Trigger animation based on data attributes
+                            const animation = entry.target.dataset.animation;
+                            if (animation && this.animationsEnabled) {
+                                this.triggerAnimation(entry.target, animation);
+                            }
+                        }
+                    });
+                },
+                {
+                    root: null,
+                    rootMargin: '50px',
+                    threshold: 0.1
+                }
+            );
+            
+            // Observe all elements with data-observe attribute
+            document.querySelectorAll('[data-observe]').forEach(element => {
+                this.intersectionObserver.observe(element);
+            });
+        }
+    }
+    
+    observeElement(element, callback) {
+        if (!this.intersectionObserver || !element) return null;
+        
+        this.observedCallbacks.set(element, callback);
+        this.intersectionObserver.observe(element);
+        
+        return () => {
+            this.observedCallbacks.delete(element);
+            this.intersectionObserver.unobserve(element);
+        };
+    }
+    
+    initNavigation() {
+        const nav = document.querySelector('.nasa-navigation');
+        if (!nav) return;
+        
+        // Mobile menu toggle
+        const menuToggle = nav.querySelector('.mobile-toggle');
+        if (menuToggle) {
+            menuToggle.addEventListener('click', () => {
+                this.toggleMobileMenu();
+            });
+        }
+        
+        // Close menu when clicking outside
+        document.addEventListener('click', (e) => {
+            if (this.uiState.menuOpen && !nav.contains(e.target)) {
+                this.closeMobileMenu();
+            }
+        });
+        
+        // Smooth scroll for anchor links
+        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+            anchor.addEventListener('click', (e) => {
+                e.preventDefault();
+                
+                const targetId = anchor.getAttribute('href');
+                if (targetId === '#') return;
+                
+                const targetElement = document.querySelector(targetId);
+                if (targetElement) {
+                    this.scrollToElement(targetElement);
+                    
+                    // Close mobile menu if open
+                    if (this.uiState.menuOpen) {
+                        this.closeMobileMenu();
+                    }
+                }
+            });
+        });
+    }
+    
+    initModals() {
+        // Close modals when clicking overlay
+        document.querySelectorAll('.modal').forEach(modal => {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal || e.target.classList.contains('modal-close')) {
+                    this.closeModal(modal);
+                }
+            });
+        });
+        
+        // Close modals on escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.uiState.modalOpen) {
+                this.closeAllModals();
+            }
+        });
+    }
+    
+    initTooltips() {
+        if ('tippy' in window) {
+            tippy('[data-tippy-content]', {
+                theme: 'nasa',
+                animation: 'scale',
+                duration: 200,
+                delay: [100, 0]
+            });
+        } else {
+            // Fallback tooltip implementation
+            this.initFallbackTooltips();
+        }
+    }
+    
+    initFallbackTooltips() {
+        const tooltipElements = document.querySelectorAll('[data-tooltip]');
+        
+        tooltipElements.forEach(element => {
+            const tooltipText = element.dataset.tooltip;
+            
+            element.addEventListener('mouseenter', (e) => {
+                const tooltip = document.createElement('div');
+                tooltip.className = 'nasa-tooltip';
+                tooltip.textContent = tooltipText;
+                
+                document.body.appendChild(tooltip);
+                
+                // Position tooltip
+                const rect = element.getBoundingClientRect();
+                tooltip.style.left = `${rect.left + rect.width / 2 - tooltip.offsetWidth / 2}px`;
+                tooltip.style.top = `${rect.top - tooltip.offsetHeight - 10}px`;
+                
+                element.dataset.tooltipId = Date.now();
+            });
+            
+            element.addEventListener('mouseleave', () => {
+                document.querySelectorAll('.nasa-tooltip').forEach(tooltip => {
+                    tooltip.remove();
+                });
+            });
+        });
+    }
+    
+    initScrollAnimations() {
+        if (this.animationsEnabled) {
+            // Add scroll-triggered animations
+            document.querySelectorAll('[data-scroll-animation]').forEach(element => {
+                element.dataset.observe = 'true';
+            });
+        }
+    }
+    
+    toggleTheme() {
+        this.currentTheme = this.currentTheme === 'dark' ? 'light' : 'dark';
+        this.applyTheme(this.currentTheme);
+        
+        // Save preference
+        localStorage.setItem('nasa_theme', this.currentTheme);
+        
+        // Dispatch theme change event
+        window.dispatchEvent(new CustomEvent('nasa-theme-change', {
+            detail: { theme: this.currentTheme }
+        }));
+    }
+    
+    applyTheme(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
+        
+        // Update UI elements
+        document.querySelectorAll('.theme-toggle').forEach(toggle => {
+            const icon = toggle.querySelector('i');
+            if (icon) {
+                icon.className = theme === 'dark' ? 'fas fa-sun' : 'fas fa-moon';
+            }
+        });
+    }
+    
+    toggleSound() {
+        this.soundEnabled = !this.soundEnabled;
+        
+        // Update UI
+        document.querySelectorAll('.sound-toggle').forEach(toggle => {
+            const icon = toggle.querySelector('i');
+            if (icon) {
+                icon.className = this.soundEnabled ? 'fas fa-volume-up' : 'fas fa-volume-mute';
+            }
+        });
+        
+        // Dispatch event
+        window.dispatchEvent(new CustomEvent('nasa-sound-toggle', {
+            detail: { enabled: this.soundEnabled }
+        }));
+    }
+    
+    toggleNavigation() {
+        if (this.uiState.menuOpen) {
+            this.closeMobileMenu();
+        } else {
+            this.openMobileMenu();
+        }
+    }
+    
+    openMobileMenu() {
+        document.body.classList.add('menu-open');
+        this.uiState.menuOpen = true;
+        
+        // Dispatch event
+        window.dispatchEvent(new Event('nasa-menu-open'));
+    }
+    
+    closeMobileMenu() {
+        document.body.classList.remove('menu-open');
+        this.uiState.menuOpen = false;
+        
+        // Dispatch event
+        window.dispatchEvent(new Event('nasa-menu-close'));
+    }
+    
+    toggleMobileMenu() {
+        if (this.uiState.menuOpen) {
+            this.closeMobileMenu();
+        } else {
+            this.openMobileMenu();
+        }
+    }
+    
+    openModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (!modal) return;
+        
+        modal.classList.add('active');
+        document.body.classList.add('modal-open');
+        this.uiState.modalOpen = true;
+        
+        // Focus trap
+        this.setupModalFocusTrap(modal);
+        
+        // Dispatch event
+        window.dispatchEvent(new CustomEvent('nasa-modal-open', {
+            detail: { modalId }
+        }));
+    }
+    
+    closeModal(modal) {
+        if (typeof modal === 'string') {
+            modal = document.getElementById(modal);
+        }
+        
+        if (!modal) return;
+        
+        modal.classList.remove('active');
+        
+        // Check if any other modals are open
+        const openModals = document.querySelectorAll('.modal.active');
+        if (openModals.length === 0) {
+            document.body.classList.remove('modal-open');
+            this.uiState.modalOpen = false;
+        }
+        
+        // Dispatch event
+        window.dispatchEvent(new CustomEvent('nasa-modal-close', {
+            detail: { modalId: modal.id }
+        }));
+    }
+    
+    closeAllModals() {
+        document.querySelectorAll('.modal.active').forEach(modal => {
+            this.closeModal(modal);
+        });
+    }
+    
+    setupModalFocusTrap(modal) {
+        const focusableElements = modal.querySelectorAll(
+            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        );
+        
+        if (focusableElements.length === 0) return;
+        
+        const firstElement = focusableElements[0];
+        const lastElement = focusableElements[focusableElements.length - 1];
+        
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') {
+                if (e.shiftKey) {
+                    if (document.activeElement === firstElement) {
+                        e.preventDefault();
+                        lastElement.focus();
+                    }
+                } else {
+                    if (document.activeElement === lastElement) {
+                        e.preventDefault();
+                        firstElement.focus();
+                    }
+                }
+            }
+        });
+        
+        // Focus first element
+        setTimeout(() => firstElement.focus(), 100);
+    }
+    
+    handleResize() {
+        const width = window.innerWidth;
+        
+        // Update UI based on screen size
+        if (width < 768 && !this.uiState.menuOpen) {
+            // Mobile optimizations
+            document.documentElement.classList.add('mobile-view');
+        } else {
+            document.documentElement.classList.remove('mobile-view');
+        }
+        
+        // Dispatch resize event
+        window.dispatchEvent(new CustomEvent('nasa-resize', {
+            detail: { width, height: window.innerHeight }
+        }));
+    }
+    
+    handleScroll() {
+        const scrollY = window.scrollY;
+        const scrollDirection = this.getScrollDirection();
+        
+        // Update navigation
+        this.updateNavigationOnScroll(scrollY, scrollDirection);
+        
+        // Update progress indicators
+        this.updateScrollProgress(scrollY);
+        
+        // Trigger scroll animations
+        this.triggerScrollAnimations(scrollY);
+    }
+    
+    handleScrollEnd() {
+        // Remove scroll class after scrolling stops
+        document.documentElement.classList.remove('scrolling');
+    }
+    
+    getScrollDirection() {
+        if (!this.lastScrollY) {
+            this.lastScrollY = window.scrollY;
+            return 'down';
+        }
+        
+        const direction = window.scrollY > this.lastScrollY ? 'down' : 'up';
+        this.lastScrollY = window.scrollY;
+        
+        return direction;
+    }
+    
+    updateNavigationOnScroll(scrollY, direction) {
+        const nav = document.querySelector('.nasa-navigation');
+        if (!nav) return;
+        
+        if (scrollY > 100) {
+            if (direction === 'down' && scrollY > this.lastScrollY + 50) {
+                nav.classList.add('hidden');
+            } else if (direction === 'up') {
+                nav.classList.remove('hidden');
+                nav.classList.add('scrolled');
+            }
+        } else {
+            nav.classList.remove('scrolled', 'hidden');
+        }
+    }
+    
+    updateScrollProgress(scrollY) {
+        const docHeight = document.documentElement.scrollHeight - window.innerHeight;
+        const scrollPercent = docHeight > 0 ? (scrollY / docHeight) * 100 : 0;
+        
+        // Update progress bar if exists
+        const progressBar = document.querySelector('.scroll-progress');
+        if (progressBar) {
+            progressBar.style.width = `${scrollPercent}%`;
+        }
+        
+        // Update scroll indicators
+        document.querySelectorAll('[data-scroll-progress]').forEach(element => {
+            element.style.setProperty('--scroll-progress', `${scrollPercent}%`);
+        });
+    }
+    
+    triggerScrollAnimations(scrollY) {
+        // Trigger animations based on scroll position
+        document.querySelectorAll('[data-scroll-trigger]').forEach(element => {
+            const triggerPoint = parseInt(element.dataset.scrollTrigger) || 0;
+            const offset = element.getBoundingClientRect().top + scrollY - window.innerHeight;
+            
+            if (scrollY > offset + triggerPoint) {
+                const animation = element.dataset.scrollAnimation || 'fade-up';
+                this.triggerAnimation(element, animation);
+            }
+        });
+    }
+    
+    triggerAnimation(element, animation) {
+        if (!this.animationsEnabled) return;
+        
+        element.classList.add(`animate-${animation}`);
+        
+        // Remove animation class after completion
+        const duration = parseInt(element.dataset.animationDuration) || 1000;
+        setTimeout(() => {
+            element.classList.remove(`animate-${animation}`);
+        }, duration);
+    }
+    
+    scrollToElement(element, options = {}) {
+        const defaultOptions = {
+            behavior: 'smooth',
+            block: 'start',
+            inline: 'nearest',
+            offset: -80 // Account for fixed header
+        };
+        
+        const finalOptions = { ...defaultOptions, ...options };
+        
+        const targetPosition = element.offsetTop + finalOptions.offset;
+        
+        window.scrollTo({
+            top: targetPosition,
+            behavior: finalOptions.behavior
+        });
+    }
+    
+    showToast(message, type = 'info', duration = 5000, action = null) {
+        const toast = document.createElement('div');
+        toast.className = `nasa-toast toast-${type}`;
+        toast.innerHTML = `
+            <div class="toast-content">
+                <div class="toast-icon">${this.getToastIcon(type)}</div>
+                <div class="toast-message">${message}</div>
+            </div>
+            ${action ? `<button class="toast-action">${action.label}</button>` : ''}
+            <button class="toast-close">×</button>
+        `;
+        
+        const container = document.querySelector('.toast-container') || this.createToastContainer();
+        container.appendChild(toast);
+        
+        // Setup close button
+        toast.querySelector('.toast-close').addEventListener('click', () => {
+            this.removeToast(toast);
+        });
+        
+        if (action) {
+            toast.querySelector('.toast-action').addEventListener('click', () => {
+                this.removeToast(toast);
+                action.onClick();
+            });
+        }
+        
+        // Auto-remove after duration; a duration of 0 keeps the toast until it is dismissed
+        if (duration > 0) {
+            setTimeout(() => {
+                if (toast.parentNode) {
+                    this.removeToast(toast);
+                }
+            }, duration);
+        }
+        
+        return toast;
+    }
+    
+    getToastIcon(type) {
+        const icons = {
+            info: 'ℹ️',
+            success: '✅',
+            warning: '⚠️',
+            error: '❌'
+        };
+        
+        return icons[type] || icons.info;
+    }
+    
+    createToastContainer() {
+        const container = document.createElement('div');
+        container.className = 'toast-container';
+        document.body.appendChild(container);
+        return container;
+    }
+    
+    removeToast(toast) {
+        toast.classList.add('toast-fade-out');
+        setTimeout(() => {
+            if (toast.parentNode) {
+                toast.remove();
+            }
+        }, 300);
+    }
+    
+    enableAnimations() {
+        this.animationsEnabled = true;
+        document.documentElement.classList.remove('reduced-motion');
+    }
+    
+    disableAnimations() {
+        this.animationsEnabled = false;
+        document.documentElement.classList.add('reduced-motion');
+    }
+    
+    destroy() {
+        if (this.intersectionObserver) {
+            this.intersectionObserver.disconnect();
+        }
+        
+        // Remove all event listeners
+        this.cleanupEventListeners();
+    }
+    
+    cleanupEventListeners() {
+        // Implementation depends on how events were attached
+        // In a production app, you'd track and remove specific listeners
+    }
+}
+
+// NASA Main Application Controller
+class NASA_Application {
+    constructor() {
+        this.modules = new Map();
+        this.isInitialized = false;
+        this.startTime = performance.now();
+        
+        // NASA Core Values
+        this.missionStatement = "Enabling cosmic exploration through premium astronomy commerce";
+        this.version = "1.0.0";
+        this.build = "120fps-cinematic";
+        
+        // Initialize core systems
+        this.initCoreSystems();
+    }
+    
+    initCoreSystems() {
+        try {
+            // Initialize performance monitor first
+            this.modules.set('performance', new NASA_PerformanceMonitor());
+            
+            // Initialize animation controller
+            this.modules.set('animations', new NASA_AnimationController());
+            
+            // Initialize UI Manager
+            this.modules.set('ui', new NASA_UIManager());
+            
+            // Initialize Product Manager
+            this.modules.set('products', new NASA_ProductManager());
+            
+            // Initialize Inventory
+            this.modules.set('inventory', new NASA_InventoryManager());
+            
+            // Initialize Promotions
+            this.modules.set('promotions', new NASA_PromotionEngine());
+            
+            // Initialize Pricing
+            this.modules.set('pricing', new NASA_PricingEngine());
+            
+            // Initialize Payments
+            this.modules.set('payments', new NASA_PaymentManager());
+            
+            // Initialize Customer Profile
+            this.modules.set('profile', new NASA_CustomerProfile());
+            
+            // Initialize Mission Control
+            this.modules.set('mission', new NASA_MissionControl());
+            
+            // Initialize Order System
+            this.modules.set('orders', new NASA_OrderSystem());
+            
+            // Setup global error handling
+            this.initErrorHandling();
+            
+            // Setup analytics
+            this.initAnalytics();
+            
+            // Start performance monitoring
+            this.modules.get('performance').startMonitoring();
+            
+            this.isInitialized = true;
+            console.log(`🚀 NASA Application v${this.version} initialized in ${(performance.now() - this.startTime).toFixed(2)}ms`);
+            
+            // Dispatch initialization complete event
+            window.dispatchEvent(new Event('nasa-init-complete'));
+            
+        } catch (error) {
+            console.error('NASA Application failed to initialize:', error);
+            this.handleInitError(error);
+        }
+    }
+    
+    initErrorHandling() {
+        // Global error handler
+        window.addEventListener('error', (event) => {
+            this.handleError(event.error || event);
+        });
+        
+        // Unhandled promise rejections
+        window.addEventListener('unhandledrejection', (event) => {
+            this.handleError(event.reason);
+        });
+        
+        // NASA-specific error boundary
+        this.setupErrorBoundary();
+    }
+    
+    setupErrorBoundary() {
+        // Wrap critical functions with error handling
+        const originalSetTimeout = window.setTimeout;
+        window.setTimeout = (callback, delay, ...args) => {
+            return originalSetTimeout(() => {
+                try {
+                    callback(...args);
+                } catch (error) {
+                    this.handleError(error);
+                }
+            }, delay);
+        };
+        
+        // Similar for setInterval and requestAnimationFrame
+        const originalRAF = window.requestAnimationFrame;
+        window.requestAnimationFrame = (callback) => {
+            return originalRAF((timestamp) => {
+                try {
+                    callback(timestamp);
+                } catch (error) {
+                    this.handleError(error);
+                }
+            });
+        };
+    }
+    
+    handleError(error) {
+        const errorData = {
+            timestamp: new Date().toISOString(),
+            message: error.message,
+            stack: error.stack,
+            url: window.location.href,
+            userAgent: navigator.userAgent
+        };
+        
+        console.error('NASA Error:', errorData);
+        
+        // Send to error tracking service if available
+        if (window.nasaAnalytics) {
+            window.nasaAnalytics.track('error', errorData);
+        }
+        
+        // Show user-friendly error message for critical errors
+        if (this.isCriticalError(error)) {
+            this.showErrorFallback();
+        }
+        
+        return false; // Don't prevent default error handling
+    }
+    
+    isCriticalError(error) {
+        const criticalErrors = [
+            'TypeError',
+            'ReferenceError',
+            'RangeError',
+            'SyntaxError'
+        ];
+        
+        return criticalErrors.some(errorType => error.name === errorType);
+    }
+    
+    showErrorFallback() {
+        // Create error overlay
+        const errorOverlay = document.createElement('div');
+        errorOverlay.className = 'nasa-error-overlay';
+        errorOverlay.innerHTML = `
+            <div class="error-content">
+                <div class="error-icon">🚨</div>
+                <h3>Mission Control Error</h3>
+                <p>We've encountered a cosmic anomaly. Our engineers are working on it.</p>
+                <button class="error-retry" onclick="location.reload()">Retry Mission</button>
+                <button class="error-continue" onclick="this.parentElement.parentElement.remove()">Continue Anyway</button>
+            </div>
+        `;
+        
+        document.body.appendChild(errorOverlay);
+    }
+    
+    handleInitError(error) {
+        console.error('NASA Init Error:', error);
+        
+        // Attempt graceful degradation
+        this.enableDegradedMode();
+        
+        // Show initialization error
+        this.showToast('Application initialized with reduced capabilities', 'warning');
+    }
+    
+    enableDegradedMode() {
+        document.documentElement.classList.add('degraded-mode');
+        
+        // Disable heavy animations
+        if (this.modules.has('animations')) {
+            this.modules.get('animations').pauseAllAnimations();
+        }
+        
+        // Disable non-essential features
+        const performance = this.modules.get('performance');
+        if (performance) {
+            performance.triggerOptimization('high');
+        }
+    }
+    
+    initAnalytics() {
+        // Initialize NASA Analytics if available
+        if (typeof NASA_Analytics !== 'undefined') {
+            this.modules.set('analytics', new NASA_Analytics());
+        } else {
+            // Basic analytics fallback
+            this.setupBasicAnalytics();
+        }
+    }
+    
+    setupBasicAnalytics() {
+        const analytics = {
+            pageViews: 0,
+            events: [],
+            startTime: Date.now(),
+            
+            track: function(event, data) {
+                this.events.push({
+                    event,
+                    data,
+                    timestamp: new Date().toISOString()
+                });
+                
+                // Keep only last 100 events
+                if (this.events.length > 100) {
+                    this.events.shift();
+                }
+                
+                console.log(`NASA Analytics: ${event}`, data);
+            },
+            
+            trackPageView: function() {
+                this.pageViews++;
+                this.track('page_view', {
+                    url: window.location.href,
+                    title: document.title
+                });
+            },
+            
+            getSessionDuration: function() {
+                return Date.now() - this.startTime;
+            }
+        };
+        
+        window.nasaAnalytics = analytics;
+        analytics.trackPageView();
+    }
+    
+    showToast(message, type = 'info') {
+        if (this.modules.has('ui')) {
+            this.modules.get('ui').showToast(message, type);
+        } else {
+            alert(message); // Fallback
+        }
+    }
+    
+    getModule(moduleName) {
+        return this.modules.get(moduleName);
+    }
+    
+    async executeMission(missionName, ...args) {
+        if (!this.isInitialized) {
+            throw new Error('NASA Application not initialized');
+        }
+        
+        try {
             console.log(`🚀 Executing mission: ${missionName}`);
             
-            // Mission-specific logic
-            switch (missionName) {
-                case 'launch-sequence':
-                    return await this.executeLaunchSequence(...args);
-                case 'product-exploration':
-                    return await this.executeProductExploration(...args);
-                case 'order-transmission':
-                    return await this.executeOrderTransmission(...args);
-                case 'system-diagnostic':
-                    return await this.executeSystemDiagnostic();
-                default:
-                    throw new Error(`Unknown mission: ${missionName}`);
+            // Mission-specific logic
+            switch (missionName) {
+                case 'launch-sequence':
+                    return await this.executeLaunchSequence(...args);
+                case 'product-exploration':
+                    return await this.executeProductExploration(...args);
+                case 'order-transmission':
+                    return await this.executeOrderTransmission(...args);
+                case 'system-diagnostic':
+                    return await this.executeSystemDiagnostic();
+                default:
+                    throw new Error(`Unknown mission: ${missionName}`);
+            }
+        } catch (error) {
+            this.handleError(error);
+            throw error;
+        }
+    }
+    
+    async executeLaunchSequence() {
+        // Simulate launch sequence
+        const steps = [
+            'Initializing systems...',
+            'Loading product database...',
+            'Establishing mission control...',
+            'Calibrating animations...',
+            'Ready for exploration!'
+        ];
+        
+        for (const step of steps) {
+            this.showToast(step, 'info');
+            await this.delay(1000);
+        }
+        
+        return { status: 'success', message: 'Launch sequence complete' };
+    }
+    
+    async executeProductExploration(productId) {
+        const productManager = this.getModule('products');
+        if (!productManager) throw new Error('Product manager not available');
+        
+        const product = productManager.getProductById(productId);
+        if (!product) throw new Error('Product not found');
+        
+        // Open product modal
+        if (this.modules.has('ui')) {
+            this.modules.get('ui').openModal('product-modal');
+        }
+        
+        return { product, status: 'exploring' };
+    }
+    
+    async executeOrderTransmission(orderData) {
+        const orderSystem = this.getModule('orders');
+        if (!orderSystem) throw new Error('Order system not available');
+        
+        // Create and send order
+        const order = orderSystem.createOrder(
+            orderData.product,
+            orderData.customer,
+            orderData.options
+        );
+        
+        if (!order) throw new Error('Order could not be created');
+        
+        const transmission = await orderSystem.transmitOrder(order);
+        
+        return { order, status: transmission.status === 'failed' ? 'failed' : 'transmitted', transmission };
+    }
+    
+    async executeSystemDiagnostic() {
+        const diagnostic = {
+            performance: this.getModule('performance')?.getPerformanceReport(),
+            products: {
+                total: this.getModule('products')?.products.length || 0,
+                filtered: this.getModule('products')?.filteredProducts.length || 0
+            },
+            mission: this.getModule('mission')?.currentMission,
+            ui: {
+                theme: this.getModule('ui')?.currentTheme,
+                animations: this.getModule('ui')?.animationsEnabled
+            },
+            session: {
+                duration: Date.now() - this.startTime,
+                pageViews: window.nasaAnalytics?.pageViews || 0
+            }
+        };
+        
+        console.log('NASA System Diagnostic:', diagnostic);
+        return diagnostic;
+    }
+    
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+    
+    async emergencyShutdown() {
+        console.warn('🚨 NASA Emergency Shutdown Initiated');
+        
+        // Save critical data
+        await this.saveCriticalData();
+        
+        // Gracefully shutdown modules
+        for (const [name, module] of this.modules) {
+            if (module.destroy) {
+                try {
+                    module.destroy();
+                } catch (error) {
+                    console.error(`Failed to destroy module ${name}:`, error);
+                }
+            }
+        }
+        
+        // Clear all timeouts and intervals
+        this.clearAllTimers();
+        
+        // Show shutdown message
+        this.showToast('System shutdown complete', 'warning');
+        
+        return { status: 'shutdown', timestamp: new Date().toISOString() };
+    }
+    
+    async saveCriticalData() {
+        try {
+            // Save cart and favorites
+            const productManager = this.getModule('products');
+            if (productManager) {
+                productManager.saveCart();
+                productManager.saveFavorites();
+            }
+            
+            // Save order history
+            const orderSystem = this.getModule('orders');
+            if (orderSystem) {
+                // Already saved in localStorage
+            }
+            
+            // Save UI preferences
+            const uiManager = this.getModule('ui');
+            if (uiManager) {
+                localStorage.setItem('nasa_theme', uiManager.currentTheme);
             }
         } catch (error) {
-            this.handleError(error);
-            throw error;
+            console.error('Failed to save critical data:', error);
+        }
+    }
+    
+    clearAllTimers() {
+        // Get the highest timeout/interval IDs
+        let id = setTimeout(() => {}, 0);
+        while (id--) {
+            clearTimeout(id);
+            clearInterval(id);
+        }
+    }
+    
+    getStatus() {
+        return {
+            initialized: this.isInitialized,
+            modules: Array.from(this.modules.keys()),
+            version: this.version,
+            build: this.build,
+            uptime: performance.now() - this.startTime
+        };
+    }
+}
+
+// NASA Global Initialization
+(function() {
+    'use strict';
+    
+    // Used when the order system itself failed to start
+    const MISSION_CONTROL_NUMBER = '+919957811508';
+    
+    // Wait for DOM to be fully loaded
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initNASAApplication);
+    } else {
+        initNASAApplication();
+    }
+    
+    async function initNASAApplication() {
+        try {
+            // Show loading sequence
+            await showNASALoadingSequence();
+            
+            // Initialize main application
+            window.NASA = new NASA_Application();
+            
+            // Make core modules globally accessible for debugging
+            window.nasaPerformance = window.NASA.getModule('performance');
+            window.nasaAnimations = window.NASA.getModule('animations');
+            window.nasaUI = window.NASA.getModule('ui');
+            window.nasaProductManager = window.NASA.getModule('products');
+            window.nasaInventory = window.NASA.getModule('inventory');
+            window.nasaPromotions = window.NASA.getModule('promotions');
+            window.nasaPricing = window.NASA.getModule('pricing');
+            window.nasaPayments = window.NASA.getModule('payments');
+            window.nasaProfile = window.NASA.getModule('profile');
+            window.nasaMissionControl = window.NASA.getModule('mission');
+            window.nasaOrders = window.NASA.getModule('orders');
+            
+            // Hide loading screen
+            hideLoadingScreen();
+            
+            // Start mission sequences
+            startMissionSequences();
+            
+            // Log initialization
+            console.log('🚀 NASA Astronomy Commerce Platform Ready');
+            console.log('📡 WhatsApp: +91 9957811508');
+            console.log('🌌 Mission: Bringing the cosmos to your doorstep');
+            
+        } catch (error) {
+            console.error('Failed to initialize NASA Application:', error);
+            showEmergencyFallback();
+        }
+    }
+    
+    async function showNASALoadingSequence() {
+        const loadingScreen = document.getElementById('nasa-loader');
+        if (!loadingScreen) return;
+        
+        // Show loading screen
+        loadingScreen.classList.remove('hidden');
+        
+        // Animate progress bar
+        const progressBar = loadingScreen.querySelector('.progress-fill');
+        if (progressBar) {
+            let progress = 0;
+            const interval = setInterval(() => {
+                progress += 2;
+                progressBar.style.width = `${progress}%`;
+                progressBar.dataset.progress = progress;
+                
+                if (progress >= 100) {
+                    clearInterval(interval);
+                }
+            }, 50);
+        }
+        
+        // Animate countdown
+        const countdownElement = loadingScreen.querySelector('.countdown');
+        if (countdownElement) {
+            let count = 10;
+            const countdownInterval = setInterval(() => {
+                countdownElement.textContent = count;
+                count--;
+                
+                if (count < 0) {
+                    clearInterval(countdownInterval);
+                }
+            }, 100);
+        }
+        
+        // Animate sequence items
+        const sequenceItems = loadingScreen.querySelectorAll('.sequence-item');
+        sequenceItems.forEach((item, index) => {
+            setTimeout(() => {
+                item.style.opacity = '1';
+                item.style.transform = 'translateY(0)';
+            }, index * 800);
+        });
+        
+        // Wait for minimum loading time
+        await new Promise(resolve => setTimeout(resolve, 4000));
+    }
+    
+    function hideLoadingScreen() {
+        const loadingScreen = document.getElementById('nasa-loader');
+        if (loadingScreen) {
+            loadingScreen.classList.add('fade-out');
+            
+            setTimeout(() => {
+                loadingScreen.style.display = 'none';
+            }, 1000);
+        }
+    }
+    
+    function startMissionSequences() {
+        // Start mission control updates
+        if (window.nasaMissionControl) {
+            window.nasaMissionControl.addLiveFeedUpdate('System initialization complete');
+            window.nasaMissionControl.addLiveFeedUpdate('Mission control online');
+            window.nasaMissionControl.addLiveFeedUpdate('Ready for cosmic exploration');
+        }
+        
+        // Start particle animations
+        startParticleSystem();
+        
+        // Start scroll animations
+        startScrollAnimations();
+        
+        // Initialize product grid
+        initializeProductGrid();
+        
+        // Initialize filter facets
+        initializeFacets();
+        
+        // Initialize search and typeahead
+        initializeSearch();
+        
+        // Apply store settings from the catalog feed
+        initializeStoreSettings();
+        
+        // Finish the order form now that pricing and payments are reachable
+        initializeOrderForm();
+        
+        // Initialize cargo bay checkout
+        initializeCartCheckout();
+        
+        // Keep stock badges and reservations in view
+        initializeInventoryWatch();
+        
+        // Resume orders queued while offline
+        initializeOrderOutbox();
+        
+        // My Missions order history
+        initializeOrderHistory();
+        
+        // Returns and exchanges for delivered orders
+        initializeReturns();
+    }
+    
+    function startParticleSystem() {
+        // Create particle system if not exists
+        if (!document.querySelector('.particle-system')) {
+            const particleSystem = document.createElement('div');
+            particleSystem.className = 'particle-system';
+            document.body.appendChild(particleSystem);
+            
+            // Generate particles
+            for (let i = 0; i < 50; i++) {
+                const particle = document.createElement('div');
+                particle.className = 'particle';
+                particle.dataset.speed = (Math.random() * 0.5 + 0.1).toFixed(2);
+                particle.dataset.x = (Math.random() * 100 - 50);
+                particle.dataset.y = (Math.random() * 100 - 50);
+                
+                particleSystem.appendChild(particle);
+            }
+        }
+    }
+    
+    function startScrollAnimations() {
+        // Initialize scroll-triggered animations
+        if (window.nasaUI) {
+            window.nasaUI.initScrollAnimations();
         }
     }
     
-    async executeLaunchSequence() {
-        // Simulate launch sequence
-        const steps = [
-            'Initializing systems...',
-            'Loading product database...',
-            'Establishing mission control...',
-            'Calibrating animations...',
-            'Ready for exploration!'
-        ];
+    function initializeProductGrid() {
+        const productsGrid = document.getElementById('products-grid');
+        if (!window.nasaProductManager || !productsGrid) return;
         
-        for (const step of steps) {
-            this.showToast(step, 'info');
-            await this.delay(1000);
-        }
+        // Card buttons are delegated so appended pages need no extra wiring
+        productsGrid.addEventListener('click', (e) => {
+            const orderButton = e.target.closest('[data-order]');
+            const cargoButton = e.target.closest('[data-cargo]');
+            const detailsButton = e.target.closest('[data-details]');
+            
+            if (orderButton) openOrderModal(orderButton.dataset.order);
+            if (cargoButton) addProductToCart(cargoButton.dataset.cargo);
+            if (detailsButton) openProductDetails(detailsButton.dataset.details);
+        });
         
-        return { status: 'success', message: 'Launch sequence complete' };
+        window.nasaGridRenderer = new NASA_ProductGridRenderer(window.nasaProductManager, {
+            grid: productsGrid,
+            controls: document.querySelector('.grid-controls'),
+            ui: window.nasaUI,
+            renderCard: renderProductCard,
+            renderEmpty: renderEmptyGrid,
+            onRender: updateStockBadges
+        });
+        
+        updateCatalogStatus();
+        
+        // The catalog feed may arrive after the loading sequence
+        window.nasaProductManager.subscribe((event) => {
+            if (event === 'catalog-loaded' || event === 'catalog-error' || event === 'products-filtered') {
+                updateCatalogStatus();
+            }
+        });
     }
     
-    async executeProductExploration(productId) {
-        const productManager = this.getModule('products');
-        if (!productManager) throw new Error('Product manager not available');
+    function initializeFacets() {
+        const productManager = window.nasaProductManager;
+        const filterSystem = document.querySelector('.product-filter-system');
+        if (!productManager || !filterSystem) return;
         
-        const product = productManager.getProductById(productId);
-        if (!product) throw new Error('Product not found');
+        const panel = document.createElement('div');
+        panel.className = 'facet-panel';
+        panel.setAttribute('aria-label', 'Product filters');
+        filterSystem.querySelector('.filter-controls')?.after(panel);
         
-        // Open product modal
-        if (this.modules.has('ui')) {
-            this.modules.get('ui').openModal('product-modal');
-        }
+        // Quick filter buttons select a single category
+        document.querySelectorAll('.filter-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                productManager.filterProducts(button.dataset.filter);
+            });
+        });
         
-        return { product, status: 'exploring' };
-    }
-    
-    async executeOrderTransmission(orderData) {
-        const orderSystem = this.getModule('orders');
-        if (!orderSystem) throw new Error('Order system not available');
+        panel.addEventListener('change', (e) => {
+            const input = e.target;
+            
+            if (input.matches('.facet-sort')) {
+                productManager.sortProducts(input.value);
+            } else if (input.dataset.facet) {
+                productManager.toggleFacet(input.dataset.facet, input.value);
+            }
+        });
         
-        // Create and send order
-        const order = orderSystem.createOrder(
-            orderData.product,
-            orderData.customer,
-            orderData.options
-        );
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.facet-clear')) {
+                productManager.resetQuery();
+            }
+        });
         
-        orderSystem.sendOrderViaWhatsApp(order);
+        productManager.subscribe((event) => {
+            if (event === 'products-filtered' || event === 'facets-updated' || event === 'catalog-loaded') {
+                renderFacetPanel(panel);
+                syncFilterButtons();
+            }
+        });
+        
+        if (window.nasaInventory) {
+            window.nasaInventory.subscribe((event) => {
+                if (event === 'stock-updated') {
+                    productManager.refreshFacets();
+                }
+            });
+        }
         
-        return { order, status: 'transmitted' };
+        renderFacetPanel(panel);
     }
     
-    async executeSystemDiagnostic() {
-        const diagnostic = {
-            performance: this.getModule('performance')?.getPerformanceReport(),
-            products: {
-                total: this.getModule('products')?.products.length || 0,
-                filtered: this.getModule('products')?.filteredProducts.length || 0
-            },
-            mission: this.getModule('mission')?.currentMission,
-            ui: {
-                theme: this.getModule('ui')?.currentTheme,
-                animations: this.getModule('ui')?.animationsEnabled
-            },
-            session: {
-                duration: Date.now() - this.startTime,
-                pageViews: window.nasaAnalytics?.pageViews || 0
-            }
+    function renderFacetPanel(panel) {
+        const productManager = window.nasaProductManager;
+        const facets = productManager.getFacets();
+        if (!facets) return;
+        
+        const escape = NASA_SearchIndex.escapeHTML;
+        const renderGroup = (facet, title, options) => {
+            if (options.length === 0) return '';
+            
+            return `
+                <fieldset class="facet-group" data-facet-group="${facet}">
+                    <legend class="facet-title">${title}</legend>
+                    ${options.map(option => `
+                        <label class="facet-option ${option.count === 0 && !option.selected ? 'empty' : ''}">
+                            <input type="checkbox" data-facet="${facet}" value="${escape(option.value)}"
+                                ${option.selected ? 'checked' : ''} ${option.count === 0 && !option.selected ? 'disabled' : ''}>
+                            <span class="facet-label">${escape(option.label)}</span>
+                            <span class="facet-count">${option.count}</span>
+                        </label>
+                    `).join('')}
+                </fieldset>
+            `;
         };
         
-        console.log('NASA System Diagnostic:', diagnostic);
-        return diagnostic;
+        const renderToggle = (facet, label, state) => `
+            <label class="facet-option facet-toggle">
+                <input type="checkbox" data-facet="${facet}" ${state.selected ? 'checked' : ''}>
+                <span class="facet-label">${label}</span>
+                <span class="facet-count">${state.count}</span>
+            </label>
+        `;
+        
+        const sortOptions = [
+            ['featured', 'Featured'],
+            ['relevance', 'Best match'],
+            ['price-low', 'Price: low to high'],
+            ['price-high', 'Price: high to low'],
+            ['newest', 'Newest']
+        ];
+        
+        panel.innerHTML = `
+            ${renderGroup('categories', 'Category', facets.categories.map(option => ({ ...option, label: option.label.toUpperCase() })))}
+            ${renderGroup('missions', 'Mission', facets.missions.map(option => ({ ...option, label: option.label.toUpperCase() })))}
+            ${renderGroup('priceRanges', 'Price', facets.priceRanges)}
+            ${renderGroup('tags', 'Tags', facets.tags)}
+            <fieldset class="facet-group">
+                <legend class="facet-title">Availability</legend>
+                ${renderToggle('inStockOnly', 'In stock only', facets.inStockOnly)}
+                ${renderToggle('featuredOnly', 'Featured only', facets.featuredOnly)}
+            </fieldset>
+            <div class="facet-actions">
+                <select class="facet-sort" aria-label="Sort products">
+                    ${sortOptions.map(([value, label]) => `
+                        <option value="${value}" ${productManager.sortBy === value ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+                ${productManager.hasActiveFilters() ? '<button class="facet-clear" type="button">Clear filters</button>' : ''}
+            </div>
+        `;
     }
     
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    function syncFilterButtons() {
+        const categories = window.nasaProductManager.query.categories;
+        
+        document.querySelectorAll('.filter-btn').forEach(button => {
+            const filter = button.dataset.filter;
+            const active = filter === 'all'
+                ? categories.length === 0
+                : categories.length === 1 && categories[0] === filter;
+            
+            button.classList.toggle('active', active);
+        });
     }
-    
-    async emergencyShutdown() {
-        console.warn('🚨 NASA Emergency Shutdown Initiated');
+    function updateCatalogStatus() {
+        const productManager = window.nasaProductManager;
+        const statusText = document.querySelector('.filter-status .status-text');
+        const statusIndicator = document.querySelector('.filter-status .status-indicator');
+        const productCount = document.querySelector('[data-parameter="products"] .parameter-value');
         
-        // Save critical data
-        await this.saveCriticalData();
+        const total = productManager.products.length;
+        const categories = new Set(productManager.products.map(product => product.category)).size;
+        const errors = productManager.getCatalogErrors().length;
         
-        // Gracefully shutdown modules
-        for (const [name, module] of this.modules) {
-            if (module.destroy) {
-                try {
-                    module.destroy();
-                } catch (error) {
-                    console.error(`Failed to destroy module ${name}:`, error);
-                }
-            }
+        if (productCount) {
+            productCount.textContent = total;
         }
         
-        // Clear all timeouts and intervals
-        this.clearAllTimers();
+        if (statusText) {
+            const narrowed = productManager.searchQuery || productManager.hasActiveFilters();
+            const active = narrowed
+                ? `${productManager.filteredProducts.length} OF ${total} PRODUCTS SHOWN`
+                : `${total} PRODUCTS ACTIVE`;
+            
+            statusText.textContent = total === 0
+                ? 'CATALOG OFFLINE • RETRYING ON NEXT VISIT'
+                : `${active} • ${categories} CATEGORIES • ${errors > 0 ? `${errors} FEED ERRORS` : 'SYSTEMS NOMINAL'}`;
+        }
         
-        // Show shutdown message
-        this.showToast('System shutdown complete', 'warning');
+        if (statusIndicator) {
+            statusIndicator.dataset.status = total === 0 ? 'critical' : (errors > 0 ? 'caution' : 'nominal');
+        }
+    }
+    
+    function renderEmptyGrid(productManager) {
+        if (productManager.products.length === 0) return '';
         
-        return { status: 'shutdown', timestamp: new Date().toISOString() };
+        const query = productManager.searchQuery;
+        return `
+            <div class="products-empty">
+                ${query ? `No equipment matches "${NASA_SearchIndex.escapeHTML(query)}"` : 'No equipment matches the selected filters'}
+                ${productManager.hasActiveFilters() ? '<button class="facet-clear" type="button">Clear filters</button>' : ''}
+            </div>
+        `;
     }
     
-    async saveCriticalData() {
-        try {
-            // Save cart and favorites
-            const productManager = this.getModule('products');
-            if (productManager) {
-                productManager.saveCart();
-                productManager.saveFavorites();
-            }
+    function renderProductCard(product) {
+        return `
+            <div class="product-card" data-product="${product.id}">
+                <div class="product-image">
+                    <img src="${product.image}" alt="${product.name}" loading="lazy">
+                    ${product.featured ? '<span class="product-badge">Featured</span>' : ''}
+                    <span class="stock-badge"></span>
+                </div>
+                <div class="product-content">
+                    <h3 class="product-title">${highlightField(product, 'name')}</h3>
+                    <p class="product-description">${highlightField(product, 'description')}</p>
+                    <div class="product-meta">
+                        <div class="product-price">${formatCurrency(product.price)}</div>
+                        <div class="product-mission" data-mission="${product.mission}">
+                            ${product.mission?.toUpperCase()}
+                        </div>
+                    </div>
+                    <div class="product-actions">
+                        <button class="btn-whatsapp" data-order="${product.id}">
+                            <i class="fab fa-whatsapp"></i> Order Now
+                        </button>
+                        <button class="btn-cargo" data-cargo="${product.id}">
+                            Add to Cargo
+                        </button>
+                        <button class="btn-details" data-details="${product.id}">
+                            Details
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+    
+    function highlightField(product, field) {
+        const productManager = window.nasaProductManager;
+        const match = productManager.getSearchMatch(product.id);
+        
+        return productManager.searchIndex.highlight(product[field], match?.matches[field]);
+    }
+    
+    function initializeSearch() {
+        const productManager = window.nasaProductManager;
+        const input = document.querySelector('.search-input');
+        if (!input || !productManager) return;
+        
+        // The search container clips overflow, so the dropdown hangs off its wrapper
+        const container = input.closest('.nasa-search') || input.parentElement;
+        const dropdown = document.createElement('ul');
+        dropdown.className = 'search-suggestions';
+        dropdown.setAttribute('role', 'listbox');
+        dropdown.id = 'search-suggestions';
+        container.appendChild(dropdown);
+        
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', dropdown.id);
+        input.setAttribute('aria-expanded', 'false');
+        
+        let suggestions = [];
+        let activeIndex = -1;
+        
+        const closeSuggestions = () => {
+            dropdown.innerHTML = '';
+            dropdown.classList.remove('open');
+            input.setAttribute('aria-expanded', 'false');
+            suggestions = [];
+            activeIndex = -1;
+        };
+        
+        const renderSuggestions = () => {
+            suggestions = productManager.getSearchSuggestions(input.value);
+            activeIndex = -1;
             
-            // Save order history
-            const orderSystem = this.getModule('orders');
-            if (orderSystem) {
-                // Already saved in localStorage
+            if (suggestions.length === 0) {
+                closeSuggestions();
+                return;
             }
             
-            // Save UI preferences
-            const uiManager = this.getModule('ui');
-            if (uiManager) {
-                localStorage.setItem('nasa_theme', uiManager.currentTheme);
+            dropdown.innerHTML = suggestions.map((suggestion, index) => `
+                <li class="search-suggestion suggestion-${suggestion.type}" role="option" data-index="${index}" id="search-suggestion-${index}">
+                    <span class="suggestion-icon">${suggestion.type === 'product' ? '🔭' : '🔎'}</span>
+                    <span class="suggestion-label">${suggestion.type === 'product'
+                        ? productManager.searchIndex.highlight(suggestion.label, suggestion.matches.name)
+                        : NASA_SearchIndex.escapeHTML(suggestion.label)}</span>
+                </li>
+            `).join('');
+            
+            dropdown.classList.add('open');
+            input.setAttribute('aria-expanded', 'true');
+        };
+        
+        const setActive = (index) => {
+            const items = dropdown.querySelectorAll('.search-suggestion');
+            if (items.length === 0) return;
+            
+            activeIndex = (index + items.length) % items.length;
+            items.forEach((item, itemIndex) => item.classList.toggle('active', itemIndex === activeIndex));
+            input.setAttribute('aria-activedescendant', items[activeIndex].id);
+        };
+        
+        const runSearch = (query) => {
+            productManager.searchProducts(query);
+            closeSuggestions();
+        };
+        
+        const selectSuggestion = (index) => {
+            const suggestion = suggestions[index];
+            if (!suggestion) return;
+            
+            if (suggestion.type === 'product') {
+                closeSuggestions();
+                openProductDetails(suggestion.id);
+            } else {
+                input.value = suggestion.label;
+                runSearch(suggestion.label);
             }
-        } catch (error) {
-            console.error('Failed to save critical data:', error);
-        }
+        };
+        
+        const debouncedSearch = window.NASA_Utils.debounce(() => {
+            productManager.searchProducts(input.value);
+            renderSuggestions();
+        }, 150);
+        
+        input.addEventListener('input', debouncedSearch);
+        
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                setActive(activeIndex + 1);
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                setActive(activeIndex - 1);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                if (activeIndex >= 0) {
+                    selectSuggestion(activeIndex);
+                } else {
+                    runSearch(input.value);
+                    scrollToProducts();
+                }
+            } else if (e.key === 'Escape') {
+                closeSuggestions();
+            }
+        });
+        
+        dropdown.addEventListener('mousedown', (e) => {
+            // mousedown fires before the input blurs
+            const item = e.target.closest('.search-suggestion');
+            if (item) {
+                e.preventDefault();
+                selectSuggestion(parseInt(item.dataset.index));
+            }
+        });
+        
+        input.addEventListener('blur', () => setTimeout(closeSuggestions, 150));
+        
+        container.querySelector('.search-btn')?.addEventListener('click', () => {
+            runSearch(input.value);
+            scrollToProducts();
+        });
     }
     
-    clearAllTimers() {
-        // Get the highest timeout/interval IDs
-        let id = setTimeout(() => {}, 0);
-        while (id--) {
-            clearTimeout(id);
-            clearInterval(id);
+    function scrollToProducts() {
+        const section = document.getElementById('products');
+        if (section && window.nasaUI) {
+            window.nasaUI.scrollToElement(section);
         }
     }
     
-    getStatus() {
-        return {
-            initialized: this.isInitialized,
-            modules: Array.from(this.modules.keys()),
-            version: this.version,
-            build: this.build,
-            uptime: performance.now() - this.startTime
-        };
+    function updateStockBadges() {
+        if (!window.nasaInventory || !window.nasaProductManager) return;
+        
+        document.querySelectorAll('#products-grid .product-card').forEach(card => {
+            const product = window.nasaProductManager.getProductById(card.dataset.product);
+            if (!product) return;
+            
+            const stock = window.nasaInventory.getProductStockState(product);
+            // Pre-orders say when they ship unless they have already sold out
+            const releaseDate = stock.status !== 'out-of-stock' && window.nasaProductManager.isPreorder(product)
+                ? window.nasaProductManager.getReleaseDate(product)
+                : null;
+            const badge = card.querySelector('.stock-badge');
+            if (badge) {
+                badge.textContent = releaseDate
+                    ? `Pre-order · ships after ${window.nasaPricing?.formatDateKey(releaseDate) || releaseDate}`
+                    : stock.status === 'in-stock' ? '' : stock.label;
+                badge.dataset.status = releaseDate ? 'preorder' : stock.status;
+            }
+            
+            card.classList.toggle('out-of-stock', stock.status === 'out-of-stock');
+            card.querySelectorAll('.btn-whatsapp, .btn-cargo').forEach(btn => {
+                btn.disabled = stock.status === 'out-of-stock';
+            });
+        });
     }
-}
-
-// NASA Global Initialization
-(function() {
-    'use strict';
     
-    // Wait for DOM to be fully loaded
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initNASAApplication);
-    } else {
-        initNASAApplication();
+    function initializeInventoryWatch() {
+        if (!window.nasaInventory) return;
+        
+        window.nasaInventory.subscribe((event, detail) => {
+            if (event === 'stock-updated') {
+                updateStockBadges();
+                
+                if (window.nasaOrders) {
+                    window.nasaOrders.updateOrderSummary();
+                }
+            }
+            
+            if (event === 'reservation-expired' && window.nasaUI && window.nasaProductManager) {
+                const names = detail.reservations
+                    .map(reservation => window.nasaProductManager.getProductById(reservation.productId)?.name)
+                    .filter(Boolean);
+                
+                window.nasaUI.showToast(`Stock hold expired for ${names.join(', ')}. Availability will be rechecked at checkout.`, 'warning');
+            }
+        });
     }
     
-    async function initNASAApplication() {
-        try {
-            // Show loading sequence
-            await showNASALoadingSequence();
-            
-            // Initialize main application
-            window.NASA = new NASA_Application();
-            
-            // Make core modules globally accessible for debugging
-            window.nasaPerformance = window.NASA.getModule('performance');
-            window.nasaAnimations = window.NASA.getModule('animations');
-            window.nasaUI = window.NASA.getModule('ui');
-            window.nasaProductManager = window.NASA.getModule('products');
-            window.nasaMissionControl = window.NASA.getModule('mission');
-            window.nasaOrders = window.NASA.getModule('orders');
+    function initializeOrderOutbox() {
+        const orders = window.nasaOrders;
+        if (!orders) return;
+        
+        const banner = document.createElement('div');
+        banner.className = 'outbox-status';
+        banner.setAttribute('role', 'status');
+        banner.hidden = true;
+        
+        const label = document.createElement('span');
+        label.className = 'outbox-label';
+        
+        // Retrying from a tap lets link channels open a window the browser would otherwise block
+        const sendButton = document.createElement('button');
+        sendButton.className = 'outbox-send';
+        sendButton.type = 'button';
+        sendButton.textContent = 'SEND NOW';
+        sendButton.addEventListener('click', () => orders.outbox.flush({ manual: true }));
+        
+        banner.appendChild(label);
+        banner.appendChild(sendButton);
+        document.body.appendChild(banner);
+        
+        const updateBanner = () => {
+            const count = orders.outbox.getEntries().length;
+            const online = orders.outbox.isOnline();
             
-            // Hide loading screen
-            hideLoadingScreen();
+            banner.hidden = count === 0;
+            banner.classList.toggle('offline', !online);
+            label.textContent = `${count} ORDER${count === 1 ? '' : 'S'} AWAITING TRANSMISSION${online ? '' : ' · OFFLINE'}`;
+            sendButton.hidden = !online;
+        };
+        
+        orders.outbox.subscribe(updateBanner);
+        window.addEventListener('online', updateBanner);
+        window.addEventListener('offline', updateBanner);
+        
+        orders.startOutbox().then(updateBanner);
+    }
+    
+    function initializeOrderHistory() {
+        const orders = window.nasaOrders;
+        const modal = document.getElementById('order-history');
+        if (!orders || !modal) return;
+        
+        const statusSelect = modal.querySelector('[name="history-status"]');
+        if (statusSelect) {
+            Object.entries(orders.statusConfig).forEach(([status, config]) => {
+                const option = document.createElement('option');
+                option.value = status;
+                option.textContent = config.text.toUpperCase();
+                statusSelect.appendChild(option);
+            });
+        }
+        
+        document.querySelectorAll('.history-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                renderOrderHistory();
+                window.nasaUI?.openModal('order-history');
+            });
+        });
+        
+        modal.querySelector('.modal-close')?.addEventListener('click', () => {
+            window.nasaUI?.closeModal(modal);
+        });
+        
+        ['history-query', 'history-status', 'history-from', 'history-to'].forEach(name => {
+            modal.querySelector(`[name="${name}"]`)?.addEventListener('input', renderOrderHistory);
+        });
+        
+        modal.querySelector('.history-list')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="reorder"]');
+            if (button) reorderFromHistory(button.closest('[data-order-id]').dataset.orderId);
             
-            // Start mission sequences
-            startMissionSequences();
+            const cancelButton = e.target.closest('[data-action="cancel"]');
+            if (cancelButton) cancelFromHistory(cancelButton.closest('[data-order-id]').dataset.orderId);
             
-            // Log initialization
-            console.log('🚀 NASA Astronomy Commerce Platform Ready');
-            console.log('📡 WhatsApp: +91 9957811508');
-            console.log('🌌 Mission: Bringing the cosmos to your doorstep');
+            const returnButton = e.target.closest('[data-action="return"]');
+            if (returnButton) openReturnRequest(returnButton.closest('[data-order-id]').dataset.orderId);
             
-        } catch (error) {
-            console.error('Failed to initialize NASA Application:', error);
-            showEmergencyFallback();
-        }
+            const sendButton = e.target.closest('[data-action="send-return"]');
+            if (sendButton) {
+                Promise.resolve(orders.transmitReturn(sendButton.closest('[data-return-id]').dataset.returnId))
+                    .then(renderOrderHistory);
+            }
+            
+            const documentButton = e.target.closest('[data-document]');
+            if (documentButton) {
+                const orderId = documentButton.closest('[data-order-id]').dataset.orderId;
+                if (documentButton.dataset.output === 'print') {
+                    orders.printOrderDocument(orderId, documentButton.dataset.document);
+                } else {
+                    orders.downloadOrderDocument(orderId, documentButton.dataset.document);
+                }
+                renderOrderHistory();
+            }
+        });
+        
+        modal.querySelectorAll('[data-export]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const count = orders.downloadOrderHistory(btn.dataset.export, getHistoryFilters());
+                window.nasaUI?.showToast(`Exported ${count} order${count === 1 ? '' : 's'} as ${btn.dataset.export.toUpperCase()}`, 'success', 3000);
+            });
+        });
+        
+        // Keep an open history in step with status changes
+        orders.lifecycle.subscribe(() => {
+            if (modal.classList.contains('active')) renderOrderHistory();
+        });
+        orders.returns.subscribe(() => {
+            if (modal.classList.contains('active')) renderOrderHistory();
+        });
     }
     
-    async function showNASALoadingSequence() {
-        const loadingScreen = document.getElementById('nasa-loader');
-        if (!loadingScreen) return;
+    function getHistoryFilters() {
+        const modal = document.getElementById('order-history');
+        const field = (name) => modal?.querySelector(`[name="${name}"]`)?.value || '';
         
-        // Show loading screen
-        loadingScreen.classList.remove('hidden');
+        return {
+            query: field('history-query'),
+            status: field('history-status') || 'all',
+            from: field('history-from'),
+            to: field('history-to')
+        };
+    }
+    
+    function renderOrderHistory() {
+        const orders = window.nasaOrders;
+        const modal = document.getElementById('order-history');
+        const list = modal?.querySelector('.history-list');
+        if (!orders || !list) return;
         
-        // Animate progress bar
-        const progressBar = loadingScreen.querySelector('.progress-fill');
-        if (progressBar) {
-            let progress = 0;
-            const interval = setInterval(() => {
-                progress += 2;
-                progressBar.style.width = `${progress}%`;
-                progressBar.dataset.progress = progress;
-                
-                if (progress >= 100) {
-                    clearInterval(interval);
-                }
-            }, 50);
+        const results = orders.getOrderHistory(getHistoryFilters());
+        const summary = modal.querySelector('.history-summary');
+        if (summary) {
+            summary.textContent = `${results.length} OF ${orders.orderHistory.length} MISSIONS`;
         }
         
-        // Animate countdown
-        const countdownElement = loadingScreen.querySelector('.countdown');
-        if (countdownElement) {
-            let count = 10;
-            const countdownInterval = setInterval(() => {
-                countdownElement.textContent = count;
-                count--;
-                
-                if (count < 0) {
-                    clearInterval(countdownInterval);
-                }
-            }, 100);
+        if (results.length === 0) {
+            list.innerHTML = `
+                <div class="history-empty">
+                    ${orders.orderHistory.length === 0 ? 'No missions launched yet' : 'No missions match these filters'}
+                </div>
+            `;
+            return;
         }
         
-        // Animate sequence items
-        const sequenceItems = loadingScreen.querySelectorAll('.sequence-item');
-        sequenceItems.forEach((item, index) => {
-            setTimeout(() => {
-                item.style.opacity = '1';
-                item.style.transform = 'translateY(0)';
-            }, index * 800);
+        const escape = NASA_SearchIndex.escapeHTML;
+        list.innerHTML = results.map(order => {
+            const config = orders.getStatusConfig(order.status);
+            const placed = new Date(order.timestamp).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+            
+            return `
+                <article class="history-order" data-order-id="${order.id}">
+                    <div class="history-order-header">
+                        <span class="history-order-id">${order.id}${order.invoice ? ` · ${order.invoice.number}` : ''}</span>
+                        <span class="history-order-status ${config.class}">${config.text}</span>
+                    </div>
+                    <div class="history-order-meta">
+                        <span>${placed}</span>
+                        <span>${orders.getOrderUnitCount(order)} units</span>
+                        <span class="history-order-total">${formatCurrency(order.total)}</span>
+                    </div>
+                    <ul class="history-order-items">
+                        ${order.items.map(item => `
+                            <li>${escape(item.name)} (${escape(orders.formatVariant(item))}) × ${item.quantity}</li>
+                        `).join('')}
+                    </ul>
+                    ${renderHistoryReturns(order)}
+                    <div class="history-order-actions">
+                        ${orders.canCancelOrder(order) ? '<button class="history-document history-cancel" data-action="cancel">CANCEL ORDER</button>' : ''}
+                        ${orders.returns.checkOrder(order) ? '' : '<button class="history-document" data-action="return">RETURN / EXCHANGE</button>'}
+                        ${orders.canIssueInvoice(order) ? `
+                        <button class="history-document" data-document="invoice" data-output="download">DOWNLOAD INVOICE</button>
+                        <button class="history-document" data-document="invoice" data-output="print">PRINT INVOICE</button>
+                        ` : ''}
+                        <button class="history-document" data-document="packing-slip" data-output="print">PRINT PACKING SLIP</button>
+                        <button class="history-reorder" data-action="reorder">REORDER</button>
+                    </div>
+                </article>
+            `;
+        }).join('');
+    }
+    
+    function renderHistoryReturns(order) {
+        const returns = window.nasaOrders.returns;
+        const requests = returns.getReturnsForOrder(order.id);
+        if (requests.length === 0) return '';
+        
+        return `
+            <ul class="history-returns">
+                ${requests.map(request => {
+                    const config = returns.getStatusConfig(request.status);
+                    const unsent = !request.transmittedAt && returns.isOpen(request);
+                    
+                    return `
+                        <li data-return-id="${request.id}">
+                            <span>${request.id} · ${returns.types[request.type]}</span>
+                            <span class="history-order-status ${config.class}">${config.text}</span>
+                            ${unsent ? '<button class="history-document" data-action="send-return">SEND</button>' : ''}
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+    }
+    
+    function initializeReturns() {
+        const orders = window.nasaOrders;
+        const modal = document.getElementById('return-request');
+        const form = modal?.querySelector('.return-form');
+        if (!orders || !form) return;
+        
+        modal.querySelector('.modal-close')?.addEventListener('click', () => {
+            window.nasaUI?.closeModal(modal);
         });
         
-        // Wait for minimum loading time
-        await new Promise(resolve => setTimeout(resolve, 4000));
+        form.querySelectorAll('[name="return-type"]').forEach(input => {
+            input.addEventListener('change', () => {
+                form.dataset.type = input.value;
+            });
+        });
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            submitReturnRequest(form);
+        });
     }
     
-    function hideLoadingScreen() {
-        const loadingScreen = document.getElementById('nasa-loader');
-        if (loadingScreen) {
-            loadingScreen.classList.add('fade-out');
-            
-            setTimeout(() => {
-                loadingScreen.style.display = 'none';
-            }, 1000);
+    function openReturnRequest(orderId) {
+        const orders = window.nasaOrders;
+        const order = orders?.getOrder(orderId);
+        const modal = document.getElementById('return-request');
+        const form = modal?.querySelector('.return-form');
+        if (!order || !form) return;
+        
+        const escape = NASA_SearchIndex.escapeHTML;
+        const returns = orders.returns;
+        const deadline = returns.getReturnDeadline(order);
+        
+        form.reset();
+        form.dataset.orderId = order.id;
+        form.dataset.type = 'refund';
+        
+        const summary = form.querySelector('.return-summary');
+        if (summary) {
+            summary.textContent = `${order.id}${deadline ? ` · returns close ${deadline.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}` : ''}`;
         }
+        
+        const reasons = Object.entries(returns.reasons)
+            .map(([value, label]) => `<option value="${value}">${label.toUpperCase()}</option>`)
+            .join('');
+        
+        form.querySelector('.return-items').innerHTML = order.items.map(item => {
+            const available = returns.getReturnableQuantity(order, item);
+            const exchanges = returns.getExchangeOptions(item);
+            
+            return `
+                <div class="return-item" data-product-id="${escape(item.id)}" data-variant-id="${escape(item.variantId)}">
+                    <label class="return-item-select">
+                        <input type="checkbox" name="return-item" ${available ? '' : 'disabled'}>
+                        <span>${escape(item.name)} (${escape(orders.formatVariant(item))})</span>
+                        <small>${available} of ${item.quantity} returnable</small>
+                    </label>
+                    <input type="number" class="nasa-input" name="return-quantity" min="1" max="${available}" value="${available}"
+                           aria-label="Quantity to return" ${available ? '' : 'disabled'}>
+                    <select class="nasa-input" name="return-reason" aria-label="Reason" ${available ? '' : 'disabled'}>
+                        <option value="">REASON</option>
+                        ${reasons}
+                    </select>
+                    <select class="nasa-input return-exchange" name="return-exchange" aria-label="Exchange for" ${available ? '' : 'disabled'}>
+                        <option value="">${exchanges.length ? 'EXCHANGE FOR' : 'NO OTHER SIZE IN STOCK'}</option>
+                        ${exchanges.map(variant => `
+                            <option value="${escape(variant.id)}">${escape(orders.formatVariant(variant).toUpperCase())}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            `;
+        }).join('');
+        
+        window.nasaUI?.openModal('return-request');
     }
     
-    function startMissionSequences() {
-        // Start mission control updates
-        if (window.nasaMissionControl) {
-            window.nasaMissionControl.addLiveFeedUpdate('System initialization complete');
-            window.nasaMissionControl.addLiveFeedUpdate('Mission control online');
-            window.nasaMissionControl.addLiveFeedUpdate('Ready for cosmic exploration');
-        }
+    function submitReturnRequest(form) {
+        const orders = window.nasaOrders;
+        const field = (row, name) => row.querySelector(`[name="${name}"]`);
         
-        // Start particle animations
-        startParticleSystem();
+        const items = [...form.querySelectorAll('.return-item')]
+            .filter(row => field(row, 'return-item').checked)
+            .map(row => ({
+                id: row.dataset.productId,
+                variantId: row.dataset.variantId,
+                quantity: parseInt(field(row, 'return-quantity').value, 10),
+                reason: field(row, 'return-reason').value,
+                exchangeVariantId: field(row, 'return-exchange').value || null
+            }));
         
-        // Start scroll animations
-        startScrollAnimations();
+        const returnRequest = orders.requestReturn(form.dataset.orderId, {
+            type: form.dataset.type || 'refund',
+            items: items,
+            notes: form.querySelector('[name="return-notes"]')?.value
+        });
+        if (!returnRequest) return;
         
-        // Initialize product grid
-        initializeProductGrid();
+        window.nasaUI?.closeModal('return-request');
+        window.nasaUI?.showToast(`Return ${returnRequest.id} requested for ${returnRequest.orderId}`, 'success', 4000);
+        renderOrderHistory();
     }
     
-    function startParticleSystem() {
-        // Create particle system if not exists
-        if (!document.querySelector('.particle-system')) {
-            const particleSystem = document.createElement('div');
-            particleSystem.className = 'particle-system';
-            document.body.appendChild(particleSystem);
-            
-            // Generate particles
-            for (let i = 0; i < 50; i++) {
-                const particle = document.createElement('div');
-                particle.className = 'particle';
-                particle.dataset.speed = (Math.random() * 0.5 + 0.1).toFixed(2);
-                particle.dataset.x = (Math.random() * 100 - 50);
-                particle.dataset.y = (Math.random() * 100 - 50);
-                
-                particleSystem.appendChild(particle);
-            }
+    function cancelFromHistory(orderId) {
+        if (!confirm(`Cancel order ${orderId}? It has not reached Mission Control yet.`)) return;
+        
+        if (window.nasaOrders?.cancelOrder(orderId)) {
+            window.nasaUI?.showToast(`Order ${orderId} cancelled`, 'success', 3000);
         }
     }
     
-    function startScrollAnimations() {
-        // Initialize scroll-triggered animations
-        if (window.nasaUI) {
-            window.nasaUI.initScrollAnimations();
+    function reorderFromHistory(orderId) {
+        const result = window.nasaOrders?.reorder(orderId);
+        if (!result) return;
+        
+        const { added, skipped } = result;
+        if (skipped.length > 0) {
+            window.nasaUI?.showToast(`${skipped.map(item => item.name).join(', ')} could not be added: no longer in stock`, 'warning', 5000);
+        }
+        
+        if (added.length > 0) {
+            window.nasaUI?.closeModal('order-history');
+            window.nasaUI?.showToast(`${added.length} item${added.length === 1 ? '' : 's'} from ${orderId} added to cargo`, 'success', 3000);
+            openCartCheckout();
         }
     }
     
-    function initializeProductGrid() {
-        const productsGrid = document.getElementById('products-grid');
-        if (!productsGrid || !window.nasaProductManager) return;
+    function initializeStoreSettings() {
+        const productManager = window.nasaProductManager;
+        if (!productManager) return;
         
-        // Load initial products
-        const products = window.nasaProductManager.getPagedProducts(1);
+        const applySettings = () => {
+            const settings = productManager.getStoreSettings();
+            if (settings.upiVpa !== undefined) {
+                window.nasaPayments?.configure({ payeeVpa: settings.upiVpa });
+            }
+            if (settings.email !== undefined) {
+                window.nasaOrders?.configureChannel('email', { to: settings.email });
+                window.nasaOrders?.invoices.configure({ email: settings.email });
+            }
+            if (settings.gstin !== undefined) {
+                window.nasaOrders?.invoices.configure({ gstin: settings.gstin });
+            }
+            if (settings.legalName) {
+                window.nasaOrders?.invoices.configure({ legalName: settings.legalName });
+            }
+            if (settings.webhookUrl !== undefined) {
+                window.nasaOrders?.configureChannel('webhook', { url: settings.webhookUrl || null });
+            }
+        };
         
-        // Render products
-        productsGrid.innerHTML = products.map(product => `
-            <div class="product-card" data-product="${product.id}">
-                <div class="product-image">
-                    <img src="${product.image}" alt="${product.name}" loading="lazy">
-                    ${product.featured ? '<span class="product-badge">Featured</span>' : ''}
-                </div>
-                <div class="product-content">
-                    <h3 class="product-title">${product.name}</h3>
-                    <p class="product-description">${product.description}</p>
-                    <div class="product-meta">
-                        <div class="product-price">${formatCurrency(product.price)}</div>
-                        <div class="product-mission" data-mission="${product.mission}">
-                            ${product.mission?.toUpperCase()}
-                        </div>
-                    </div>
-                    <div class="product-actions">
-                        <button class="btn-whatsapp" data-order="${product.id}">
-                            <i class="fab fa-whatsapp"></i> Order Now
-                        </button>
-                        <button class="btn-details" data-details="${product.id}">
-                            Details
-                        </button>
-                    </div>
-                </div>
-            </div>
-        `).join('');
+        productManager.subscribe(event => {
+            if (event === 'store-settings-updated') applySettings();
+        });
+        applySettings();
+    }
+    
+    function initializeOrderForm() {
+        if (!window.nasaOrders) return;
+        window.nasaOrders.startOrderForm();
+    }
+    
+    function initializeCartCheckout() {
+        if (!window.nasaProductManager) return;
         
-        // Add event listeners
-        productsGrid.querySelectorAll('.btn-whatsapp').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const productId = e.target.closest('[data-order]').dataset.order;
-                openOrderModal(productId);
+        const updateCartCount = (event, manager) => {
+            if (event !== 'cart-updated') return;
+            
+            const count = manager.getCartCount();
+            document.querySelectorAll('.cart-btn').forEach(btn => {
+                btn.dataset.items = count;
+                const countElement = btn.querySelector('.cart-count');
+                if (countElement) countElement.textContent = count;
             });
+            
+            // Keep an open cart checkout in sync
+            if (window.nasaOrders && document.getElementById('order-form')?.dataset.checkout === 'cart') {
+                window.nasaOrders.updateOrderSummary();
+            }
+        };
+        
+        window.nasaProductManager.subscribe(updateCartCount);
+        updateCartCount('cart-updated', window.nasaProductManager);
+        
+        document.querySelectorAll('.cart-btn').forEach(btn => {
+            btn.addEventListener('click', openCartCheckout);
         });
         
-        productsGrid.querySelectorAll('.btn-details').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const productId = e.target.closest('[data-details]').dataset.details;
-                openProductDetails(productId);
-            });
+        // The payload is changed by picking another product from the grid
+        const orderModal = document.getElementById('order-modal');
+        orderModal?.querySelectorAll('.modal-close, .active-change').forEach(button => {
+            button.addEventListener('click', () => window.nasaUI?.closeModal(orderModal));
         });
+        orderModal?.querySelector('.active-change')?.addEventListener('click', scrollToProducts);
+    }
+    
+    function addProductToCart(productId) {
+        if (!window.nasaProductManager) return;
+        
+        const product = window.nasaProductManager.getProductById(productId);
+        if (!product) return;
+        
+        // Cargo picks the first variant still in stock; the cargo summary at checkout can switch it
+        const variant = window.nasaProductManager.getDefaultVariant(product);
+        
+        if (!window.nasaProductManager.addToCart(productId, 1, variant.size, variant.color)) {
+            window.nasaUI?.showToast(`No more stock available for ${product.name}`, 'warning', 3000);
+            return;
+        }
+        
+        window.nasaUI?.showToast(`${product.name} added to cargo`, 'success', 3000);
+    }
+    
+    function openCartCheckout() {
+        if (!window.nasaProductManager || !window.nasaUI) return;
+        
+        if (window.nasaProductManager.cart.length === 0) {
+            window.nasaUI.showToast('Your cargo bay is empty', 'info', 3000);
+            return;
+        }
+        
+        const orderForm = document.getElementById('order-form');
+        if (orderForm) {
+            orderForm.dataset.checkout = 'cart';
+        }
+        
+        window.nasaUI.openModal('order-modal');
+        
+        if (window.nasaOrders) {
+            window.nasaOrders.prepareOrderForm();
+            window.nasaOrders.updateOrderSummary();
+        }
     }
     
     function openOrderModal(productId) {
@@ -2834,6 +10597,7 @@ class NASA_Application {
         // Set product in order form
         const orderForm = document.getElementById('order-form');
         if (orderForm) {
+            orderForm.dataset.checkout = 'product';
             orderForm.querySelector('[name="product"]').value = product.id;
             orderForm.querySelector('.product-name').textContent = product.name;
             orderForm.querySelector('.product-price').textContent = formatCurrency(product.price);
@@ -2844,6 +10608,9 @@ class NASA_Application {
         
         // Update order summary
         if (window.nasaOrders) {
+            window.nasaOrders.prepareOrderForm();
+            window.nasaOrders.syncColorSelector(product);
+            window.nasaOrders.syncSizeSelector(product);
             window.nasaOrders.updateOrderSummary();
         }
     }
@@ -2872,6 +10639,19 @@ class NASA_Application {
                             <span class="spec-value">${value}</span>
                         </div>
                     `).join('');
+                
+                // Variants are listed from live availability so sold-out options are visible
+                const variants = product.variants.filter(variant => variant.size || variant.color);
+                if (variants.length > 0) {
+                    specsContainer.innerHTML += `
+                        <div class="spec-item">
+                            <span class="spec-key">variants:</span>
+                            <span class="spec-value">${variants.map(variant =>
+                                `${[variant.size, variant.color].filter(Boolean).join(' / ')}${window.nasaProductManager.getAvailableStock(product.id, variant.id) <= 0 ? ' (sold out)' : ''}`
+                            ).join(', ')}</span>
+                        </div>
+                    `;
+                }
             }
         }
         
@@ -2896,7 +10676,7 @@ class NASA_Application {
                 <h2>🚨 Mission Control Offline</h2>
                 <p>We're experiencing technical difficulties. Basic functionality is available.</p>
                 <div class="emergency-actions">
-                    <a href="https://wa.me/919957811508" class="emergency-btn" target="_blank">
+                    <a href="${NASA_WhatsAppChannel.buildUrl(MISSION_CONTROL_NUMBER)}" class="emergency-btn" target="_blank">
                         📞 Contact via WhatsApp
                     </a>
                     <button class="emergency-btn" onclick="location.reload()">
@@ -2951,17 +10731,24 @@ class NASA_Application {
             return re.test(email);
         },
         
-        validatePhone: (phone) => {
-            const re = /^[6-9]\d{9}$/;
-            return re.test(phone.replace(/\D/g, ''));
+        validatePhone: (phone, country = 'IN') => {
+            return NASA_PhoneNumber.isValid(phone, country);
+        },
+        
+        buildWhatsAppUrl: (message = '') => {
+            return NASA_WhatsAppChannel.buildUrl(window.nasaOrders?.whatsappNumber || MISSION_CONTROL_NUMBER, message);
         }
     };
     
     // WhatsApp shortcut function
     window.orderViaWhatsApp = function(product, size = 'M', quantity = 1, name = '', address = '') {
+        // Called in a loop, this would open WhatsApp once per call
+        if (window.nasaOrders && !window.nasaOrders.admitDirectOrder([{ id: product, variantId: size, quantity: quantity }])) {
+            return;
+        }
+        
         const message = `Hello, I want to place an order:\nProduct: ${product}\nSize: ${size}\nQuantity: ${quantity}\nAddress: ${address}\nName: ${name}`;
-        const encodedMessage = encodeURIComponent(message);
-        window.open(`https://wa.me/919957811508?text=${encodedMessage}`, '_blank');
+        window.open(window.NASA_Utils.buildWhatsAppUrl(message), '_blank');
     };
     
     // Performance shortcut
@@ -3007,12 +10794,59 @@ if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
         navigator.serviceWorker.register('/nasa-sw.js').then(registration => {
             console.log('NASA Service Worker registered:', registration);
+            watchServiceWorkerUpdates(registration);
         }).catch(error => {
             console.log('NASA Service Worker registration failed:', error);
         });
     });
 }
 
+function watchServiceWorkerUpdates(registration) {
+    let offered = false;
+    let reloading = false;
+    
+    const offerUpdate = (worker) => {
+        if (offered || !navigator.serviceWorker.controller) return;
+        offered = true;
+        
+        const reload = () => worker.postMessage({ type: 'nasa-skip-waiting' });
+        if (window.nasaUI) {
+            window.nasaUI.showToast('A new version of the store is ready.', 'info', 0, { label: 'RELOAD', onClick: reload });
+        } else if (confirm('A new version of the store is ready. Reload now?')) {
+            reload();
+        }
+    };
+    
+    const whenInstalled = (worker) => {
+        if (!worker) return;
+        if (worker.state === 'installed') {
+            offerUpdate(worker);
+        } else {
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed') offerUpdate(worker);
+            });
+        }
+    };
+    
+    // An update found in an earlier visit may already be waiting
+    whenInstalled(registration.waiting);
+    
+    registration.addEventListener('updatefound', () => whenInstalled(registration.installing));
+    
+    // The worker announces itself while installing; it only becomes usable once installed
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'nasa-update-available') {
+            whenInstalled(registration.installing || registration.waiting);
+        }
+    });
+    
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading || !offered) return;
+        reloading = true;
+        window.location.reload();
+    });
+}
+
 // Web App Install Prompt
 let deferredPrompt;
 window.addEventListener('beforeinstallprompt', (e) => {
@@ -3045,8 +10879,31 @@ if (typeof module !== 'undefined' && module.exports) {
         NASA_Application,
         NASA_PerformanceMonitor,
         NASA_AnimationController,
+        NASA_CatalogLoader,
+        NASA_SearchIndex,
+        NASA_TabSync,
         NASA_ProductManager,
+        NASA_ProductGridRenderer,
+        NASA_InventoryManager,
+        NASA_PromotionEngine,
+        NASA_PricingEngine,
+        NASA_QRCode,
+        NASA_PaymentManager,
+        NASA_PhoneNumber,
+        NASA_AddressValidator,
+        NASA_CustomerProfile,
         NASA_MissionControl,
+        NASA_OrderLifecycle,
+        NASA_TemplateEngine,
+        NASA_WhatsAppChannel,
+        NASA_TelegramChannel,
+        NASA_EmailChannel,
+        NASA_SMSChannel,
+        NASA_WebhookChannel,
+        NASA_OrderOutbox,
+        NASA_InvoiceGenerator,
+        NASA_ReturnManager,
+        NASA_OrderGuard,
         NASA_OrderSystem,
         NASA_UIManager,
         NASA_ErrorBoundary
@@ -3059,8 +10916,31 @@ if (typeof window !== 'undefined') {
         NASA_Application,
         NASA_PerformanceMonitor,
         NASA_AnimationController,
+        NASA_CatalogLoader,
+        NASA_SearchIndex,
+        NASA_TabSync,
         NASA_ProductManager,
+        NASA_ProductGridRenderer,
+        NASA_InventoryManager,
+        NASA_PromotionEngine,
+        NASA_PricingEngine,
+        NASA_QRCode,
+        NASA_PaymentManager,
+        NASA_PhoneNumber,
+        NASA_AddressValidator,
+        NASA_CustomerProfile,
         NASA_MissionControl,
+        NASA_OrderLifecycle,
+        NASA_TemplateEngine,
+        NASA_WhatsAppChannel,
+        NASA_TelegramChannel,
+        NASA_EmailChannel,
+        NASA_SMSChannel,
+        NASA_WebhookChannel,
+        NASA_OrderOutbox,
+        NASA_InvoiceGenerator,
+        NASA_ReturnManager,
+        NASA_OrderGuard,
         NASA_OrderSystem,
         NASA_UIManager,
         NASA_ErrorBoundary
@@ -0,0 +1,47 @@
+// Local stand-in for an order webhook receiver.
+// Usage: node scripts/webhook-stub.js [port]
+// Then in the browser console:
+//   nasaOrders.configureChannel('webhook', { url: 'http://localhost:8787/orders' })
+
+const http = require('http');
+
+const port = Number(process.argv[2]) || 8787;
+
+const server = http.createServer((req, res) => {
+    // The storefront posts cross-origin from its own dev server
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.writeHead(405, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'POST an order payload' }));
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        try {
+            const payload = JSON.parse(body);
+            console.log(`[${new Date().toISOString()}] ${payload.event} ${payload.order?.id}`);
+            console.log(payload.message);
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ received: true, orderId: payload.order?.id }));
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Invalid JSON' }));
+        }
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Order webhook stub listening on http://localhost:${port}/orders`);
+});